@@ -5,48 +5,53 @@
 import { 
   WORLD, TAU, AVOIDANCE_RANGE, PREDICTION_TIME, MAX_AVOIDANCE_FORCE,
   MAX_RUDDER_ANGLE, RUDDER_RETURN_RATE, ANGULAR_INERTIA, ANGULAR_ACCEL,
-  THROTTLE_CHANGE_RATE, RADAR_RANGE, BATTERY, mapById, ESCORT_LOCK_RADIUS
+  THROTTLE_CHANGE_RATE, RADAR_RANGE, BATTERY, ESCORT_LOCK_RADIUS,
+  DEPTHS, SONAR_RANGE, DEPTH_CHARGE, CONVOY
 } from './config.js';
-import { clamp, lerp, dist2, len, normAngle, angleTo, rand } from './utils.js';
+import { clamp, lerp, dist2, len, normAngle, angleTo, rand, random } from './utils.js';
 import { formationPoint, pickCapitalLeader, reassignEscortPositions } from './entities.js';
+import { isCapital } from './ships.js';
 import { 
   tryFireAtPoint, tryMissile, trySmoke, tryExtinguish, 
-  turretStep, canSee, shotSpotting 
+  turretStep, canSee, shotSpotting, gunLead, gunsBearing, gunsReady 
 } from './combat.js';
+import { tryDepthChange, tryDepthCharge } from './submarine.js';
+import { tryPumps, tryRepair, gunSalvo } from './damage.js';
+import { isNight, isLit, tryStarShell } from './weather.js';
+import { inShape, landDistance, landNormal, pushOut, obstacles } from './terrain.js';
+import { objectiveGoal } from './objectives.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // LAND COLLISION
 // ═══════════════════════════════════════════════════════════════════════════
-export function inLand(x, y, pad, state) {
-  const m = mapById(state.mapId);
-  for (const c of m.land) {
-    const dx = x - c.x, dy = y - c.y;
-    const rr = (c.r + pad);
-    if (dx*dx + dy*dy <= rr*rr) return c;
+// The island (or, given a draft in metres, the shoal too shallow for it) within
+// `pad` of (x, y)
+export function inLand(x, y, pad, state, draft = 0) {
+  for (const c of obstacles(state, draft)) {
+    if (inShape(c, x, y, pad)) return c;
   }
   return null;
 }
 
+// Routes keep clear of every shoal, not only those a given hull would touch
+const navHazards = (state) => obstacles(state, Infinity);
+
 // Check if path from (sx,sy) to (tx,ty) crosses any island
 function pathCrossesLand(sx, sy, tx, ty, pad, state) {
-  const m = mapById(state.mapId);
   const vx = tx - sx, vy = ty - sy;
   const vv = vx*vx + vy*vy;
   if (vv < 1e-6) return null;
   const pathLen = Math.sqrt(vv);
   
-  for (const c of m.land) {
-    const margin = c.r + pad;
-    
+  for (const c of navHazards(state)) {
     // Check multiple points along the path for better detection
     const numChecks = Math.max(5, Math.ceil(pathLen / 200));
     for (let i = 0; i <= numChecks; i++) {
       const t = i / numChecks;
       const px = sx + vx * t;
       const py = sy + vy * t;
-      const dx = px - c.x, dy = py - c.y;
-      const d = Math.hypot(dx, dy);
-      if (d < margin) {
+      const d = landDistance(c, px, py);
+      if (d < pad) {
         return { island: c, t, cx: px, cy: py, d };
       }
     }
@@ -54,20 +59,38 @@ function pathCrossesLand(sx, sy, tx, ty, pad, state) {
     // Also check closest point on line segment to island center
     const t = clamp(((c.x - sx)*vx + (c.y - sy)*vy) / vv, 0, 1);
     const cx = sx + vx*t, cy = sy + vy*t;
-    const dx = cx - c.x, dy = cy - c.y;
-    const d = Math.hypot(dx, dy);
-    if (d < margin) {
+    const d = landDistance(c, cx, cy);
+    if (d < pad) {
       return { island: c, t, cx, cy, d };
     }
   }
   return null;
 }
 
-// Find waypoint to navigate around an island
-function findWaypointAroundIsland(sx, sy, tx, ty, island, pad, state) {
-  const m = mapById(state.mapId);
+// Polygon coasts: slide the point where the path first meets land sideways, to
+// whichever side gets clear of it sooner
+function detourAroundShape(sx, sy, tx, ty, island, pad) {
+  const len = Math.hypot(tx - sx, ty - sy) || 1;
+  const steps = Math.max(5, Math.ceil(len / 200));
+  let cx = island.x, cy = island.y;
+  for (let i = 0; i <= steps; i++) {
+    const x = sx + (tx - sx) * i / steps, y = sy + (ty - sy) * i / steps;
+    if (landDistance(island, x, y) < pad) { cx = x; cy = y; break; }
+  }
+  const nx = -(ty - sy) / len, ny = (tx - sx) / len;
+  for (let k = 1; k <= 40; k++) {
+    for (const side of [1, -1]) {
+      const x = cx + nx * side * k * 120, y = cy + ny * side * k * 120;
+      if (x < 0 || y < 0 || x > WORLD.w || y > WORLD.h) continue;
+      if (landDistance(island, x, y) >= pad + 200) return { x, y };
+    }
+  }
+  return pushOut(island, cx, cy, pad + 200);
+}
+
+// Round islands: a point a quarter of the way round, on the side nearer the target
+function detourAroundCircle(sx, sy, tx, ty, island, pad) {
   const margin = island.r + pad + 200; // Extra large margin for safety
-  
   // Calculate angle from island center to ship and to target
   const angleToShip = Math.atan2(sy - island.y, sx - island.x);
   const angleToTarget = Math.atan2(ty - island.y, tx - island.x);
@@ -76,27 +99,26 @@ function findWaypointAroundIsland(sx, sy, tx, ty, island, pad, state) {
   let angleDiff = angleToTarget - angleToShip;
   while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
   while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-  
-  // Try both directions and pick the one that's clearer
   const dir = Math.sign(angleDiff) || 1;
   
   // Pick waypoint at 90 degrees around the island in the shorter direction
   const waypointAngle = angleToShip + dir * Math.PI * 0.5;
-  let wpX = island.x + Math.cos(waypointAngle) * margin;
-  let wpY = island.y + Math.sin(waypointAngle) * margin;
+  return { x: island.x + Math.cos(waypointAngle) * margin, y: island.y + Math.sin(waypointAngle) * margin };
+}
+
+function findWaypointAroundIsland(sx, sy, tx, ty, island, pad, state) {
+  let { x: wpX, y: wpY } = island.poly
+    ? detourAroundShape(sx, sy, tx, ty, island, pad)
+    : detourAroundCircle(sx, sy, tx, ty, island, pad);
   
   // Check if this waypoint is blocked by another island
   for (let i = 0; i < 6; i++) {
     let blocked = false;
-    for (const c of m.land) {
+    for (const c of navHazards(state)) {
       if (c === island) continue;
-      const dx = wpX - c.x, dy = wpY - c.y;
-      const d = Math.hypot(dx, dy);
-      if (d < c.r + pad + 100) {
+      if (landDistance(c, wpX, wpY) < pad + 100) {
         // Push away from this island too
-        const pushAngle = Math.atan2(dy, dx);
-        wpX = c.x + Math.cos(pushAngle) * (c.r + pad + 150);
-        wpY = c.y + Math.sin(pushAngle) * (c.r + pad + 150);
+        ({ x: wpX, y: wpY } = pushOut(c, wpX, wpY, pad + 150));
         blocked = true;
         break;
       }
@@ -108,19 +130,14 @@ function findWaypointAroundIsland(sx, sy, tx, ty, island, pad, state) {
 }
 
 export function avoidLandTarget(ship, tx, ty, state) {
-  const m = mapById(state.mapId);
   const pad = (ship && ship.kind) ? (ship.kind.radius + 120) : 140; // Larger padding
   
   // First, make sure target isn't inside an island
   let x = tx, y = ty;
   for (let k = 0; k < 8; k++) {
-    const hit = inLand(x, y, pad, state);
+    const hit = inLand(x, y, pad, state, Infinity);
     if (!hit) break;
-    const dx = x - hit.x, dy = y - hit.y;
-    const d = Math.hypot(dx, dy) || 1;
-    const want = hit.r + pad + 80;
-    x = hit.x + (dx / d) * want;
-    y = hit.y + (dy / d) * want;
+    ({ x, y } = pushOut(hit, x, y, pad + 80));
   }
   
   // Check if direct path crosses any island
@@ -155,11 +172,9 @@ const COMMANDER_LAND_MARGIN = 200 + ESCORT_FORMATION_RADIUS; // Margin so escort
 
 // Get distance to nearest land from a point
 function distanceToNearestLand(x, y, state) {
-  const m = mapById(state.mapId);
   let minDist = Infinity;
-  for (const c of m.land) {
-    const dx = x - c.x, dy = y - c.y;
-    const d = Math.hypot(dx, dy) - c.r;
+  for (const c of navHazards(state)) {
+    const d = landDistance(c, x, y);
     if (d < minDist) minDist = d;
   }
   return minDist;
@@ -172,22 +187,20 @@ function isPointSafe(x, y, margin, state) {
 
 // Push a point away from all nearby islands until safe
 function pushToSafePoint(x, y, margin, state) {
-  const m = mapById(state.mapId);
   let px = x, py = y;
   
   for (let iter = 0; iter < 15; iter++) {
     let totalPushX = 0, totalPushY = 0;
     let needsPush = false;
     
-    for (const c of m.land) {
-      const dx = px - c.x, dy = py - c.y;
-      const d = Math.hypot(dx, dy);
-      const minDist = c.r + margin;
+    for (const c of navHazards(state)) {
+      const d = landDistance(c, px, py);
       
-      if (d < minDist && d > 0.1) {
-        const pushStrength = (minDist - d) + 50;
-        totalPushX += (dx / d) * pushStrength;
-        totalPushY += (dy / d) * pushStrength;
+      if (d < margin && (c.poly || Math.hypot(px - c.x, py - c.y) > 0.1)) {
+        const pushStrength = (margin - d) + 50;
+        const n = landNormal(c, px, py);
+        totalPushX += n.x * pushStrength;
+        totalPushY += n.y * pushStrength;
         needsPush = true;
       }
     }
@@ -205,7 +218,6 @@ function pushToSafePoint(x, y, margin, state) {
 
 // Generate a smooth curved path from start to end, avoiding all land
 function generateSmoothPath(sx, sy, ex, ey, margin, state) {
-  const m = mapById(state.mapId);
   const path = [];
   
   // First, ensure start and end are safe
@@ -225,7 +237,7 @@ function generateSmoothPath(sx, sy, ex, ey, margin, state) {
   // Need to curve around obstacles
   // Find all islands that block the path
   const blockingIslands = [];
-  for (const c of m.land) {
+  for (const c of navHazards(state)) {
     if (doesPathPassNearIsland(sx, sy, ex, ey, c, margin)) {
       blockingIslands.push(c);
     }
@@ -263,7 +275,6 @@ function generateSmoothPath(sx, sy, ex, ey, margin, state) {
 
 // Check if direct path is clear of all land
 function isDirectPathClear(sx, sy, ex, ey, margin, state) {
-  const m = mapById(state.mapId);
   const steps = Math.max(10, Math.ceil(Math.hypot(ex - sx, ey - sy) / 100));
   
   for (let i = 0; i <= steps; i++) {
@@ -284,6 +295,14 @@ function doesPathPassNearIsland(sx, sy, ex, ey, island, margin) {
   const vv = vx * vx + vy * vy;
   if (vv < 1) return false;
   
+  if (island.poly) {
+    const steps = Math.max(10, Math.ceil(Math.sqrt(vv) / 100));
+    for (let i = 0; i <= steps; i++) {
+      if (landDistance(island, sx + vx * i / steps, sy + vy * i / steps) < margin + 100) return true;
+    }
+    return false;
+  }
+  
   // Find closest point on line to island center
   const t = clamp(((island.x - sx) * vx + (island.y - sy) * vy) / vv, 0, 1);
   const closestX = sx + vx * t;
@@ -295,6 +314,10 @@ function doesPathPassNearIsland(sx, sy, ex, ey, island, margin) {
 
 // Generate a waypoint that curves around an island
 function generateCurveAroundIsland(sx, sy, ex, ey, island, margin, state) {
+  if (island.poly) {
+    const wp = detourAroundShape(sx, sy, ex, ey, island, margin + 150);
+    return pushToSafePoint(wp.x, wp.y, margin, state);
+  }
   const curveMargin = island.r + margin + 150;
   
   // Calculate angles from island to start and end
@@ -364,19 +387,19 @@ export function planEngagementRoute(ship, enemyX, enemyY, gunRange, state) {
   return planCommanderRoute(ship, state, safeEngage.x, safeEngage.y);
 }
 
+// Plan a convoy leg from (sx, sy): merchant columns need a narrower berth than a
+// task group's screen
+export function planConvoyRoute(sx, sy, tx, ty, state) {
+  return generateSmoothPath(sx, sy, tx, ty, CONVOY.landMargin, state);
+}
+
 
 // ═══════════════════════════════════════════════════════════════════════════
 // COLLISION AVOIDANCE - Predictive path-based avoidance
 // ═══════════════════════════════════════════════════════════════════════════
 function getShipPriority(ship) {
   // Higher priority = larger ship = stand-on vessel (doesn't maneuver)
-  switch (ship.kind.type) {
-    case 'CV': return 4;
-    case 'BB': return 3;
-    case 'DD': return 2;
-    case 'TB': return 1;
-    default: return 0;
-  }
+  return ship.kind.rightOfWay || 0;
 }
 
 // Predict where a ship will be in t seconds
@@ -708,7 +731,9 @@ export function applyRudder(ship, desiredTurn, dt) {
   const diff = targetRudder - (ship.rudderAngle || 0);
   const maxChange = rudderSpeed * dt;
   
-  if (Math.abs(diff) > 0.01) {
+  if (ship.rudderJamT > 0) {
+    // Jammed by a rudder hit: the blade stays where it is
+  } else if (Math.abs(diff) > 0.01) {
     ship.rudderAngle = (ship.rudderAngle || 0) + clamp(diff, -maxChange, maxChange);
   } else if (Math.abs(targetRudder) < 0.02) {
     // Return to center when no input
@@ -752,21 +777,19 @@ function checkLandDanger(ship, state) {
   if (!ship || !state || state.mapId === undefined) {
     return { emergency: false };
   }
-  const m = mapById(state.mapId);
-  if (!m || !m.land || m.land.length === 0) {
+  const hazards = obstacles(state, ship.kind.draft);
+  if (hazards.length === 0) {
     return { emergency: false };
   }
   
   const collisionDist = ship.kind.radius + 15; // Actual collision distance
   
   // Only check current position - are we about to hit?
-  for (const c of m.land) {
-    const dx = ship.x - c.x, dy = ship.y - c.y;
-    const d = Math.hypot(dx, dy);
-    
-    if (d < c.r + collisionDist) {
+  for (const c of hazards) {
+    if (landDistance(c, ship.x, ship.y) < collisionDist) {
       // Actually touching - emergency
-      const awayAngle = Math.atan2(dy, dx);
+      const n = landNormal(c, ship.x, ship.y);
+      const awayAngle = Math.atan2(n.y, n.x);
       return { emergency: true, critical: true, angle: awayAngle, island: c, urgency: 1.0 };
     }
   }
@@ -775,13 +798,11 @@ function checkLandDanger(ship, state) {
   const futureX = ship.x + ship.vx * 1.5;
   const futureY = ship.y + ship.vy * 1.5;
   
-  for (const c of m.land) {
-    const dx = futureX - c.x, dy = futureY - c.y;
-    const d = Math.hypot(dx, dy);
-    
-    if (d < c.r + collisionDist + 30) {
+  for (const c of hazards) {
+    if (landDistance(c, futureX, futureY) < collisionDist + 30) {
       // Will hit soon - gentle correction
-      const toIsland = Math.atan2(c.y - ship.y, c.x - ship.x);
+      const n = landNormal(c, futureX, futureY);
+      const toIsland = Math.atan2(-n.y, -n.x);
       const headingToIsland = normAngle(toIsland - ship.heading);
       const turnDir = headingToIsland > 0 ? -1 : 1;
       const escapeAngle = normAngle(ship.heading + turnDir * Math.PI * 0.3);
@@ -864,6 +885,25 @@ export function steerToPoint(ship, tx, ty, dt, speedMax, state) {
   return d;
 }
 
+// Point ahead on whichever beam-on course (target abeam) is nearer the current
+// heading, so every mount clears its blind arc
+function broadsidePoint(ship, bearing) {
+  const ccw = bearing + Math.PI / 2, cw = bearing - Math.PI / 2;
+  const h = Math.abs(normAngle(ccw - ship.heading)) < Math.abs(normAngle(cw - ship.heading)) ? ccw : cw;
+  return {
+    x: clamp(ship.x + Math.cos(h) * 300, 200, WORLD.w - 200),
+    y: clamp(ship.y + Math.sin(h) * 300, 200, WORLD.h - 200),
+  };
+}
+
+// The orbit point round a target, or a beam-on course instead while some mounts
+// can't bear on it once the range is closed
+function broadsideOrbit(ship, target, closed, orbit) {
+  if (!closed || !ship.kind.mounts) return orbit;
+  const bearing = angleTo(ship.x, ship.y, target.x, target.y);
+  return gunsBearing(ship, bearing).inArc < gunSalvo(ship) ? broadsidePoint(ship, bearing) : orbit;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // THROTTLE SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════
@@ -936,7 +976,7 @@ export function teamHasContact(team, state) {
 export function pickTargetDetectable(fromShip, candidates) {
   let best = null, bestD2 = Infinity;
   for (const t of candidates) {
-    if (!t.alive) continue;
+    if (!t.alive || t.depth === 'submerged') continue; // Guns and torpedoes can't reach a deep boat
     if (!canSee(fromShip.team, t)) continue;
     const d2 = dist2(fromShip.x, fromShip.y, t.x, t.y);
     if (d2 < bestD2) { bestD2 = d2; best = t; }
@@ -954,7 +994,7 @@ export function avoidHostileBatteries(ship, tx, ty, state) {
     const dx = x - b.x, dy = y - b.y;
     const d = Math.hypot(dx, dy);
     if (d < danger) {
-      const a = (d > 1e-3) ? Math.atan2(dy, dx) : rand(0, TAU);
+      const a = (d > 1e-3) ? Math.atan2(dy, dx) : rand(state.rng, 0, TAU);
       x = b.x + Math.cos(a) * danger;
       y = b.y + Math.sin(a) * danger;
     }
@@ -971,6 +1011,9 @@ export function applyCollisionAvoidance(ship, allShips, dt) {
   return;
 }
 
+// A dived submarine runs below the keels of surface ships
+const belowSurface = (s) => s.depth === 'periscope' || s.depth === 'submerged';
+
 export function separationTeam(arr, dt, state) {
   const n = arr.length;
   const allShips = state.player.concat(state.enemy);
@@ -988,6 +1031,7 @@ export function separationTeam(arr, dt, state) {
     for (let j = i + 1; j < n; j++) {
       const b = arr[j];
       if (!b || !b.alive) continue;
+      if (belowSurface(a) || belowSurface(b)) continue; // Passes underneath
       const dx = a.x - b.x, dy = a.y - b.y;
       const d2 = dx*dx + dy*dy;
       const collisionDist = (a.kind.radius + b.kind.radius);
@@ -996,11 +1040,11 @@ export function separationTeam(arr, dt, state) {
       const d = Math.sqrt(d2);
       
       if (d < collisionDist) {
-        if (!a.flooding) {
-          a.flooding = true;
+        if (!(a.floodLevel > 0)) {
+          a.floodLevel = 1;
         }
-        if (!b.flooding) {
-          b.flooding = true;
+        if (!(b.floodLevel > 0)) {
+          b.floodLevel = 1;
         }
         const collisionSpeed = Math.hypot(a.vx - b.vx, a.vy - b.vy);
         const dmg = collisionSpeed * 0.15;
@@ -1016,6 +1060,7 @@ export function checkShipCollisions(dt, state, showMsg) {
     if (!p || !p.alive) continue;
     for (const e of state.enemy) {
       if (!e || !e.alive) continue;
+      if (belowSurface(p) || belowSurface(e)) continue;
       const dx = p.x - e.x, dy = p.y - e.y;
       const d2 = dx*dx + dy*dy;
       const collisionDist = (p.kind.radius + e.kind.radius);
@@ -1024,12 +1069,12 @@ export function checkShipCollisions(dt, state, showMsg) {
       const d = Math.sqrt(d2);
       
       if (d < collisionDist) {
-        if (!p.flooding) {
-          p.flooding = true;
+        if (!(p.floodLevel > 0)) {
+          p.floodLevel = 1;
           if (showMsg) showMsg('Collision with enemy! Ship flooding!');
         }
-        if (!e.flooding) {
-          e.flooding = true;
+        if (!(e.floodLevel > 0)) {
+          e.floodLevel = 1;
         }
         const collisionSpeed = Math.hypot(p.vx - e.vx, p.vy - e.vy);
         const dmg = collisionSpeed * 0.2;
@@ -1041,6 +1086,288 @@ export function checkShipCollisions(dt, state, showMsg) {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SUBMARINE WARFARE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Closest hostile submarine this ship's team has a contact on
+function nearestSubContact(ship, enemies, range) {
+  let best = null, bestD2 = range * range;
+  for (const e of enemies) {
+    if (!e.alive || !e.kind.dive || !canSee(ship.team, e)) continue;
+    const d2 = dist2(ship.x, ship.y, e.x, e.y);
+    if (d2 < bestD2) { bestD2 = d2; best = e; }
+  }
+  return best;
+}
+
+// Ships with depth charges hunt a nearby contact and roll a pattern when over it.
+// Returns the contact being hunted (or null).
+function antiSubStep(ship, enemies, state) {
+  if (!ship.kind.depthCharges || !(ship.dcAmmo > 0)) return null;
+  const sub = nearestSubContact(ship, enemies, SONAR_RANGE * 1.5);
+  if (!sub) return null;
+  const dropR = DEPTH_CHARGE.dropRange;
+  if (ship.dcCd <= 0 && dist2(ship.x, ship.y, sub.x, sub.y) <= dropR * dropR) tryDepthCharge(ship, state, null);
+  return sub;
+}
+
+// Submarines stalk at periscope depth and go deep when a sonar escort closes in
+// without a shot to take, or when badly hurt
+function subDepthStep(ship, enemies, best, state) {
+  if (!ship.kind.dive || ship.diveT > 0) return;
+  const huntR = SONAR_RANGE * 1.5;
+  const hunted = enemies.some(e => e.alive && e.kind.sonar && canSee(ship.team, e) && dist2(ship.x, ship.y, e.x, e.y) <= huntR * huntR);
+  const shotR = RADAR_RANGE * ship.kind.torpedoRange[1];
+  const shot = !!best && ship.missileAmmo > 0 && dist2(ship.x, ship.y, best.x, best.y) <= shotR * shotR;
+  const want = (ship.hp < ship.kind.hp * 0.35 || (hunted && !shot)) ? 'submerged' : 'periscope';
+  const dir = Math.sign(DEPTHS.indexOf(want) - DEPTHS.indexOf(ship.depth));
+  if (dir !== 0) tryDepthChange(ship, dir, state, null);
+}
+
+// Duties every AI ship has each tick, in formation or in command: a submarine picks
+// its depth, a sonar ship hunts the nearest contact and, at night, star shell goes
+// up over the ship being fought. Returns the contact hunted, if any.
+function aiShipDuties(ship, enemies, best, dt, state) {
+  subDepthStep(ship, enemies, best, state);
+  const contact = antiSubStep(ship, enemies, state);
+  aiStarShell(ship, best, dt, state);
+  return contact;
+}
+
+// A ship in formation leaves its spot `tgt` to run over the submarine contact it hunts
+function huntContact(ship, tgt, subContact) {
+  if (!subContact) return tgt;
+  ship.escortLocked = false;
+  return { x: subContact.x, y: subContact.y };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DAMAGE CONTROL
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Crews react after a short delay: extinguish fires, pump out flooding, and spend
+// a repair party once badly hurt or stuck with a jammed rudder
+export function aiDamageControl(ship, dt, state) {
+  if (ship.fireLevel > 0 && ship.extCd <= 0 && random(state.rng) < 0.55 * dt) tryExtinguish(ship, true, null);
+  if (ship.floodLevel > 0 && !(ship.pumpT > 0) && !(ship.pumpCd > 0) && !ship.grounded && random(state.rng) < 0.55 * dt) {
+    tryPumps(ship, state, null);
+  }
+  if (ship.repairs > 0 && !(ship.repairCd > 0) && random(state.rng) < 0.4 * dt &&
+      (ship.hp < ship.kind.hp * 0.45 || ship.rudderJamT > 3)) {
+    tryRepair(ship, state, null);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NIGHT ACTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Lights up the ship being fought once it's in gun range and still dark
+function aiStarShell(ship, best, dt, state) {
+  if (!best || !isNight(state) || !(ship.starShells > 0) || ship.starCd > 0) return;
+  if (isLit(state, best, ship.team)) return;
+  if (dist2(ship.x, ship.y, best.x, best.y) > ship.kind.gunRange * ship.kind.gunRange) return;
+  if (random(state.rng) < 0.3 * dt) tryStarShell(ship, best.x, best.y, state, null);
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OBJECTIVES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Closest hostile battery still firing
+function nearestBattery(ship, state) {
+  let best = null, bestD2 = Infinity;
+  for (const b of state.batteries) {
+    if (!b.alive || b.team === ship.team) continue;
+    const d2 = dist2(ship.x, ship.y, b.x, b.y);
+    if (d2 < bestD2) { bestD2 = d2; best = b; }
+  }
+  return best;
+}
+
+// What the guns should be on: the flagship being hunted once it's in range, a
+// battery (they're on the chart, seen or not) when silencing them is the
+// objective, else the nearest ship in sight
+function objectiveTarget(ship, best, goal, state) {
+  const range = ship.kind.gunRange;
+  const reach = (t) => !!t && range > 0 && dist2(ship.x, ship.y, t.x, t.y) <= range * range;
+  if (goal && goal.target && reach(goal.target)) return goal.target;
+  if (goal && goal.batteries) {
+    const b = state.batteries[ship.ai.battery];
+    if (b && b.alive && reach(b)) return b;
+    const near = nearestBattery(ship, state);
+    if (reach(near)) return near;
+  }
+  return best;
+}
+
+// Same fire control as the fleet AI's gunnery against any target in range
+export function aiGunnery(ship, target, dt, state, lvl, df) {
+  const d = Math.sqrt(dist2(ship.x, ship.y, target.x, target.y));
+  const { x: aimX, y: aimY } = gunLead(ship, target);
+  const aimA = angleTo(ship.x, ship.y, aimX, aimY);
+  turretStep(ship, dt, aimA);
+  if (!(ship.kind.gunRange > 0) || d > ship.kind.gunRange || !gunsReady(ship, aimA)) return;
+  const accuracy = clamp((0.14 + 0.06*lvl) * df.aiAccMult, 0, 0.70);
+  const err = lerp(120, 28, accuracy) * clamp(d / RADAR_RANGE, 0.65, 1.1);
+  const fx = clamp(aimX + rand(state.rng, -err, err), 0, WORLD.w);
+  const fy = clamp(aimY + rand(state.rng, -err, err), 0, WORLD.h);
+  tryFireAtPoint(ship, fx, fy, accuracy * 0.75, state, null, (s, x, y) => shotSpotting(s, x, y, state));
+}
+
+// Routes the commander to (tx, ty) round the islands, planning afresh whenever
+// `key` names a new destination, and heads straight in once the route is run
+function objectiveRoute(ship, tx, ty, key, dt, throttle, state) {
+  if (ship.ai.goal !== key) {
+    ship.ai.goal = key;
+    ship.plannedPath = planCommanderRoute(ship, state, tx, ty);
+    if (ship.plannedPath.length > 0) {
+      ship.ai.wpX = ship.plannedPath[0].x;
+      ship.ai.wpY = ship.plannedPath[0].y;
+    }
+  }
+  if (ship.plannedPath && ship.plannedPath.length > 0 && dist2(ship.x, ship.y, ship.ai.wpX, ship.ai.wpY) < 180*180) {
+    ship.plannedPath.shift();
+    if (ship.plannedPath.length > 0) {
+      ship.ai.wpX = ship.plannedPath[0].x;
+      ship.ai.wpY = ship.plannedPath[0].y;
+    }
+  }
+  const to = (ship.plannedPath && ship.plannedPath.length > 0) ? { x: ship.ai.wpX, y: ship.ai.wpY } : avoidLandTarget(ship, tx, ty, state);
+  updateAIThrottle(ship, throttle, dt);
+  steerToPoint(ship, to.x, to.y, dt, ship.kind.maxSpeed * (ship.throttle / 100), state);
+}
+
+// Circles (cx, cy) at radius r, working round in the ship's strafe direction
+function objectiveOrbit(ship, cx, cy, r, dt, throttle, state) {
+  const theta = angleTo(cx, cy, ship.x, ship.y) + (ship.ai.strafe || 1) * 0.6;
+  const ox = clamp(cx + Math.cos(theta) * r, 200, WORLD.w - 200);
+  const oy = clamp(cy + Math.sin(theta) * r, 200, WORLD.h - 200);
+  ship.plannedPath = [{ x: ox, y: oy }];
+  ship.ai.goal = null;
+  const adj = avoidLandTarget(ship, ox, oy, state);
+  updateAIThrottle(ship, throttle, dt);
+  steerToPoint(ship, adj.x, adj.y, dt, ship.kind.maxSpeed * (ship.throttle / 100), state);
+}
+
+// Steers a fleet commander by its side's objective (see objectiveGoal). Returns
+// false when the goal leaves the usual patrol-and-engage behaviour in charge:
+// defending a zone, a flagship already in gun range, or raiders near the convoy.
+function objectiveCourse(ship, goal, enemies, dt, state) {
+  const gunRange = ship.kind.gunRange || RADAR_RANGE * 0.6;
+  if (goal.press) {
+    // Push through to the zone; a capture is then held by circling well inside it
+    if (goal.hold && dist2(ship.x, ship.y, goal.x, goal.y) < (goal.r * 0.5) ** 2) {
+      objectiveOrbit(ship, goal.x, goal.y, goal.r * 0.35, dt, 45, state);
+    } else {
+      objectiveRoute(ship, goal.x, goal.y, `zone ${goal.x},${goal.y}`, dt, 80, state);
+    }
+    return true;
+  }
+  if (goal.batteries) {
+    // Stay on one battery until it's silenced rather than chase whichever is nearest
+    let b = state.batteries[ship.ai.battery];
+    if (!b || !b.alive) {
+      b = nearestBattery(ship, state);
+      if (!b) return false;
+      ship.ai.battery = state.batteries.indexOf(b);
+    }
+    // Shell it from off the coast it faces, where its own island can't stop the shots
+    const sx = b.x + Math.cos(b.heading) * gunRange * 0.7;
+    const sy = b.y + Math.sin(b.heading) * gunRange * 0.7;
+    if (dist2(ship.x, ship.y, sx, sy) < 300*300) {
+      objectiveOrbit(ship, sx, sy, 180, dt, 50, state);
+    } else {
+      objectiveRoute(ship, sx, sy, `battery ${ship.ai.battery}`, dt, 75, state);
+    }
+    return true;
+  }
+  if (goal.target) {
+    const t = goal.target;
+    if (dist2(ship.x, ship.y, t.x, t.y) <= (gunRange * 1.1) ** 2) {
+      ship.ai.goal = null;
+      return false;
+    }
+    // Re-plan the chase each time the flagship moves on a few hundred yards
+    objectiveRoute(ship, t.x, t.y, `flagship ${Math.round(t.x / 600)},${Math.round(t.y / 600)}`, dt, 85, state);
+    return true;
+  }
+  if (goal.escort) {
+    // Screen ahead of the convoy; raiders sighted near it are fought as usual
+    const c = goal.escort;
+    if (enemies.some(e => e.alive && !e.convoy && canSee(ship.team, e) && dist2(e.x, e.y, c.x, c.y) < CONVOY.scatterRange ** 2)) {
+      ship.ai.goal = null;
+      return false;
+    }
+    const ca = Math.cos(c.heading), sa = Math.sin(c.heading);
+    const sx = c.x + ca * CONVOY.screenAhead, sy = c.y + sa * CONVOY.screenAhead;
+    if (dist2(ship.x, ship.y, sx, sy) > 900*900) {
+      objectiveRoute(ship, sx, sy, `convoy ${Math.round(sx / 600)},${Math.round(sy / 600)}`, dt, 85, state);
+      return true;
+    }
+    // On station: the convoy's speed, more to catch up when astern of the spot
+    const along = (sx - ship.x) * ca + (sy - ship.y) * sa;
+    ship.ai.goal = null;
+    ship.plannedPath = [{ x: sx, y: sy }];
+    updateAIThrottle(ship, clamp(100 * c.speed / ship.kind.maxSpeed + along * 0.15, 15, 100), dt);
+    steerToPoint(ship, sx + ca * 300, sy + sa * 300, dt, ship.kind.maxSpeed * (ship.throttle / 100), state);
+    return true;
+  }
+  if (goal.evade) {
+    // Open the range from the nearest ship in sight, else idle round the start
+    if (!ship.ai.home) ship.ai.home = { x: ship.x, y: ship.y };
+    const seen = enemies.filter(e => e.alive && canSee(ship.team, e));
+    let near = null, nearD2 = (RADAR_RANGE * 1.3) ** 2;
+    for (const e of seen) {
+      const d2 = dist2(ship.x, ship.y, e.x, e.y);
+      if (d2 < nearD2) { nearD2 = d2; near = e; }
+    }
+    if (near) {
+      const a = angleTo(near.x, near.y, ship.x, ship.y);
+      const fx = clamp(ship.x + Math.cos(a) * 1500, 400, WORLD.w - 400);
+      const fy = clamp(ship.y + Math.sin(a) * 1500, 400, WORLD.h - 400);
+      ship.ai.goal = null;
+      ship.plannedPath = [{ x: fx, y: fy }];
+      const adj = avoidLandTarget(ship, fx, fy, state);
+      updateAIThrottle(ship, 100, dt);
+      steerToPoint(ship, adj.x, adj.y, dt, ship.kind.maxSpeed, state);
+    } else if (dist2(ship.x, ship.y, ship.ai.home.x, ship.ai.home.y) < 400*400) {
+      objectiveOrbit(ship, ship.ai.home.x, ship.ai.home.y, 300, dt, 35, state);
+    } else {
+      objectiveRoute(ship, ship.ai.home.x, ship.ai.home.y, 'home', dt, 40, state);
+    }
+    return true;
+  }
+  return false;
+}
+
+// A fleet commander's side objective for the tick. It steers by it when that comes
+// before hunting the other fleet (`steered`: the ship's turn is then over), and says
+// which capital to fight (a flagship being hunted ahead of whichever capital is in
+// sight) and which zone to patrol (`guard`), if the other side is making for one.
+// Steered, an AI ship keeps up `gunnery` ({ target, lvl, df }) and damage control;
+// the player's autopilot only brings the turrets fore and aft.
+function commanderObjective(ship, enemies, dt, state, gunnery = null) {
+  const goal = objectiveGoal(ship.team, state);
+  const steered = !!goal && objectiveCourse(ship, goal, enemies, dt, state);
+  if (steered) {
+    if (gunnery && gunnery.target) aiGunnery(ship, gunnery.target, dt, state, gunnery.lvl, gunnery.df);
+    else turretStep(ship, dt, ship.heading);
+    if (gunnery) aiDamageControl(ship, dt, state);
+  }
+  const capitals = enemies.filter(e => e.alive && isCapital(e.kind) && canSee(ship.team, e));
+  return {
+    steered,
+    targetCapital: (goal && goal.target) || capitals[0],
+    guard: (goal && goal.x !== undefined) ? goal : null,
+  };
+}
+
+
 // ═══════════════════════════════════════════════════════════════════════════
 // CAPITAL AUTOPILOT
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1127,11 +1454,11 @@ export function capitalAutoPilot(ship, dt, state, showMsg) {
       
     } else {
       // NOT LOCKED - go to position at FULL SPEED
-      // Capitals (CV/BB) need to catch up quickly
-      const isCapital = ship.kind.type === 'CV' || ship.kind.type === 'BB';
+      // Capitals (CV/BB/CA) need to catch up quickly
+      const capital = isCapital(ship.kind);
       
       let approachSpeed, throttle;
-      if (isCapital) {
+      if (capital) {
         // Capitals: FULL SPEED when not in position, slow only when very close
         if (dForm > 100) {
           approachSpeed = ship.kind.maxSpeed;
@@ -1168,12 +1495,15 @@ export function capitalAutoPilot(ship, dt, state, showMsg) {
   
   // This ship IS the commander
   const targets = aliveShips(state.enemy);
-  const enemyCapitals = targets.filter(e => e.alive && (e.kind.type === 'BB' || e.kind.type === 'CV') && canSee(ship.team, e));
   const anyEnemyVisible = targets.some(e => canSee(ship.team, e));
   
   // Initialize route state if needed
   if (!ship.routeState) ship.routeState = 'patrol';
   
+  // An objective to make for comes before hunting the other fleet
+  const { steered, targetCapital, guard } = commanderObjective(ship, targets, dt, state);
+  if (steered) return;
+  
   // Check if we need to plan engagement route (only once when enemy first spotted)
   if (anyEnemyVisible && ship.routeState === 'patrol') {
     // Enemy spotted! Plan engagement route toward enemy position
@@ -1191,8 +1521,7 @@ export function capitalAutoPilot(ship, dt, state, showMsg) {
   }
   
   // If engaging and enemy capital in gun range, do combat maneuvers
-  if (enemyCapitals.length > 0 && ship.routeState === 'engaging') {
-    const targetCapital = enemyCapitals[0];
+  if (targetCapital && ship.routeState === 'engaging') {
     const d = Math.sqrt(dist2(ship.x, ship.y, targetCapital.x, targetCapital.y));
     const gunRange = ship.kind.gunRange || RADAR_RANGE * 0.6;
     
@@ -1205,7 +1534,7 @@ export function capitalAutoPilot(ship, dt, state, showMsg) {
       // In or near gun range - CIRCLE around enemy fleet while maintaining distance
       
       // Initialize strafe direction if not set
-      if (!ship.ai.strafe) ship.ai.strafe = Math.random() > 0.5 ? 1 : -1;
+      if (!ship.ai.strafe) ship.ai.strafe = random(state.rng) > 0.5 ? 1 : -1;
       
       // Calculate orbit point - circle around enemy
       const relA = angleTo(targetCapital.x, targetCapital.y, ship.x, ship.y);
@@ -1232,10 +1561,10 @@ export function capitalAutoPilot(ship, dt, state, showMsg) {
       const orbitY = clamp(targetCapital.y + Math.sin(theta) * orbitR, 200, WORLD.h - 200);
       
       // Occasionally change circle direction
-      if (!ship.ai.strafeChangeTime) ship.ai.strafeChangeTime = state.time + rand(15, 30);
+      if (!ship.ai.strafeChangeTime) ship.ai.strafeChangeTime = state.time + rand(state.rng, 15, 30);
       if (state.time > ship.ai.strafeChangeTime) {
         ship.ai.strafe = -ship.ai.strafe;
-        ship.ai.strafeChangeTime = state.time + rand(15, 30);
+        ship.ai.strafeChangeTime = state.time + rand(state.rng, 15, 30);
       }
       
       ship.plannedPath = [{ x: orbitX, y: orbitY }];
@@ -1263,8 +1592,8 @@ export function capitalAutoPilot(ship, dt, state, showMsg) {
   // Plan initial patrol route if none exists
   if (!ship.plannedPath || ship.plannedPath.length === 0) {
     // Plan a patrol route toward center/enemy side of map
-    const patrolX = ship.team === 'P' ? WORLD.w * 0.6 : WORLD.w * 0.4;
-    const patrolY = rand(WORLD.h * 0.3, WORLD.h * 0.7);
+    const patrolX = guard ? guard.x : (ship.team === 'P' ? WORLD.w * 0.6 : WORLD.w * 0.4);
+    const patrolY = guard ? guard.y : rand(state.rng, WORLD.h * 0.3, WORLD.h * 0.7);
     ship.plannedPath = planCommanderRoute(ship, state, patrolX, patrolY);
     if (ship.plannedPath.length > 0) {
       ship.ai.wpX = ship.plannedPath[0].x;
@@ -1275,13 +1604,13 @@ export function capitalAutoPilot(ship, dt, state, showMsg) {
       ship.ai.wpY = safe.y;
       ship.plannedPath = [{ x: safe.x, y: safe.y }];
     }
-    ship.ai.wpUntil = state.time + rand(15.0, 25.0);
+    ship.ai.wpUntil = state.time + rand(state.rng, 15.0, 25.0);
   }
   
   // If reached end of path, plan new patrol route
   if (ship.plannedPath.length === 0 && ship.routeState === 'patrol') {
-    const patrolX = rand(WORLD.w * 0.3, WORLD.w * 0.7);
-    const patrolY = rand(WORLD.h * 0.3, WORLD.h * 0.7);
+    const patrolX = guard ? guard.x : rand(state.rng, WORLD.w * 0.3, WORLD.w * 0.7);
+    const patrolY = guard ? guard.y : rand(state.rng, WORLD.h * 0.3, WORLD.h * 0.7);
     ship.plannedPath = planCommanderRoute(ship, state, patrolX, patrolY);
     if (ship.plannedPath.length > 0) {
       ship.ai.wpX = ship.plannedPath[0].x;
@@ -1308,13 +1637,16 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
   if (enemies.length === 0) return;
   
   const best = pickTargetDetectable(ship, enemies);
+  const goal = objectiveGoal(ship.team, state);
+  const target = objectiveTarget(ship, best, goal, state);
   const leader = pickCapitalLeader(state.enemy);
+  const subContact = aiShipDuties(ship, enemies, best, dt, state);
   
   // Non-commander ships follow formation (both capitals and escorts)
   if (leader && leader.alive && leader !== ship) {
     const fp = formationPoint(leader, ship, (x, y, pad) => inLand(x, y, pad, state));
     let tgt = { x: clamp(fp.x, 0, WORLD.w), y: clamp(fp.y, 0, WORLD.h) };
-    tgt = avoidHostileBatteries(ship, tgt.x, tgt.y, state);
+    tgt = huntContact(ship, avoidHostileBatteries(ship, tgt.x, tgt.y, state), subContact);
     
     ship.targetWaypoint = { x: tgt.x, y: tgt.y };
     const dForm = Math.sqrt(dist2(ship.x, ship.y, tgt.x, tgt.y));
@@ -1377,10 +1709,10 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
       ship.throttle = clamp((leaderSpeed / ship.kind.maxSpeed) * 100, 0, 100);
     } else {
       // NOT LOCKED - go to position at FULL SPEED
-      const isCapital = ship.kind.type === 'CV' || ship.kind.type === 'BB';
+      const capital = isCapital(ship.kind);
       
       let approachSpeed, throttle;
-      if (isCapital) {
+      if (capital) {
         // Capitals: FULL SPEED when not in position
         if (dForm > 100) {
           approachSpeed = ship.kind.maxSpeed;
@@ -1406,35 +1738,20 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
     }
     
     // Combat - DON'T unlock, just aim turrets
-    if (best) {
-      const d = Math.sqrt(dist2(ship.x, ship.y, best.x, best.y));
-      const tLead = (ship.kind.shellSpeed > 0) ? clamp(d / ship.kind.shellSpeed, 0, 2.5) : 0;
-      const aimX = best.x + best.vx * tLead * 0.70;
-      const aimY = best.y + best.vy * tLead * 0.70;
-      const aimA = angleTo(ship.x, ship.y, aimX, aimY);
-      turretStep(ship, dt, aimA);
-      if (ship.kind.gunRange > 0 && d <= ship.kind.gunRange) {
-        const accuracy = clamp((0.14 + 0.06*lvl) * df.aiAccMult, 0, 0.70);
-        const aligned = Math.abs(normAngle(ship.turret - aimA)) < 0.33;
-        if (aligned) {
-          const distFactor = clamp(d / RADAR_RANGE, 0.65, 1.1);
-          const err = lerp(120, 28, accuracy) * distFactor;
-          const tx = clamp(aimX + rand(-err, err), 0, WORLD.w);
-          const ty = clamp(aimY + rand(-err, err), 0, WORLD.w);
-          tryFireAtPoint(ship, tx, ty, accuracy * 0.75, state, null, (s, x, y) => shotSpotting(s, x, y, state));
-        }
-      }
-      if (ship.missileAmmo > 0 && ship.missileAmmoMax > 0 && ship.kind.missileReload > 0 && d <= RADAR_RANGE && d >= RADAR_RANGE * 0.45 && Math.random() < (0.0045 + 0.0010*lvl) * df.aiAggroMult) {
+    if (target) {
+      aiGunnery(ship, target, dt, state, lvl, df);
+      const d = Math.sqrt(dist2(ship.x, ship.y, target.x, target.y));
+      if (target.kind !== BATTERY && ship.missileAmmo > 0 && ship.missileAmmoMax > 0 && ship.kind.missileReload > 0 && d <= RADAR_RANGE * ship.kind.torpedoRange[1] && d >= RADAR_RANGE * ship.kind.torpedoRange[0] && random(state.rng) < (0.0045 + 0.0010*lvl) * df.aiAggroMult) {
         tryMissile(ship, state, null);
       }
     } else {
       turretStep(ship, dt, ship.heading);
     }
-    if (ship.onFire && ship.extCd <= 0 && Math.random() < 0.55 * dt) tryExtinguish(ship, true, null);
+    aiDamageControl(ship, dt, state);
     if (ship.kind.smokeCooldown > 0 && ship.smokeCd <= 0 && ship.hp < ship.kind.hp * 0.50) {
       const hpRatio = ship.hp / ship.kind.hp;
       const smokeChance = (hpRatio < 0.25) ? 0.8 : ((hpRatio < 0.35) ? 0.4 : 0.15);
-      if (Math.random() < smokeChance * dt) trySmoke(ship, state, null);
+      if (random(state.rng) < smokeChance * dt) trySmoke(ship, state, null);
     }
     return;
   }
@@ -1446,8 +1763,11 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
   // Initialize route state if needed
   if (!ship.routeState) ship.routeState = 'patrol';
   
+  // An objective to make for comes before hunting the other fleet
+  const { steered, targetCapital, guard } = commanderObjective(ship, enemies, dt, state, { target, lvl, df });
+  if (steered) return;
+  
   const anyEnemyVisible = enemies.some(e => canSee(ship.team, e));
-  const enemyCapitals = enemies.filter(e => e.alive && (e.kind.type === 'BB' || e.kind.type === 'CV') && canSee(ship.team, e));
   
   // Check if we need to plan engagement route (only once when enemy first spotted)
   if (anyEnemyVisible && ship.routeState === 'patrol') {
@@ -1465,8 +1785,7 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
   }
   
   // If engaging and enemy capital in gun range, do combat maneuvers
-  if (enemyCapitals.length > 0 && ship.routeState === 'engaging') {
-    const targetCapital = enemyCapitals[0];
+  if (targetCapital && ship.routeState === 'engaging') {
     const d = Math.sqrt(dist2(ship.x, ship.y, targetCapital.x, targetCapital.y));
     const gunRange = ship.kind.gunRange || RADAR_RANGE * 0.6;
     
@@ -1476,8 +1795,10 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
       const orbitR = gunRange * 0.8;
       const relA = angleTo(targetCapital.x, targetCapital.y, ship.x, ship.y);
       const theta = relA + dir * 0.8;
-      const orbitX = clamp(targetCapital.x + Math.cos(theta) * orbitR, 200, WORLD.w - 200);
-      const orbitY = clamp(targetCapital.y + Math.sin(theta) * orbitR, 200, WORLD.h - 200);
+      const { x: orbitX, y: orbitY } = broadsideOrbit(ship, targetCapital, d <= gunRange, {
+        x: clamp(targetCapital.x + Math.cos(theta) * orbitR, 200, WORLD.w - 200),
+        y: clamp(targetCapital.y + Math.sin(theta) * orbitR, 200, WORLD.h - 200),
+      });
       ship.plannedPath = [{ x: orbitX, y: orbitY }];
       
       const adj = avoidLandTarget(ship, orbitX, orbitY, state);
@@ -1485,23 +1806,7 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
       steerToPoint(ship, adj.x, adj.y, dt, ship.kind.maxSpeed * (ship.throttle / 100), state);
       
       // Fire at target
-      const tLead = (ship.kind.shellSpeed > 0) ? clamp(d / ship.kind.shellSpeed, 0, 2.5) : 0;
-      const aimX = targetCapital.x + targetCapital.vx * tLead * 0.70;
-      const aimY = targetCapital.y + targetCapital.vy * tLead * 0.70;
-      const aimA = angleTo(ship.x, ship.y, aimX, aimY);
-      turretStep(ship, dt, aimA);
-      
-      if (ship.kind.gunRange > 0 && d <= ship.kind.gunRange) {
-        const accuracy = clamp((0.14 + 0.06*lvl) * df.aiAccMult, 0, 0.70);
-        const aligned = Math.abs(normAngle(ship.turret - aimA)) < 0.33;
-        if (aligned) {
-          const distFactor = clamp(d / RADAR_RANGE, 0.65, 1.1);
-          const err = lerp(120, 28, accuracy) * distFactor;
-          const fx = clamp(aimX + rand(-err, err), 0, WORLD.w);
-          const fy = clamp(aimY + rand(-err, err), 0, WORLD.h);
-          tryFireAtPoint(ship, fx, fy, accuracy * 0.75, state, null, (s, x, y) => shotSpotting(s, x, y, state));
-        }
-      }
+      aiGunnery(ship, targetCapital, dt, state, lvl, df);
       return;
     }
   }
@@ -1520,8 +1825,8 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
   // Plan initial patrol route if none exists
   if (!ship.plannedPath || ship.plannedPath.length === 0) {
     // Plan a patrol route toward center/enemy side of map
-    const patrolX = ship.team === 'E' ? WORLD.w * 0.4 : WORLD.w * 0.6;
-    const patrolY = rand(WORLD.h * 0.3, WORLD.h * 0.7);
+    const patrolX = guard ? guard.x : (ship.team === 'E' ? WORLD.w * 0.4 : WORLD.w * 0.6);
+    const patrolY = guard ? guard.y : rand(state.rng, WORLD.h * 0.3, WORLD.h * 0.7);
     ship.plannedPath = planCommanderRoute(ship, state, patrolX, patrolY);
     if (ship.plannedPath.length > 0) {
       ship.ai.wpX = ship.plannedPath[0].x;
@@ -1532,13 +1837,13 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
       ship.ai.wpY = safe.y;
       ship.plannedPath = [{ x: safe.x, y: safe.y }];
     }
-    ship.ai.wpUntil = state.time + rand(15.0, 25.0);
+    ship.ai.wpUntil = state.time + rand(state.rng, 15.0, 25.0);
   }
   
   // If reached end of path and still patrolling, plan new patrol route
   if (ship.plannedPath.length === 0 && ship.routeState === 'patrol') {
-    const patrolX = rand(WORLD.w * 0.3, WORLD.w * 0.7);
-    const patrolY = rand(WORLD.h * 0.3, WORLD.h * 0.7);
+    const patrolX = guard ? guard.x : rand(state.rng, WORLD.w * 0.3, WORLD.w * 0.7);
+    const patrolY = guard ? guard.y : rand(state.rng, WORLD.h * 0.3, WORLD.h * 0.7);
     ship.plannedPath = planCommanderRoute(ship, state, patrolX, patrolY);
     if (ship.plannedPath.length > 0) {
       ship.ai.wpX = ship.plannedPath[0].x;
@@ -1553,11 +1858,11 @@ export function aiStep(ship, dt, state, diff, showMsg, autoSupportLaunch) {
   steerToPoint(ship, adj.x, adj.y, dt, ship.kind.maxSpeed * (ship.throttle / 100), state);
   turretStep(ship, dt, ship.heading);
   
-  if (ship.onFire && ship.extCd <= 0 && Math.random() < 0.55 * dt) tryExtinguish(ship, true, null);
+  aiDamageControl(ship, dt, state);
   if (ship.kind.smokeCooldown > 0 && ship.smokeCd <= 0 && ship.hp < ship.kind.hp * 0.50) {
     const hpRatio = ship.hp / ship.kind.hp;
     const smokeChance = (hpRatio < 0.25) ? 0.8 : ((hpRatio < 0.35) ? 0.4 : 0.15);
-    if (Math.random() < smokeChance * dt) trySmoke(ship, state, null);
+    if (random(state.rng) < smokeChance * dt) trySmoke(ship, state, null);
   }
 }
 
@@ -1574,13 +1879,16 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
   if (enemies.length === 0) return;
   
   const best = pickTargetDetectable(ship, enemies);
+  const goal = objectiveGoal(ship.team, state);
+  const target = objectiveTarget(ship, best, goal, state);
   const leader = pickCapitalLeader(state.player);
+  const subContact = aiShipDuties(ship, enemies, best, dt, state);
   
   // Non-commander ships follow formation (both capitals and escorts)
   if (leader && leader.alive && leader !== ship) {
     const fp = formationPoint(leader, ship, (x, y, pad) => inLand(x, y, pad, state));
     let tgt = { x: clamp(fp.x, 0, WORLD.w), y: clamp(fp.y, 0, WORLD.h) };
-    tgt = avoidHostileBatteries(ship, tgt.x, tgt.y, state);
+    tgt = huntContact(ship, avoidHostileBatteries(ship, tgt.x, tgt.y, state), subContact);
     
     ship.targetWaypoint = { x: tgt.x, y: tgt.y };
     const dForm = Math.sqrt(dist2(ship.x, ship.y, tgt.x, tgt.y));
@@ -1644,10 +1952,10 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
       ship.throttle = clamp((leaderSpeed / ship.kind.maxSpeed) * 100, 0, 100);
     } else {
       // NOT LOCKED - go to position at FULL SPEED
-      const isCapital = ship.kind.type === 'CV' || ship.kind.type === 'BB';
+      const capital = isCapital(ship.kind);
       
       let approachSpeed, throttle;
-      if (isCapital) {
+      if (capital) {
         // Capitals: FULL SPEED when not in position
         if (dForm > 100) {
           approachSpeed = ship.kind.maxSpeed;
@@ -1673,35 +1981,20 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
     }
     
     // Combat - DON'T unlock, just aim turrets
-    if (best) {
-      const d = Math.sqrt(dist2(ship.x, ship.y, best.x, best.y));
-      const tLead = (ship.kind.shellSpeed > 0) ? clamp(d / ship.kind.shellSpeed, 0, 2.5) : 0;
-      const aimX = best.x + best.vx * tLead * 0.70;
-      const aimY = best.y + best.vy * tLead * 0.70;
-      const aimA = angleTo(ship.x, ship.y, aimX, aimY);
-      turretStep(ship, dt, aimA);
-      if (ship.kind.gunRange > 0 && d <= ship.kind.gunRange) {
-        const accuracy = clamp((0.14 + 0.06*lvl) * df.aiAccMult, 0, 0.70);
-        const aligned = Math.abs(normAngle(ship.turret - aimA)) < 0.33;
-        if (aligned) {
-          const distFactor = clamp(d / RADAR_RANGE, 0.65, 1.1);
-          const err = lerp(120, 28, accuracy) * distFactor;
-          const tx = clamp(aimX + rand(-err, err), 0, WORLD.w);
-          const ty = clamp(aimY + rand(-err, err), 0, WORLD.h);
-          tryFireAtPoint(ship, tx, ty, accuracy * 0.75, state, null, (s, x, y) => shotSpotting(s, x, y, state));
-        }
-      }
-      if (ship.missileAmmo > 0 && ship.missileAmmoMax > 0 && ship.kind.missileReload > 0 && d <= RADAR_RANGE && d >= RADAR_RANGE * 0.45 && Math.random() < (0.0045 + 0.0010*lvl) * df.aiAggroMult) {
+    if (target) {
+      aiGunnery(ship, target, dt, state, lvl, df);
+      const d = Math.sqrt(dist2(ship.x, ship.y, target.x, target.y));
+      if (target.kind !== BATTERY && ship.missileAmmo > 0 && ship.missileAmmoMax > 0 && ship.kind.missileReload > 0 && d <= RADAR_RANGE * ship.kind.torpedoRange[1] && d >= RADAR_RANGE * ship.kind.torpedoRange[0] && random(state.rng) < (0.0045 + 0.0010*lvl) * df.aiAggroMult) {
         tryMissile(ship, state, null);
       }
     } else {
       turretStep(ship, dt, ship.heading);
     }
-    if (ship.onFire && ship.extCd <= 0 && Math.random() < 0.55 * dt) tryExtinguish(ship, true, null);
+    aiDamageControl(ship, dt, state);
     if (ship.kind.smokeCooldown > 0 && ship.smokeCd <= 0 && ship.hp < ship.kind.hp * 0.50) {
       const hpRatio = ship.hp / ship.kind.hp;
       const smokeChance = (hpRatio < 0.25) ? 0.8 : ((hpRatio < 0.35) ? 0.4 : 0.15);
-      if (Math.random() < smokeChance * dt) trySmoke(ship, state, null);
+      if (random(state.rng) < smokeChance * dt) trySmoke(ship, state, null);
     }
     return;
   }
@@ -1713,8 +2006,11 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
   // Initialize route state if needed
   if (!ship.routeState) ship.routeState = 'patrol';
   
+  // An objective to make for comes before hunting the other fleet
+  const { steered, targetCapital, guard } = commanderObjective(ship, enemies, dt, state, { target, lvl, df });
+  if (steered) return;
+  
   const anyEnemyVisible = enemies.some(e => canSee(ship.team, e));
-  const enemyCapitals = enemies.filter(e => e.alive && (e.kind.type === 'BB' || e.kind.type === 'CV') && canSee(ship.team, e));
   
   // Check if we need to plan engagement route (only once when enemy first spotted)
   if (anyEnemyVisible && ship.routeState === 'patrol') {
@@ -1732,8 +2028,7 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
   }
   
   // If engaging and enemy capital in gun range, do combat maneuvers
-  if (enemyCapitals.length > 0 && ship.routeState === 'engaging') {
-    const targetCapital = enemyCapitals[0];
+  if (targetCapital && ship.routeState === 'engaging') {
     const d = Math.sqrt(dist2(ship.x, ship.y, targetCapital.x, targetCapital.y));
     const gunRange = ship.kind.gunRange || RADAR_RANGE * 0.6;
     
@@ -1743,8 +2038,10 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
       const orbitR = gunRange * 0.8;
       const relA = angleTo(targetCapital.x, targetCapital.y, ship.x, ship.y);
       const theta = relA + dir * 0.8;
-      const orbitX = clamp(targetCapital.x + Math.cos(theta) * orbitR, 200, WORLD.w - 200);
-      const orbitY = clamp(targetCapital.y + Math.sin(theta) * orbitR, 200, WORLD.h - 200);
+      const { x: orbitX, y: orbitY } = broadsideOrbit(ship, targetCapital, d <= gunRange, {
+        x: clamp(targetCapital.x + Math.cos(theta) * orbitR, 200, WORLD.w - 200),
+        y: clamp(targetCapital.y + Math.sin(theta) * orbitR, 200, WORLD.h - 200),
+      });
       ship.plannedPath = [{ x: orbitX, y: orbitY }];
       
       const adj = avoidLandTarget(ship, orbitX, orbitY, state);
@@ -1752,23 +2049,7 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
       steerToPoint(ship, adj.x, adj.y, dt, ship.kind.maxSpeed * (ship.throttle / 100), state);
       
       // Fire at target
-      const tLead = (ship.kind.shellSpeed > 0) ? clamp(d / ship.kind.shellSpeed, 0, 2.5) : 0;
-      const aimX = targetCapital.x + targetCapital.vx * tLead * 0.70;
-      const aimY = targetCapital.y + targetCapital.vy * tLead * 0.70;
-      const aimA = angleTo(ship.x, ship.y, aimX, aimY);
-      turretStep(ship, dt, aimA);
-      
-      if (ship.kind.gunRange > 0 && d <= ship.kind.gunRange) {
-        const accuracy = clamp((0.14 + 0.06*lvl) * df.aiAccMult, 0, 0.70);
-        const aligned = Math.abs(normAngle(ship.turret - aimA)) < 0.33;
-        if (aligned) {
-          const distFactor = clamp(d / RADAR_RANGE, 0.65, 1.1);
-          const err = lerp(120, 28, accuracy) * distFactor;
-          const fx = clamp(aimX + rand(-err, err), 0, WORLD.w);
-          const fy = clamp(aimY + rand(-err, err), 0, WORLD.h);
-          tryFireAtPoint(ship, fx, fy, accuracy * 0.75, state, null, (s, x, y) => shotSpotting(s, x, y, state));
-        }
-      }
+      aiGunnery(ship, targetCapital, dt, state, lvl, df);
       return;
     }
   }
@@ -1786,8 +2067,8 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
   
   // Plan initial patrol route if none exists
   if (!ship.plannedPath || ship.plannedPath.length === 0) {
-    const patrolX = ship.team === 'P' ? WORLD.w * 0.6 : WORLD.w * 0.4;
-    const patrolY = rand(WORLD.h * 0.3, WORLD.h * 0.7);
+    const patrolX = guard ? guard.x : (ship.team === 'P' ? WORLD.w * 0.6 : WORLD.w * 0.4);
+    const patrolY = guard ? guard.y : rand(state.rng, WORLD.h * 0.3, WORLD.h * 0.7);
     ship.plannedPath = planCommanderRoute(ship, state, patrolX, patrolY);
     if (ship.plannedPath.length > 0) {
       ship.ai.wpX = ship.plannedPath[0].x;
@@ -1798,13 +2079,13 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
       ship.ai.wpY = safe.y;
       ship.plannedPath = [{ x: safe.x, y: safe.y }];
     }
-    ship.ai.wpUntil = state.time + rand(15.0, 25.0);
+    ship.ai.wpUntil = state.time + rand(state.rng, 15.0, 25.0);
   }
   
   // If reached end of path and still patrolling, plan new patrol route
   if (ship.plannedPath.length === 0 && ship.routeState === 'patrol') {
-    const patrolX = rand(WORLD.w * 0.3, WORLD.w * 0.7);
-    const patrolY = rand(WORLD.h * 0.3, WORLD.h * 0.7);
+    const patrolX = guard ? guard.x : rand(state.rng, WORLD.w * 0.3, WORLD.w * 0.7);
+    const patrolY = guard ? guard.y : rand(state.rng, WORLD.h * 0.3, WORLD.h * 0.7);
     ship.plannedPath = planCommanderRoute(ship, state, patrolX, patrolY);
     if (ship.plannedPath.length > 0) {
       ship.ai.wpX = ship.plannedPath[0].x;
@@ -1819,10 +2100,10 @@ export function aiStepPlayer(ship, dt, state, diff, showMsg, autoSupportLaunch)
   steerToPoint(ship, adj.x, adj.y, dt, ship.kind.maxSpeed * (ship.throttle / 100), state);
   turretStep(ship, dt, ship.heading);
   
-  if (ship.onFire && ship.extCd <= 0 && Math.random() < 0.55 * dt) tryExtinguish(ship, true, null);
+  aiDamageControl(ship, dt, state);
   if (ship.kind.smokeCooldown > 0 && ship.smokeCd <= 0 && ship.hp < ship.kind.hp * 0.50) {
     const hpRatio = ship.hp / ship.kind.hp;
     const smokeChance = (hpRatio < 0.25) ? 0.8 : ((hpRatio < 0.35) ? 0.4 : 0.15);
-    if (Math.random() < smokeChance * dt) trySmoke(ship, state, null);
+    if (random(state.rng) < smokeChance * dt) trySmoke(ship, state, null);
   }
 }
@@ -0,0 +1,731 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// AIR MODULE - Recon planes, fighter and strike sorties, aircraft guns, flak and launch logic
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { 
+  WORLD, TAU, FX, RADAR_RANGE, RECON, RECON_V2, FIGHTER, FIGHTER_V2, 
+  STRIKE, STRIKE_RANGE, MAX_SORTIES, MISSILE, AA, SIGHT 
+} from './config.js';
+import { clamp, dist2, rand, random, interceptPoint } from './utils.js';
+import { revealToTeam, damageShip, canSee, launchTorpedo } from './combat.js';
+import { inLand, teamHasContact } from './ai.js';
+import { isCapital } from './ships.js';
+import { flightBan } from './weather.js';
+import { sightBlocked } from './sight.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECON & AIRCRAFT - Single Sortie System (2 planes per launch, 30s fuel)
+// ═══════════════════════════════════════════════════════════════════════════
+const AIRCRAFT_FUEL_TIME = 30.0; // 30 seconds of fuel
+const STRIKE_FUEL_TIME = 45.0;   // Strike planes carry more fuel for the run out and back
+
+function isInGreyZone(x, y, team, state) {
+  const allies = (team === 'P') ? state.player : state.enemy;
+  for (const s of allies) {
+    if (!s || !s.alive) continue;
+    if (dist2(x, y, s.x, s.y) <= RADAR_RANGE * RADAR_RANGE) return false;
+  }
+  const AIRCRAFT_VISION = RADAR_RANGE * 1.2;
+  for (const a of state.aircraft) {
+    if (!a || a.team !== team || a.ttl <= 0 || a.hp <= 0) continue;
+    if (dist2(x, y, a.x, a.y) <= AIRCRAFT_VISION * AIRCRAFT_VISION) return false;
+  }
+  for (const r of (state.recons || [])) {
+    if (!r || r.team !== team) continue;
+    if (dist2(x, y, r.x, r.y) <= RECON.vision * RECON.vision) return false;
+  }
+  for (const b of state.batteries) {
+    if (!b || !b.alive || b.team !== team) continue;
+    const range = b.kind.gunRange || RADAR_RANGE;
+    if (dist2(x, y, b.x, b.y) <= range * range) return false;
+  }
+  return true;
+}
+
+function reconPickWaypoint(state, team = 'P', preferredQuadrant = -1) {
+  for (let i = 0; i < 30; i++) {
+    let x, y;
+    if (preferredQuadrant >= 0) {
+      const qx = preferredQuadrant % 2;
+      const qy = Math.floor(preferredQuadrant / 2);
+      x = rand(state.rng, WORLD.w * qx * 0.5 + 100, WORLD.w * (qx + 1) * 0.5 - 100);
+      y = rand(state.rng, WORLD.h * qy * 0.5 + 100, WORLD.h * (qy + 1) * 0.5 - 100);
+    } else {
+      x = rand(state.rng, 220, WORLD.w - 220);
+      y = rand(state.rng, 220, WORLD.h - 220);
+    }
+    if (!inLand(x, y, 36, state) && isInGreyZone(x, y, team, state)) {
+      return { x, y };
+    }
+  }
+  for (let i = 0; i < 12; i++) {
+    const x = rand(state.rng, 220, WORLD.w - 220);
+    const y = rand(state.rng, 220, WORLD.h - 220);
+    if (!inLand(x, y, 36, state)) return { x, y };
+  }
+  return { x: rand(state.rng, 220, WORLD.w - 220), y: rand(state.rng, 220, WORLD.h - 220) };
+}
+
+// A carrier's planes in the air: recons, fighters and strike planes (planes), and
+// the sorties of two they fly in
+function planesAloft(ship, state) {
+  const recons = (state.recons || []).filter(r => r && r.homeShip === ship).length;
+  const planes = state.aircraft.filter(a => a && a.homeShip === ship && a.ttl > 0 && a.hp > 0).length;
+  return { recons, planes, sorties: Math.ceil(recons / 2) + Math.ceil(planes / 2) };
+}
+
+const activeSorties = (ship, state) => planesAloft(ship, state).sorties;
+
+// Launch a single recon sortie (2 planes that split up)
+export function tryLaunchReconSortie(ship, state, showMsg, silent = false) {
+  if (!ship || !ship.alive) return;
+  if (!ship.kind.airWing) {
+    if (!silent && ship.team === 'P') showMsg('Recon sorties only on Carriers');
+    return;
+  }
+  const noFly = flightBan(state);
+  if (noFly) {
+    if (!silent && ship.team === 'P') showMsg(noFly);
+    return;
+  }
+  
+  const airborne = activeSorties(ship, state);
+  if (airborne >= MAX_SORTIES) {
+    if (!silent && ship.team === 'P') showMsg(`Max sorties airborne (${MAX_SORTIES})`);
+    return;
+  }
+  
+  // Short cooldown between launches (not blocking all sorties)
+  if (ship.airCd > 0) {
+    if (!silent && ship.team === 'P') showMsg(`Launch deck busy ${ship.airCd.toFixed(1)}s`);
+    return;
+  }
+  
+  if (!state.recons) state.recons = [];
+  const team = ship.team;
+  const sortieIndex = state.time; // Unique sortie ID
+  
+  // Launch 2 recon planes that split up to different quadrants
+  const quads = [rand(state.rng, 0, 1) < 0.5 ? 0 : 1, rand(state.rng, 0, 1) < 0.5 ? 2 : 3];
+  
+  for (let i = 0; i < 2; i++) {
+    const spreadAngle = Math.PI * 0.35;
+    const launchAngle = ship.heading + (i === 0 ? -spreadAngle : spreadAngle);
+    const wp = reconPickWaypoint(state, team, quads[i]);
+    
+    const r = {
+      team, x: ship.x, y: ship.y, a: launchAngle,
+      vx: Math.cos(launchAngle) * RECON.speed, 
+      vy: Math.sin(launchAngle) * RECON.speed,
+      homeShip: ship, homeX: ship.x, homeY: ship.y,
+      ttl: AIRCRAFT_FUEL_TIME, mode: 'patrol', 
+      wpX: wp.x, wpY: wp.y, wpUntil: state.time + rand(state.rng, 3.8, 6.2),
+      spotted: new Set(),
+      hp: RECON.hp,
+      sortieIndex: sortieIndex,
+      planeIndex: i,
+      preferredQuadrant: quads[i],
+    };
+    state.recons.push(r);
+  }
+  
+  ship.airCd = 3.0; // Short cooldown between launches
+  if (!silent && team === 'P') showMsg(`Recon sortie launched (${airborne + 1}/${MAX_SORTIES})`);
+}
+
+// Launch a single fighter sortie (2 planes that fly together)
+export function tryLaunchFighterSortie(ship, state, showMsg, silent = false) {
+  if (!ship || !ship.alive) return;
+  if (!ship.kind.airWing) {
+    if (!silent && ship.team === 'P') showMsg('Fighter sorties only on Carriers');
+    return;
+  }
+  const noFly = flightBan(state);
+  if (noFly) {
+    if (!silent && ship.team === 'P') showMsg(noFly);
+    return;
+  }
+  
+  const airborne = activeSorties(ship, state);
+  if (airborne >= MAX_SORTIES) {
+    if (!silent && ship.team === 'P') showMsg(`Max sorties airborne (${MAX_SORTIES})`);
+    return;
+  }
+  
+  // Short cooldown between launches
+  if (ship.airCd > 0) {
+    if (!silent && ship.team === 'P') showMsg(`Launch deck busy ${ship.airCd.toFixed(1)}s`);
+    return;
+  }
+  
+  const team = ship.team;
+  const a = ship.heading;
+  const nx = -Math.sin(a), ny = Math.cos(a);
+  const baseX = ship.x + Math.cos(a) * (ship.kind.radius + 12);
+  const baseY = ship.y + Math.sin(a) * (ship.kind.radius + 12);
+  const sortieIndex = state.time;
+  
+  const patrolDist = rand(state.rng, 300, 500);
+  const wpX = clamp(ship.x + Math.cos(a) * patrolDist, 100, WORLD.w - 100);
+  const wpY = clamp(ship.y + Math.sin(a) * patrolDist, 100, WORLD.h - 100);
+  
+  const fighters = [];
+  for (let i = 0; i < 2; i++) {
+    const side = i === 0 ? -1 : 1;
+    const fighter = {
+      team, hp: FIGHTER.hp,
+      x: baseX + nx * side * 12, y: baseY + ny * side * 12, a,
+      vx: Math.cos(a) * FIGHTER.speed, vy: Math.sin(a) * FIGHTER.speed,
+      ttl: AIRCRAFT_FUEL_TIME, mode: 'patrol', 
+      homeShip: ship, homeX: ship.x, homeY: ship.y,
+      wpX: wpX + nx * side * 30, wpY: wpY + ny * side * 30,
+      wpUntil: state.time + rand(state.rng, 2.5, 4.0), 
+      gunCd: rand(state.rng, 0, FIGHTER.fireEvery),
+      sortieIndex: sortieIndex,
+      wingman: null,
+      planeIndex: i,
+      role: 'fighter',
+    };
+    fighters.push(fighter);
+    state.aircraft.push(fighter);
+  }
+  
+  // Link wingmen
+  fighters[0].wingman = fighters[1];
+  fighters[1].wingman = fighters[0];
+  
+  ship.airCd = 3.0; // Short cooldown between launches
+  if (!silent && team === 'P') showMsg(`Fighter sortie launched (${airborne + 1}/${MAX_SORTIES})`);
+}
+
+// Launch a strike (2 torpedo or dive bombers) at one enemy ship
+export function tryLaunchStrike(ship, role, target, state, showMsg, silent = false) {
+  if (!ship || !ship.alive) return;
+  const spec = STRIKE[role];
+  if (!ship.kind.airWing || !spec) {
+    if (!silent && ship.team === 'P') showMsg('Strikes only on Carriers');
+    return;
+  }
+  const noFly = flightBan(state);
+  if (noFly) {
+    if (!silent && ship.team === 'P') showMsg(noFly);
+    return;
+  }
+  if (!target || !target.alive) {
+    if (!silent && ship.team === 'P') showMsg('No target spotted');
+    return;
+  }
+  
+  const airborne = activeSorties(ship, state);
+  if (airborne >= MAX_SORTIES) {
+    if (!silent && ship.team === 'P') showMsg(`Max sorties airborne (${MAX_SORTIES})`);
+    return;
+  }
+  
+  if (ship.airCd > 0) {
+    if (!silent && ship.team === 'P') showMsg(`Launch deck busy ${ship.airCd.toFixed(1)}s`);
+    return;
+  }
+  
+  const team = ship.team;
+  const a = ship.heading;
+  const nx = -Math.sin(a), ny = Math.cos(a);
+  const baseX = ship.x + Math.cos(a) * (ship.kind.radius + 12);
+  const baseY = ship.y + Math.sin(a) * (ship.kind.radius + 12);
+  
+  const planes = [];
+  for (let i = 0; i < 2; i++) {
+    const side = i === 0 ? -1 : 1;
+    const plane = {
+      team, role, hp: spec.hp, radius: spec.radius,
+      x: baseX + nx * side * 12, y: baseY + ny * side * 12, a,
+      vx: Math.cos(a) * spec.speed, vy: Math.sin(a) * spec.speed,
+      ttl: STRIKE_FUEL_TIME, mode: 'strike', target,
+      homeShip: ship, homeX: ship.x, homeY: ship.y,
+      sortieIndex: state.time,
+      wingman: null,
+      planeIndex: i,
+    };
+    planes.push(plane);
+    state.aircraft.push(plane);
+  }
+  planes[0].wingman = planes[1];
+  planes[1].wingman = planes[0];
+  
+  ship.airCd = 3.0;
+  if (!silent && team === 'P') showMsg(`${spec.name} strike on ${target.tag} (${airborne + 1}/${MAX_SORTIES})`);
+}
+
+// Closest enemy ship the team has spotted to a point (strike target picking)
+export function strikeTargetNear(team, x, y, state, maxRange = Infinity) {
+  const enemies = (team === 'P') ? state.enemy : state.player;
+  let best = null, bestD2 = maxRange * maxRange;
+  for (const e of enemies) {
+    if (!e.alive || e.depth === 'submerged' || !canSee(team, e)) continue;
+    const d2 = dist2(x, y, e.x, e.y);
+    if (d2 < bestD2) { bestD2 = d2; best = e; }
+  }
+  return best;
+}
+
+// Single catapult recon plane (classes with recon: 'plane'); carriers go through the sortie system
+export function tryRecon(ship, state, showMsg, silent = false) {
+  if (!ship || !ship.alive) return;
+  if (ship.kind.recon !== 'plane' && !ship.kind.airWing) {
+    if (!silent && ship.team === 'P') showMsg('No recon plane aboard');
+    return;
+  }
+  const noFly = flightBan(state);
+  if (noFly) {
+    if (!silent && ship.team === 'P') showMsg(noFly);
+    return;
+  }
+  if (!('reconCd' in ship)) ship.reconCd = 0;
+  if (!state.recons) state.recons = [];
+  
+  // For CV, use sortie system
+  if (ship.kind.airWing) {
+    tryLaunchReconSortie(ship, state, showMsg, silent);
+    return;
+  }
+  
+  // BB gets single recon plane
+  for (const r of state.recons) {
+    if (r && r.homeShip === ship) {
+      if (!silent && ship.team === 'P') showMsg('Recon plane already airborne');
+      return;
+    }
+  }
+  if (ship.reconCd > 0) {
+    if (!silent && ship.team === 'P') showMsg(`Recon rearming ${ship.reconCd.toFixed(1)}s`);
+    return;
+  }
+  
+  const team = ship.team;
+  const wp = reconPickWaypoint(state, team);
+  
+  const r = {
+    team, x: ship.x, y: ship.y, a: ship.heading,
+    vx: Math.cos(ship.heading) * RECON.speed, 
+    vy: Math.sin(ship.heading) * RECON.speed,
+    homeShip: ship, homeX: ship.x, homeY: ship.y,
+    ttl: AIRCRAFT_FUEL_TIME, mode: 'patrol', 
+    wpX: wp.x, wpY: wp.y, wpUntil: state.time + rand(state.rng, 3.8, 6.2),
+    spotted: new Set(),
+    hp: RECON.hp,
+    planeIndex: 0,
+  };
+  state.recons.push(r);
+  
+  ship.reconCd = RECON.cooldown;
+  if (!silent && team === 'P') showMsg('Recon plane launched');
+}
+
+export function reconStep(dt, state, showMsg) {
+  for (const s of state.player) { if (s && s.alive && s.reconCd > 0) s.reconCd = Math.max(0, s.reconCd - dt); }
+  for (const s of state.enemy) { if (s && s.alive && s.reconCd > 0) s.reconCd = Math.max(0, s.reconCd - dt); }
+  if (!state.recons || state.recons.length === 0) return;
+  const next = [];
+  for (const r of state.recons) {
+    if (!r || r.shotDown) continue;
+    r.ttl -= dt;
+    if (r.ttl <= 0 && r.mode !== 'return') r.mode = 'return';
+    const targets = (r.team === 'P') ? state.enemy : state.player;
+    for (const e of targets) {
+      if (!e.alive) continue;
+      if (dist2(r.x, r.y, e.x, e.y) > RECON_V2 || sightBlocked(r.x, r.y, e.x, e.y, SIGHT.plane, state)) continue;
+      revealToTeam(e, r.team, state);
+      r.spotted.add(e);
+    }
+    const aliveTargets = targets.filter(e => e.alive);
+    if (r.mode === 'patrol') {
+      let allSpotted = aliveTargets.length > 0;
+      for (const e of aliveTargets) { if (!r.spotted.has(e)) { allSpotted = false; break; } }
+      if (allSpotted) r.mode = 'return';
+    }
+    const homeAlive = r.homeShip && r.homeShip.alive;
+    const homeX = homeAlive ? r.homeShip.x : r.homeX;
+    const homeY = homeAlive ? r.homeShip.y : r.homeY;
+    if (r.mode === 'patrol') {
+      if (state.time > r.wpUntil || dist2(r.x, r.y, r.wpX, r.wpY) < 140*140) {
+        const wp = reconPickWaypoint(state, r.team, r.preferredQuadrant);
+        r.wpX = wp.x; r.wpY = wp.y;
+        r.wpUntil = state.time + rand(state.rng, 3.8, 6.2);
+      }
+      const desired = Math.atan2(r.wpY - r.y, r.wpX - r.x);
+      const turn = clamp((desired - r.a + Math.PI * 3) % (Math.PI * 2) - Math.PI, -1, 1);
+      r.a += turn * RECON.turnRate * dt;
+    } else {
+      const desired = Math.atan2(homeY - r.y, homeX - r.x);
+      const turn = clamp((desired - r.a + Math.PI * 3) % (Math.PI * 2) - Math.PI, -1, 1);
+      r.a += turn * RECON.turnRate * 1.05 * dt;
+    }
+    r.vx = Math.cos(r.a) * RECON.speed;
+    r.vy = Math.sin(r.a) * RECON.speed;
+    r.x += r.vx * dt;
+    r.y += r.vy * dt;
+    r.x = clamp(r.x, 0, WORLD.w);
+    r.y = clamp(r.y, 0, WORLD.h);
+    if (r.mode === 'return' && dist2(r.x, r.y, homeX, homeY) < 40*40) {
+      if (r.team === 'P') showMsg('Recon plane landed');
+      continue;
+    }
+    // Out of fuel and not home yet - crash
+    if (r.ttl <= -5) {
+      if (r.team === 'P') showMsg('Recon plane out of fuel!');
+      continue;
+    }
+    next.push(r);
+  }
+  state.recons = next;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FIGHTERS - Fly together as wingmen, attack enemy aircraft, 30s fuel
+// ═══════════════════════════════════════════════════════════════════════════
+export function airStep(dt, state, showMsg) {
+  for (const a of state.aircraft) {
+    a.ttl -= dt;
+    if (a.hp <= 0) a.ttl = 0;
+    if (STRIKE[a.role]) { strikeStep(a, dt, state, showMsg); continue; }
+    a.gunCd = Math.max(0, a.gunCd - dt);
+    
+    // Start returning when fuel is low (5s reserve for landing)
+    if (a.ttl <= 5 && a.mode !== 'return') a.mode = 'return';
+    
+    const homeAlive = a.homeShip && a.homeShip.alive;
+    const homeX = homeAlive ? a.homeShip.x : a.homeX;
+    const homeY = homeAlive ? a.homeShip.y : a.homeY;
+    
+    // Reveal enemy ships in vision range
+    const targetsForVision = (a.team === 'P') ? state.enemy : state.player;
+    for (const s of targetsForVision) {
+      if (!s.alive) continue;
+      if (dist2(a.x, a.y, s.x, s.y) <= FIGHTER_V2 && !sightBlocked(a.x, a.y, s.x, s.y, SIGHT.plane, state)) revealToTeam(s, a.team, state);
+    }
+    
+    // Find enemy aircraft (fighters or recons) to attack
+    let tgt = null, bestD2 = Infinity;
+    
+    for (const o of state.aircraft) {
+      if (!o || o.team === a.team) continue;
+      if (o.ttl <= 0 || o.hp <= 0) continue;
+      const d2 = dist2(a.x, a.y, o.x, o.y);
+      if (d2 < bestD2) { bestD2 = d2; tgt = o; }
+    }
+    
+    for (const r of (state.recons || [])) {
+      if (!r || r.team === a.team || r.shotDown) continue;
+      const d2 = dist2(a.x, a.y, r.x, r.y);
+      if (d2 < bestD2) { bestD2 = d2; tgt = r; }
+    }
+    
+    // Only engage if not returning and target in range
+    if (a.mode !== 'return' && tgt && bestD2 < 900*900) a.mode = 'attack';
+    if (a.mode === 'attack' && (!tgt || bestD2 > 1200*1200)) a.mode = 'patrol';
+    
+    let desiredAngle = a.a;
+    if (a.mode === 'patrol') {
+      const wingman = a.wingman;
+      const wingmanAlive = wingman && wingman.ttl > 0 && wingman.hp > 0;
+      
+      if (state.time > a.wpUntil || dist2(a.x, a.y, a.wpX, a.wpY) < 140*140) {
+        if (wingmanAlive && a.planeIndex === 1) {
+          const wpa = wingman.a + (random(state.rng) - 0.5) * 0.3;
+          const wpd = rand(state.rng, 40, 80);
+          a.wpX = clamp(wingman.x + Math.cos(wpa) * wpd, 0, WORLD.w);
+          a.wpY = clamp(wingman.y + Math.sin(wpa) * wpd, 0, WORLD.h);
+        } else {
+          const wpa = rand(state.rng, 0, TAU);
+          const wpd = rand(state.rng, 260, 520);
+          a.wpX = clamp(homeX + Math.cos(wpa) * wpd, 0, WORLD.w);
+          a.wpY = clamp(homeY + Math.sin(wpa) * wpd, 0, WORLD.h);
+        }
+        a.wpUntil = state.time + rand(state.rng, 2.2, 3.8);
+      }
+      desiredAngle = Math.atan2(a.wpY - a.y, a.wpX - a.x);
+      
+    } else if (a.mode === 'attack' && tgt) {
+      desiredAngle = Math.atan2(tgt.y - a.y, tgt.x - a.x);
+      const d = Math.sqrt(bestD2);
+      
+      if (d <= FIGHTER.gunRange && a.gunCd <= 0) {
+        a.gunCd = FIGHTER.fireEvery;
+        const vx = Math.cos(a.a) * FIGHTER.bulletSpeed;
+        const vy = Math.sin(a.a) * FIGHTER.bulletSpeed;
+        state.bullets.push({ 
+          kind: 'air', team: a.team, x: a.x, y: a.y, vx, vy, 
+          ttl: 0.60, dmg: FIGHTER.dmg 
+        });
+      }
+      
+      // Alert wingman
+      const wingman = a.wingman;
+      if (wingman && wingman.ttl > 0 && wingman.hp > 0 && wingman.mode === 'patrol') {
+        wingman.mode = 'attack';
+      }
+      
+    } else {
+      // Return to carrier
+      desiredAngle = Math.atan2(homeY - a.y, homeX - a.x);
+    }
+    
+    const AIRCRAFT_TURN_RATE = 1.2;
+    const angleDiff = ((desiredAngle - a.a + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+    const maxTurn = AIRCRAFT_TURN_RATE * dt;
+    const turnAmount = clamp(angleDiff, -maxTurn, maxTurn) * 0.7;
+    a.a += turnAmount;
+    
+    a.vx = Math.cos(a.a) * FIGHTER.speed;
+    a.vy = Math.sin(a.a) * FIGHTER.speed;
+    a.x += a.vx * dt;
+    a.y += a.vy * dt;
+    a.x = clamp(a.x, 0, WORLD.w);
+    a.y = clamp(a.y, 0, WORLD.h);
+    
+    // Land on carrier
+    if (a.mode === 'return' && dist2(a.x, a.y, homeX, homeY) < 40*40) {
+      if (a.team === 'P') showMsg('Fighter landed');
+      a.ttl = -999;
+    }
+    
+    // Out of fuel crash
+    if (a.ttl <= -5) {
+      if (a.team === 'P') showMsg('Fighter out of fuel!');
+      a.ttl = -999;
+    }
+  }
+  state.aircraft = state.aircraft.filter(a => a.ttl > -100 && a.hp > 0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STRIKE AIRCRAFT - Fly to a target ship, make one attack run, fly home
+// ═══════════════════════════════════════════════════════════════════════════
+function strikeStep(a, dt, state, showMsg) {
+  const spec = STRIKE[a.role];
+  if (a.ttl <= 5 && a.mode !== 'return') a.mode = 'return';
+  
+  const homeAlive = a.homeShip && a.homeShip.alive;
+  const homeX = homeAlive ? a.homeShip.x : a.homeX;
+  const homeY = homeAlive ? a.homeShip.y : a.homeY;
+  
+  const enemies = (a.team === 'P') ? state.enemy : state.player;
+  for (const s of enemies) {
+    if (!s.alive) continue;
+    if (dist2(a.x, a.y, s.x, s.y) <= FIGHTER_V2 && !sightBlocked(a.x, a.y, s.x, s.y, SIGHT.plane, state)) revealToTeam(s, a.team, state);
+  }
+  
+  // Target sunk or gone deep - take the nearest other contact, or go home
+  if (a.mode === 'strike' && (!a.target || !a.target.alive || a.target.depth === 'submerged')) {
+    a.target = strikeTargetNear(a.team, a.x, a.y, state, STRIKE_RANGE);
+    if (!a.target) a.mode = 'return';
+  }
+  
+  let desiredAngle;
+  if (a.mode === 'strike') {
+    const t = a.target;
+    const d = Math.sqrt(dist2(a.x, a.y, t.x, t.y));
+    if (a.role === 'torpedo') {
+      // Aim where the ship will be when the torpedo arrives
+      const p = interceptPoint(a.x, a.y, MISSILE.speed, t.x, t.y, t.vx || 0, t.vy || 0);
+      desiredAngle = p ? Math.atan2(p.y - a.y, p.x - a.x) : Math.atan2(t.y - a.y, t.x - a.x);
+      const off = Math.abs(((desiredAngle - a.a + Math.PI * 3) % (Math.PI * 2)) - Math.PI);
+      if (d <= spec.dropRange && off < spec.dropArc) {
+        state.missiles.push(launchTorpedo(a.team, a.x, a.y, desiredAngle, false));
+        a.mode = 'return';
+        if (a.team === 'P' && a.planeIndex === 0) showMsg('Torpedo bombers: torpedoes away');
+      }
+    } else {
+      desiredAngle = Math.atan2(t.y - a.y, t.x - a.x);
+      if (d <= spec.releaseRange) {
+        if (random(state.rng) < spec.hitChance) {
+          damageShip(t, spec.bombDmg, 'bomb', state, a.x, a.y);
+          state.fx.push({ type: 'boom', x: t.x, y: t.y, until: state.time + FX.boomTtl });
+        } else {
+          const mx = a.x + rand(state.rng, -30, 30), my = a.y + rand(state.rng, -30, 30);
+          state.fx.push({ type: 'splash', x: mx, y: my, until: state.time + FX.splashTtl });
+        }
+        a.mode = 'return';
+      }
+    }
+  } else {
+    desiredAngle = Math.atan2(homeY - a.y, homeX - a.x);
+  }
+  
+  const AIRCRAFT_TURN_RATE = 1.2;
+  const angleDiff = ((desiredAngle - a.a + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+  const maxTurn = AIRCRAFT_TURN_RATE * dt;
+  a.a += clamp(angleDiff, -maxTurn, maxTurn) * 0.7;
+  
+  a.vx = Math.cos(a.a) * spec.speed;
+  a.vy = Math.sin(a.a) * spec.speed;
+  a.x = clamp(a.x + a.vx * dt, 0, WORLD.w);
+  a.y = clamp(a.y + a.vy * dt, 0, WORLD.h);
+  
+  if (a.mode === 'return' && dist2(a.x, a.y, homeX, homeY) < 40*40) {
+    if (a.team === 'P') showMsg(`${spec.name} landed`);
+    a.ttl = -999;
+  } else if (a.ttl <= -5) {
+    if (a.team === 'P') showMsg(`${spec.name} out of fuel!`);
+    a.ttl = -999;
+  }
+}
+
+export function bulletsStep(dt, state) {
+  for (const b of state.bullets) {
+    b.ttl -= dt;
+    b.x += b.vx * dt;
+    b.y += b.vy * dt;
+    if (b.ttl > 0 && inLand(b.x, b.y, 2.5, state)) b.ttl = 0;
+  }
+  for (const b of state.bullets) {
+    if (b.ttl <= 0) continue;
+    if (b.kind !== 'air') continue;
+    
+    // Hit enemy fighters
+    for (const t of state.aircraft) {
+      if (!t || t.team === b.team) continue;
+      if (t.ttl <= 0 || t.hp <= 0) continue;
+      const r = (t.radius || FIGHTER.radius) + 2.5;
+      if (dist2(b.x, b.y, t.x, t.y) <= r*r) {
+        b.ttl = 0;
+        t.hp -= b.dmg;
+        state.fx.push({ type: 'hit', x: b.x, y: b.y, until: state.time + FX.hitTtl });
+        if (t.hp <= 0) {
+          t.ttl = 0;
+          // Plane crash effect with emoji
+          state.fx.push({ type: 'planeCrash', x: t.x, y: t.y, until: state.time + 1.5, vx: t.vx * 0.3, vy: t.vy * 0.3 + 50 });
+          state.fx.push({ type: 'boom', x: t.x, y: t.y, until: state.time + FX.boomTtl });
+        }
+        break;
+      }
+    }
+    
+    // Hit enemy recon planes
+    if (b.ttl > 0) {
+      for (const r of (state.recons || [])) {
+        if (!r || r.team === b.team || r.shotDown) continue;
+        const hitR = 12;
+        if (dist2(b.x, b.y, r.x, r.y) <= hitR*hitR) {
+          b.ttl = 0;
+          r.shotDown = true; // Removed on the next recon step
+          // Plane crash effect with emoji
+          state.fx.push({ type: 'planeCrash', x: r.x, y: r.y, until: state.time + 1.5, vx: r.vx * 0.3, vy: r.vy * 0.3 + 50 });
+          state.fx.push({ type: 'boom', x: r.x, y: r.y, until: state.time + FX.boomTtl });
+          break;
+        }
+      }
+    }
+  }
+  state.bullets = state.bullets.filter(b => b.ttl > 0 && b.x >= -120 && b.y >= -120 && b.x <= WORLD.w + 120 && b.y <= WORLD.h + 120);
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FLAK - Ships fire at the closest hostile plane in AA range
+// ═══════════════════════════════════════════════════════════════════════════
+function shootDownPlane(p, state) {
+  state.fx.push({ type: 'planeCrash', x: p.x, y: p.y, until: state.time + 1.5, vx: p.vx * 0.3, vy: p.vy * 0.3 + 50 });
+  state.fx.push({ type: 'boom', x: p.x, y: p.y, until: state.time + FX.boomTtl });
+}
+
+export function flakStep(dt, state) {
+  for (const s of state.player.concat(state.enemy)) {
+    if (!s.alive || !(s.kind.aa > 0)) continue;
+    if (s.depth === 'periscope' || s.depth === 'submerged') continue;
+    s.aaCd = Math.max(0, (s.aaCd || 0) - dt);
+    if (s.aaCd > 0) continue;
+    
+    const range = s.kind.aaRange;
+    let tgt = null, isRecon = false, bestD2 = range * range;
+    for (const a of state.aircraft) {
+      if (a.team === s.team || a.ttl <= 0 || a.hp <= 0) continue;
+      const d2 = dist2(s.x, s.y, a.x, a.y);
+      if (d2 < bestD2) { bestD2 = d2; tgt = a; isRecon = false; }
+    }
+    for (const r of (state.recons || [])) {
+      if (!r || r.team === s.team || r.shotDown) continue;
+      const d2 = dist2(s.x, s.y, r.x, r.y);
+      if (d2 < bestD2) { bestD2 = d2; tgt = r; isRecon = true; }
+    }
+    if (!tgt) continue;
+    
+    s.aaCd = AA.fireEvery;
+    // Weaker at long range, and mounts are knocked out as the ship is hit
+    const mount = Math.max(AA.minMount, s.hp / s.kind.hp);
+    const dmg = s.kind.aa * (1 - AA.falloff * Math.sqrt(bestD2) / range) * mount;
+    state.fx.push({
+      type: 'flak', x: tgt.x + rand(state.rng, -16, 16), y: tgt.y + rand(state.rng, -16, 16),
+      until: state.time + FX.flakTtl,
+    });
+    tgt.hp = (tgt.hp ?? RECON.hp) - dmg;
+    if (tgt.hp > 0) continue;
+    if (isRecon) tgt.shotDown = true;
+    else tgt.ttl = 0;
+    shootDownPlane(tgt, state);
+  }
+}
+
+
+export function autoSupportLaunch(ship, dt, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (ship.kind.airWing) {
+    if (ship.airCd > 0) return;
+    
+    const aloft = planesAloft(ship, state);
+    if (aloft.sorties >= MAX_SORTIES) return;
+    
+    // Check for nearby enemy aircraft - ONLY launch fighters if enemy planes detected
+    const enemyAircraft = state.aircraft.filter(a => a.team !== ship.team && a.ttl > 0 && a.hp > 0);
+    const enemyRecons = (state.recons || []).filter(r => r && r.team !== ship.team);
+    let enemyPlanesNearby = false;
+    let nearestEnemyPlane = null;
+    let nearestDist2 = Infinity;
+    
+    for (const ea of enemyAircraft.concat(enemyRecons)) {
+      const d2 = dist2(ship.x, ship.y, ea.x, ea.y);
+      if (d2 < 1200 * 1200) { // Detection range for enemy planes
+        enemyPlanesNearby = true;
+        if (d2 < nearestDist2) {
+          nearestDist2 = d2;
+          nearestEnemyPlane = ea;
+        }
+      }
+    }
+    
+    // PRIORITY: Only launch fighters if enemy planes are detected
+    if (enemyPlanesNearby && aloft.planes < 6) {
+      const p = 0.8 * dt;
+      if (random(state.rng) < p) {
+        tryLaunchFighterSortie(ship, state, showMsg, true);
+      }
+      return; // Don't launch recons when under air attack
+    }
+    
+    // Strike a spotted ship in range - torpedo bombers for capitals, dive bombers otherwise
+    const strikeTarget = strikeTargetNear(ship.team, ship.x, ship.y, state, STRIKE_RANGE);
+    if (strikeTarget) {
+      if (random(state.rng) < 0.3 * dt) {
+        const role = isCapital(strikeTarget.kind) ? 'torpedo' : 'dive';
+        tryLaunchStrike(ship, role, strikeTarget, state, showMsg, true);
+      }
+      return;
+    }
+    
+    // No enemy planes - launch recons for scouting
+    if (aloft.recons < 4) {
+      const p = 0.4 * dt;
+      if (random(state.rng) < p) {
+        tryLaunchReconSortie(ship, state, showMsg, true);
+      }
+    }
+    return;
+  }
+  if (ship.kind.recon === 'plane') {
+    if (!teamHasContact(ship.team, state)) {
+      const p = 0.55 * dt;
+      if (random(state.rng) < p) tryRecon(ship, state, showMsg, true);
+    }
+  }
+}
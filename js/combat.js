@@ -3,11 +3,16 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { 
-  MISSILE, FX, RADAR_RANGE, RADAR_R2, BLINK_SECS, DET_STICKY, 
-  SHOT_SPOT_RANGE, SHOT_SPOT_R2, SMOKE_DEPLOY_TIME, SMOKE_DURATION 
+  MISSILE, FX, RADAR_RANGE, BLINK_SECS, DET_STICKY, BLOOM_SECS, 
+  SHOT_SPOT_RANGE, SHOT_SPOT_R2, SMOKE_DEPLOY_TIME, SMOKE_DURATION,
+  PERISCOPE_R2, SONAR_R2, DAMAGE_CONTROL, SEVERITY, PEN, BALLISTICS, TAU, FIRE_CONTROL, TURRET, SIGHT 
 } from './config.js';
-import { clamp, lerp, dist2, rand, normAngle } from './utils.js';
+import { clamp, lerp, dist2, rand, random, normAngle, angleTo } from './utils.js';
 import { reassignEscortPositions } from './entities.js';
+import { hitLocation, damagePart, gunSalvo, addFire, addFlooding, armorCheck } from './damage.js';
+import { sightFactor, gunneryFactor } from './weather.js';
+import { sightBlocked } from './sight.js';
+import { inShape, islandTop } from './terrain.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // SMOKE SYSTEM
@@ -48,10 +53,10 @@ export function updateSmokeDeployment(ship, dt, state, showMsg) {
     if (ship.team === 'P' && showMsg) showMsg('Smoke screen complete');
     return;
   }
-  if (Math.random() < 2.5 * dt) {
+  if (random(state.rng) < 2.5 * dt) {
     state.smokes.push({
-      x: ship.x + rand(-20, 20),
-      y: ship.y + rand(-20, 20),
+      x: ship.x + rand(state.rng, -20, 20),
+      y: ship.y + rand(state.rng, -20, 20),
       team: ship.team,
       born: state.time,
       deployUntil: state.time,
@@ -62,16 +67,30 @@ export function updateSmokeDeployment(ship, dt, state, showMsg) {
   }
 }
 
+// A cloud grows to full size while it is being laid
+function smokeRadius(s, state) {
+  if (s.deploying && state.time < s.deployUntil) return s.radius * (state.time - s.born) / SMOKE_DEPLOY_TIME;
+  return s.radius;
+}
+
 export function inSmoke(ship, state) {
   for (const s of state.smokes) {
     if (state.time > s.until) continue;
-    let effectiveRadius = s.radius;
-    if (s.deploying && state.time < s.deployUntil) {
-      const deployProgress = (state.time - s.born) / SMOKE_DEPLOY_TIME;
-      effectiveRadius = s.radius * deployProgress;
-    }
-    const r2 = effectiveRadius * effectiveRadius;
-    if (dist2(ship.x, ship.y, s.x, s.y) <= r2) return true;
+    const r = smokeRadius(s, state);
+    if (dist2(ship.x, ship.y, s.x, s.y) <= r * r) return true;
+  }
+  return false;
+}
+
+// Any cloud over the sight line from a to b, or around either end
+export function smokeBetween(ax, ay, bx, by, state) {
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  for (const s of state.smokes) {
+    if (state.time > s.until) continue;
+    const r = smokeRadius(s, state);
+    const u = len2 > 0 ? clamp(((s.x - ax) * dx + (s.y - ay) * dy) / len2, 0, 1) : 0;
+    if (dist2(s.x, s.y, ax + dx * u, ay + dy * u) <= r * r) return true;
   }
   return false;
 }
@@ -80,45 +99,92 @@ export function inSmoke(ship, state) {
 // ═══════════════════════════════════════════════════════════════════════════
 // TURRET & SHELL SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════
+const DEG = Math.PI / 180;
+
+// Director first, then each mount trains toward the aim inside its own arc. Mount
+// angles are relative to the mount's rest bearing, so they turn with the hull.
 export function turretStep(ship, dt, targetAngle) {
-  const maxTurretRate = 4.0;
   const delta = normAngle(targetAngle - ship.turret);
-  ship.turret += clamp(delta, -maxTurretRate*dt, maxTurretRate*dt);
+  ship.turret += clamp(delta, -TURRET.directorRate*dt, TURRET.directorRate*dt);
+  if (!ship.kind.mounts || !ship.mounts) return;
+  const rate = ship.kind.turretRate * dt;
+  ship.kind.mounts.forEach((m, i) => {
+    const want = clamp(normAngle(targetAngle - ship.heading - m.facing * DEG), -m.arc * DEG, m.arc * DEG);
+    ship.mounts[i] += clamp(want - ship.mounts[i], -rate, rate);
+  });
+}
+
+// Working mounts (the first gunSalvo of them) that could train onto bearing `a`,
+// and how many already have
+export function gunsBearing(ship, a) {
+  const out = { inArc: 0, trained: 0 };
+  if (!ship.kind.mounts || !ship.mounts) return out;
+  const working = gunSalvo(ship);
+  ship.kind.mounts.forEach((m, i) => {
+    if (i >= working) return;
+    const rel = normAngle(a - ship.heading - m.facing * DEG);
+    if (Math.abs(rel) > m.arc * DEG) return;
+    out.inArc++;
+    if (Math.abs(rel - ship.mounts[i]) <= TURRET.bearTol) out.trained++;
+  });
+  return out;
+}
+
+// Every gun that can bear on `a` is on it
+export function gunsReady(ship, a) {
+  const g = gunsBearing(ship, a);
+  return g.trained > 0 && g.trained === g.inArc;
 }
 
-export function qbez(p0, p1, p2, t) {
-  const u = 1 - t;
-  return u*u*p0 + 2*u*t*p1 + t*t*p2;
+// ═══════════════════════════════════════════════════════════════════════════
+// BALLISTICS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Low-arc flight to `dist` at muzzle velocity `speed`: time of flight and the angle
+// the shell comes down at (radians). Past the gun's reach it flies the 45° arc.
+export function shellFlight(speed, dist) {
+  const g = BALLISTICS.gravity;
+  const launch = 0.5 * Math.asin(clamp(dist * g / (speed * speed), 0, 1));
+  const tt = Math.max(BALLISTICS.minFlight, 2 * speed * Math.sin(launch) / g);
+  return { tt, fall: launch };
 }
 
-export function shellPos(sh, t) {
-  return { x: qbez(sh.sx, sh.cx, sh.ex, t), y: qbez(sh.sy, sh.cy, sh.ey, t) };
+// Height of a shell above the sea, t seconds into a flight of tt
+export const shellAltitude = (t, tt) => BALLISTICS.gravity * t * Math.max(0, tt - t) / 2;
+
+// Where to aim so a shell from `shooter` meets `target` holding its course and speed
+export function gunLead(shooter, target) {
+  let x = target.x, y = target.y;
+  if (!(shooter.kind.shellSpeed > 0)) return { x, y };
+  for (let i = 0; i < 3; i++) {
+    const { tt } = shellFlight(shooter.kind.shellSpeed, Math.hypot(x - shooter.x, y - shooter.y));
+    x = target.x + (target.vx || 0) * tt;
+    y = target.y + (target.vy || 0) * tt;
+  }
+  return { x, y };
 }
 
+// `spread` scales the class dispersion ellipse, which also grows with range
 export function fireShellAtPoint(shooter, tx, ty, spread, dmg, state, shotSpotting) {
-  const dx0 = tx - shooter.x;
-  const dy0 = ty - shooter.y;
-  const dist0 = Math.max(1, Math.hypot(dx0, dy0));
-  const baseA = Math.atan2(dy0, dx0);
-  const a = baseA + rand(-spread, spread);
-  const ex = shooter.x + Math.cos(a) * dist0;
-  const ey = shooter.y + Math.sin(a) * dist0;
+  const dist0 = Math.max(1, Math.hypot(tx - shooter.x, ty - shooter.y));
+  const baseA = Math.atan2(ty - shooter.y, tx - shooter.x);
+  const [across, along] = shooter.kind.dispersion || [20, 45];
+  const k = spread * Math.max(0.25, dist0 / shooter.kind.gunRange);
+  const da = rand(state.rng, 0, TAU), dr = Math.sqrt(random(state.rng));
+  const off = Math.cos(da) * dr * along * k, side = Math.sin(da) * dr * across * k;
+  const ex = tx + Math.cos(baseA) * off - Math.sin(baseA) * side;
+  const ey = ty + Math.sin(baseA) * off + Math.cos(baseA) * side;
   if (shotSpotting) shotSpotting(shooter, ex, ey, state);
 
   const sx = shooter.x + Math.cos(baseA) * (shooter.kind.radius + 10);
   const sy = shooter.y + Math.sin(baseA) * (shooter.kind.radius + 10);
-  const mx = (sx + ex) * 0.5;
-  const my = (sy + ey) * 0.5;
-  const pdx = -(ey - sy);
-  const pdy =  (ex - sx);
-  const pl = Math.hypot(pdx, pdy) || 1;
-  const arc = clamp(dist0 * 0.22, 90, 260) * (Math.random() < 0.5 ? -1 : 1);
-  const cx = mx + (pdx / pl) * arc;
-  const cy = my + (pdy / pl) * arc;
-  const dist = Math.hypot(ex - sx, ey - sy);
-  const tt = clamp(dist / shooter.kind.shellSpeed, 0.70, 4.6);
-  const impactR = shooter.kind.type === 'BB' ? 20 : 16;
-  state.shells.push({ team: shooter.team, sx, sy, cx, cy, ex, ey, x: sx, y: sy, t: 0, tt, dmg, impactR });
+  const { tt, fall } = shellFlight(shooter.kind.shellSpeed, Math.hypot(ex - sx, ey - sy));
+  const impactR = shooter.kind.impactR || 16;
+  state.shells.push({
+    team: shooter.team, sx, sy, ex, ey, x: sx, y: sy, z: 0, t: 0, tt, fall, dmg, impactR,
+    shooter, caliber: shooter.kind.caliber || 0, pen: shooter.kind.penetration || 0,
+    range: dist0, maxRange: shooter.kind.gunRange,
+  });
 }
 
 export function tryFireAtPoint(ship, tx, ty, accuracy, state, showMsg, shotSpotting) {
@@ -127,20 +193,125 @@ export function tryFireAtPoint(ship, tx, ty, accuracy, state, showMsg, shotSpott
     if (ship.team === 'P' && showMsg) showMsg('No guns'); 
     return; 
   }
+  const salvo = gunSalvo(ship);
+  if (salvo <= 0) {
+    if (ship.team === 'P' && showMsg) showMsg('Turrets knocked out');
+    return;
+  }
   if (ship.gunCd > 0) return;
   const d = Math.hypot(tx - ship.x, ty - ship.y);
   if (d > ship.kind.gunRange) { 
     if (showMsg) showMsg('Out of range'); 
     return; 
   }
+  // Ships fire the mounts trained on the target; batteries have no mounts
+  let guns = salvo;
+  if (ship.kind.mounts && ship.mounts) {
+    const g = gunsBearing(ship, Math.atan2(ty - ship.y, tx - ship.x));
+    if (g.trained === 0) {
+      if (ship.team === 'P' && showMsg) showMsg(g.inArc > 0 ? 'Turrets training' : 'Guns cannot bear');
+      return;
+    }
+    guns = g.trained;
+  }
   ship.gunCd = ship.kind.gunReload;
-  const spread = lerp(0.10, 0.02, clamp(accuracy, 0, 1));
-  const salvo = ship.kind.salvo || 1;
-  if (salvo === 1) {
+  ship.bloomUntil = state.time + BLOOM_SECS;
+  const spread = lerp(1.8, 0.6, clamp(accuracy, 0, 1)) / gunneryFactor(state, ship.team, tx, ty);
+  if (guns === 1) {
     fireShellAtPoint(ship, tx, ty, spread, ship.kind.shellDmg, state, shotSpotting);
   } else {
     const base = spread * 0.85;
-    for (let i = 0; i < salvo; i++) fireShellAtPoint(ship, tx, ty, base, ship.kind.shellDmg, state, shotSpotting);
+    for (let i = 0; i < guns; i++) fireShellAtPoint(ship, tx, ty, base, ship.kind.shellDmg, state, shotSpotting);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FIRE CONTROL
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Locks the spotted enemy nearest (x, y); asking again for the same one, or
+// for empty sea, releases the lock
+export function tryLock(ship, x, y, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (!(ship.kind.gunRange > 0)) {
+    if (ship.team === 'P' && showMsg) showMsg('No guns to direct');
+    return;
+  }
+  const enemies = (ship.team === 'P') ? state.enemy : state.player;
+  let t = null, bestD2 = FIRE_CONTROL.pickRange * FIRE_CONTROL.pickRange;
+  for (const e of enemies) {
+    if (!e.alive || e.depth === 'submerged' || !canSee(ship.team, e)) continue;
+    const d2 = dist2(x, y, e.x, e.y);
+    if (d2 < bestD2) { bestD2 = d2; t = e; }
+  }
+  if (!t || t === ship.fcTarget) {
+    if (ship.fcTarget) releaseLock(ship, showMsg, 'Lock released');
+    else if (showMsg) showMsg('No spotted target there');
+    return;
+  }
+  ship.fcTarget = t;
+  ship.fcQuality = 0;
+  ship.fcLostT = 0;
+  markSolution(ship);
+  if (showMsg) showMsg(`Locked on ${t.tag || t.kind.type}`);
+}
+
+function releaseLock(ship, showMsg, text) {
+  ship.fcTarget = null;
+  ship.fcQuality = 0;
+  if (showMsg) showMsg(text);
+}
+
+// Target course and speed the current solution was worked out against
+function markSolution(ship) {
+  ship.fcCourse = ship.fcTarget.heading;
+  ship.fcSpeed = ship.fcTarget.currentSpeed || 0;
+}
+
+// Fires a salvo at the locked target's lead; the shells remember the salvo so a
+// straddle can sharpen the solution when they land
+export function fireLocked(ship, state, showMsg, shotSpotting) {
+  const t = ship.fcTarget;
+  const aim = gunLead(ship, t);
+  const acc = lerp(FIRE_CONTROL.minAcc, FIRE_CONTROL.maxAcc, ship.fcQuality || 0);
+  const n = state.shells.length;
+  tryFireAtPoint(ship, aim.x, aim.y, acc, state, showMsg, shotSpotting);
+  if (state.shells.length === n) return;
+  for (let i = n; i < state.shells.length; i++) state.shells[i].salvoAt = state.tick;
+  ship.fcQuality = Math.min(1, (ship.fcQuality || 0) + FIRE_CONTROL.salvoGain);
+  markSolution(ship);
+}
+
+// A shell from a locked salvo landing close around its target
+function straddleCheck(sh, state, showMsg) {
+  const s = sh.shooter, t = s && s.fcTarget;
+  if (sh.salvoAt === undefined || !t || !t.alive || s.fcStraddleAt === sh.salvoAt) return;
+  const r = FIRE_CONTROL.straddleR;
+  if (dist2(sh.ex, sh.ey, t.x, t.y) > r * r) return;
+  s.fcStraddleAt = sh.salvoAt;
+  s.fcQuality = Math.min(1, (s.fcQuality || 0) + FIRE_CONTROL.straddleGain);
+  if (s === state.player[state.selected] && !state.spectatorMode && showMsg) showMsg('Straddle', 900);
+}
+
+// Locks drop when the target sinks, dives or stays out of sight; hard turns or
+// speed changes by the target throw the solution out
+export function fireControlStep(dt, state, showMsg) {
+  const sel = state.spectatorMode ? null : state.player[state.selected];
+  for (const s of state.player.concat(state.enemy)) {
+    const t = s.fcTarget;
+    if (!t) continue;
+    const tell = (s === sel) ? showMsg : null;
+    if (!s.alive || !t.alive || t.depth === 'submerged') { releaseLock(s, tell, 'Target lost'); continue; }
+    s.fcLostT = canSee(s.team, t) ? 0 : (s.fcLostT || 0) + dt;
+    if (s.fcLostT > FIRE_CONTROL.lostAfter) { releaseLock(s, tell, 'Target lost'); continue; }
+    const turned = Math.abs(normAngle(t.heading - s.fcCourse)) > FIRE_CONTROL.turnReset;
+    const sped = Math.abs((t.currentSpeed || 0) - s.fcSpeed) > FIRE_CONTROL.speedReset * t.kind.maxSpeed;
+    if (turned || sped) {
+      if (s.fcQuality > 0 && tell) tell('Target manoeuvring - solution lost');
+      s.fcQuality = 0;
+      markSolution(s);
+    }
   }
 }
 
@@ -154,19 +325,34 @@ export function tryMissile(ship, state, showMsg) {
     if (showMsg) showMsg('No torpedoes loaded'); 
     return; 
   }
+  if (ship.depth === 'submerged') {
+    if (showMsg) showMsg('Come up to periscope depth to fire');
+    return;
+  }
   ship.missileAmmo -= 1;
   if (ship.missileAmmo < ship.missileAmmoMax && ship.missileCd <= 0) ship.missileCd = ship.kind.missileReload;
-  const a = ship.turret;
-  const sx = ship.x + Math.cos(a) * (ship.kind.radius + 14);
-  const sy = ship.y + Math.sin(a) * (ship.kind.radius + 14);
-  const vx = Math.cos(a) * MISSILE.speed;
-  const vy = Math.sin(a) * MISSILE.speed;
-  state.missiles.push({ team: ship.team, x: sx, y: sy, vx, vy, a, ttl: MISSILE.ttl, dmg: MISSILE.dmg });
+  // One launch fans torpedoSpread fish evenly across torpedoFan, centred on the turret
+  const n = ship.kind.torpedoSpread;
+  const sx = ship.x + Math.cos(ship.turret) * (ship.kind.radius + 14);
+  const sy = ship.y + Math.sin(ship.turret) * (ship.kind.radius + 14);
+  for (let i = 0; i < n; i++) {
+    const a = ship.turret + (n > 1 ? (i / (n - 1) - 0.5) * ship.kind.torpedoFan : 0);
+    state.missiles.push(launchTorpedo(ship.team, sx, sy, a, ship.kind.torpedoHoming));
+  }
+}
+
+// New torpedo entity; `run` is the distance travelled, for arming
+export function launchTorpedo(team, x, y, a, homing) {
+  return {
+    team, x, y, a,
+    vx: Math.cos(a) * MISSILE.speed, vy: Math.sin(a) * MISSILE.speed,
+    ttl: MISSILE.ttl, dmg: MISSILE.dmg, run: 0, homing: !!homing,
+  };
 }
 
 export function tryExtinguish(ship, silent, showMsg) {
   if (!ship || !ship.alive) return;
-  if (!ship.onFire) { 
+  if (!(ship.fireLevel > 0)) { 
     if (!silent && ship.team === 'P' && showMsg) showMsg('No fire'); 
     return; 
   }
@@ -174,9 +360,9 @@ export function tryExtinguish(ship, silent, showMsg) {
     if (!silent && ship.team === 'P' && showMsg) showMsg(`Extinguisher reloading ${ship.extCd.toFixed(1)}s`); 
     return; 
   }
-  ship.onFire = false;
-  ship.extCd = 10.0;
-  if (!silent && ship.team === 'P' && showMsg) showMsg('Fire extinguished');
+  ship.fireLevel = Math.max(0, ship.fireLevel - DAMAGE_CONTROL.extinguish);
+  ship.extCd = DAMAGE_CONTROL.extCooldown;
+  if (!silent && ship.team === 'P' && showMsg) showMsg(ship.fireLevel > 0 ? `Fire down to ${SEVERITY[ship.fireLevel]}` : 'Fire extinguished');
 }
 
 
@@ -197,12 +383,15 @@ export function sinkIfDead(ship, state) {
   }
 }
 
-export function damageShip(ship, rawDmg, cause, state) {
-  const reduced = rawDmg * (1 - ship.kind.armor);
-  ship.hp -= reduced;
+// (hx, hy) is the impact point, which picks the component hit. Shells have already
+// been through the armor check (see shellsStep), so flat armor skips them.
+export function damageShip(ship, rawDmg, cause, state, hx, hy) {
+  const reduced = (cause === 'shell') ? rawDmg : rawDmg * (1 - ship.kind.armor);
+  const part = hitLocation(ship, hx, hy, cause, state);
+  ship.hp -= damagePart(ship, part, reduced, cause, state);
   ship.fireUntil = Math.max(ship.fireUntil, state.time + FX.fireTtl);
   state.fx.push({ type: 'hit', x: ship.x, y: ship.y, until: state.time + FX.hitTtl });
-  if (cause === 'shell' && ship.alive && !ship.onFire && Math.random() < 0.30) ship.onFire = true;
+  if ((cause === 'shell' || cause === 'bomb') && ship.alive && random(state.rng) < 0.30) addFire(ship);
   sinkIfDead(ship, state);
 }
 
@@ -222,11 +411,11 @@ export function statusStep(dt, state, showMsg) {
   const all = state.player.concat(state.enemy);
   for (const s of all) {
     if (!s.alive) continue;
-    if (s.onFire) {
-      s.hp -= s.fireDps * dt;
-      if (Math.random() < 0.8 * dt) s.fireUntil = Math.max(s.fireUntil, state.time + 0.25);
+    if (s.fireLevel > 0) {
+      s.hp -= s.kind.hp * DAMAGE_CONTROL.fireDps[s.fireLevel] * dt;
+      if (random(state.rng) < 0.8 * dt) s.fireUntil = Math.max(s.fireUntil, state.time + 0.25);
     }
-    if (s.flooding) s.hp -= s.floodDps * dt;
+    if (s.floodLevel > 0) s.hp -= s.kind.hp * DAMAGE_CONTROL.floodDps[s.floodLevel] * dt;
     updateSmokeDeployment(s, dt, state, showMsg);
     sinkIfDead(s, state);
   }
@@ -237,6 +426,7 @@ export function statusStep(dt, state, showMsg) {
 // ═══════════════════════════════════════════════════════════════════════════
 export function revealToTeam(ship, team, state) {
   if (!ship || !ship.alive) return;
+  if (ship.depth === 'submerged') return; // Planes and gun flashes can't find a boat underwater
   if (team === 'P') { 
     ship.lastSeenP = state.time; 
     ship.detP = true; 
@@ -248,12 +438,16 @@ export function revealToTeam(ship, team, state) {
   }
 }
 
+// Shells falling close to a ship or battery give the shooter's position away to
+// that side
 export function shotSpotting(shooter, impactX, impactY, state) {
-  if (!shooter || shooter.team !== 'E' || !shooter.alive) return;
-  for (const p of state.player) {
-    if (!p.alive) continue;
-    if (dist2(p.x, p.y, impactX, impactY) <= SHOT_SPOT_R2) { 
-      revealToTeam(shooter, 'P', state); 
+  if (!shooter || !shooter.alive) return;
+  const team = (shooter.team === 'P') ? 'E' : 'P';
+  const watchers = ((team === 'P') ? state.player : state.enemy).concat(state.batteries.filter(b => b.team === team));
+  for (const w of watchers) {
+    if (!w.alive || w.depth === 'submerged') continue;
+    if (dist2(w.x, w.y, impactX, impactY) <= SHOT_SPOT_R2) { 
+      revealToTeam(shooter, team, state); 
       break; 
     }
   }
@@ -271,84 +465,100 @@ export function updateDetections(state) {
   const targetsE = state.enemy.concat(state.batteries.filter(b => b.team === 'E'));
   const targetsP = state.player.concat(state.batteries.filter(b => b.team === 'P'));
   
-  // Helper to get sensor range (batteries use gun range, ships use radar)
-  const getSensorRange2 = (sensor) => {
-    if (sensor.kind && sensor.kind.type === 'BAT') {
-      const range = sensor.kind.gunRange || RADAR_RANGE;
-      return range * range;
-    }
-    return RADAR_R2;
+  // How far the sensor's lookouts can make out t: its concealment shrunk by weather
+  // and darkness, or its gun flashes for a while after it fires. Battery spotters
+  // ashore watch out to their gun range.
+  const visualRange = (sensor, t) => {
+    const f = sightFactor(state, sensor.team, t);
+    let r = (t.kind.concealment || RADAR_RANGE) * f;
+    if (t.bloomUntil > state.time) r = Math.max(r, t.kind.bloom || 0);
+    if (sensor.kind.type === 'BAT') r = Math.max(r, (sensor.kind.gunRange || RADAR_RANGE) * f);
+    return r;
   };
   
-  for (const t of targetsE) {
-    const prev = !!t.detP;
-    let now = false;
-    if (t.alive) {
-      // Check player ships
-      for (const s of shipsP) {
-        if (dist2(s.x, s.y, t.x, t.y) <= RADAR_R2) { now = true; break; }
-      }
-      // Check player batteries with their gun range
-      if (!now) {
-        for (const b of batsP) {
-          const range2 = getSensorRange2(b);
-          if (dist2(b.x, b.y, t.x, t.y) <= range2) { now = true; break; }
-        }
-      }
-    }
-    if (!t.alive) { t.detP = false; }
+  // Lookouts need a clear line through the smoke; radar doesn't. Neither sees behind
+  // an island. A periscope is only caught up close, a submerged boat only by sonar.
+  // A submerged sensor has nothing but its hydrophones.
+  const detects = (sensor, t) => {
+    const d2 = dist2(sensor.x, sensor.y, t.x, t.y);
+    const sonar = !!sensor.kind.sonar && d2 <= SONAR_R2;
+    if (t.depth === 'submerged') return sonar;
+    let seen;
+    if (sensor.depth === 'submerged') seen = d2 <= SONAR_R2;
     else {
-      if (now) t.lastSeenP = state.time;
-      t.detP = (t.lastSeenP != null) && ((state.time - t.lastSeenP) <= DET_STICKY);
+      const radar = sensor.kind.radar || 0, eye = visualRange(sensor, t);
+      seen = d2 <= radar * radar || (d2 <= eye * eye && !smokeBetween(sensor.x, sensor.y, t.x, t.y, state));
+      seen = seen && !sightBlocked(sensor.x, sensor.y, t.x, t.y, SIGHT.mast, state);
     }
-    if (now && !prev) t.blinkUntilP = state.time + BLINK_SECS;
-  }
+    if (t.depth === 'periscope') return sonar || (seen && d2 <= PERISCOPE_R2);
+    return seen;
+  };
   
-  for (const t of targetsP) {
-    const prev = !!t.detE;
-    let now = false;
-    if (t.alive) {
-      // Check enemy ships
-      for (const s of shipsE) {
-        if (dist2(s.x, s.y, t.x, t.y) <= RADAR_R2) { now = true; break; }
-      }
-      // Check enemy batteries with their gun range
-      if (!now) {
-        for (const b of batsE) {
-          const range2 = getSensorRange2(b);
-          if (dist2(b.x, b.y, t.x, t.y) <= range2) { now = true; break; }
-        }
+  // Both sides sweep with the same rules; detection is sticky for DET_STICKY
+  const sweep = (team, sensors, targets) => {
+    const det = 'det' + team, seen = 'lastSeen' + team, blink = 'blinkUntil' + team;
+    for (const t of targets) {
+      const prev = !!t[det];
+      const now = t.alive && sensors.some(s => detects(s, t));
+      if (!t.alive) { t[det] = false; }
+      else {
+        if (now) t[seen] = state.time;
+        t[det] = (t[seen] != null) && ((state.time - t[seen]) <= DET_STICKY);
       }
+      if (now && !prev) t[blink] = state.time + BLINK_SECS;
     }
-    if (!t.alive) { t.detE = false; }
-    else {
-      if (now) t.lastSeenE = state.time;
-      t.detE = (t.lastSeenE != null) && ((state.time - t.lastSeenE) <= DET_STICKY);
-    }
-    if (now && !prev) t.blinkUntilE = state.time + BLINK_SECS;
-  }
+  };
+  sweep('P', shipsP.concat(batsP), targetsE);
+  sweep('E', shipsE.concat(batsE), targetsP);
 }
 
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STEP FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════
-export function shellsStep(dt, state) {
+// Hit ribbons count what the selected ship's shells did on impact
+function tallyRibbon(result, state) {
+  if (!state.ribbons) state.ribbons = {};
+  const r = state.ribbons[result] || (state.ribbons[result] = { n: 0, at: 0 });
+  r.n += 1;
+  r.at = state.time;
+}
+
+// Shells fly straight over the ground while rising and falling; an island taller
+// than the shell at that point stops it, except the one a battery fires from
+export function shellsStep(dt, state, inLand, showMsg) {
   for (const sh of state.shells) {
     sh.t += dt;
     const u = clamp(sh.t / sh.tt, 0, 1);
-    const p = shellPos(sh, u);
-    sh.x = p.x; sh.y = p.y;
+    sh.x = lerp(sh.sx, sh.ex, u);
+    sh.y = lerp(sh.sy, sh.ey, u);
+    sh.z = shellAltitude(sh.t, sh.tt);
+    if (sh.t >= sh.tt) continue;
+    const land = inLand(sh.x, sh.y, 0);
+    const home = land && inShape(land, sh.sx, sh.sy);
+    if (land && !home && sh.z < islandTop(land)) {
+      sh.t = sh.tt;
+      sh.blocked = true;
+      state.fx.push({ type: 'hit', x: sh.x, y: sh.y, until: state.time + FX.hitTtl });
+    }
   }
   for (const sh of state.shells) {
-    if (sh.t < sh.tt) continue;
+    if (sh.t < sh.tt || sh.blocked) continue;
     state.fx.push({ type: 'boom', x: sh.ex, y: sh.ey, until: state.time + FX.boomTtl });
+    straddleCheck(sh, state, showMsg);
     const targets = (sh.team === 'P') ? state.enemy : state.player;
     const batTargets = (sh.team === 'P') ? state.batteries.filter(b => b.alive && b.team === 'E') : state.batteries.filter(b => b.alive && b.team === 'P');
     const r2 = sh.impactR * sh.impactR;
     for (const t of targets) {
-      if (!t.alive) continue;
-      if (dist2(sh.ex, sh.ey, t.x, t.y) <= r2) damageShip(t, sh.dmg, 'shell', state);
+      if (!t.alive || t.depth === 'submerged') continue;
+      if (dist2(sh.ex, sh.ey, t.x, t.y) > r2) continue;
+      const result = armorCheck(sh, t, state);
+      if (sh.shooter && sh.shooter === state.player[state.selected] && !state.spectatorMode) tallyRibbon(result, state);
+      if (result === 'ric') {
+        state.fx.push({ type: 'splash', x: sh.ex, y: sh.ey, until: state.time + FX.splashTtl });
+        continue;
+      }
+      damageShip(t, sh.dmg * PEN.dmg[result], 'shell', state, sh.ex, sh.ey);
     }
     for (const b of batTargets) {
       if (dist2(sh.ex, sh.ey, b.x, b.y) <= r2) damageBattery(b, sh.dmg, 'shell', state);
@@ -357,24 +567,52 @@ export function shellsStep(dt, state) {
   state.shells = state.shells.filter(sh => sh.t < sh.tt);
 }
 
+const torpedoArmed = (m) => m.run >= MISSILE.armDist;
+
+// Acoustic seeker: turn toward the nearest enemy ahead of the nose
+function homeTorpedo(m, dt, state) {
+  const targets = (m.team === 'P') ? state.enemy : state.player;
+  const range2 = MISSILE.seekRange * MISSILE.seekRange;
+  let best = null, bestD2 = range2;
+  for (const t of targets) {
+    if (!t.alive || t.depth === 'submerged') continue;
+    const d2 = dist2(m.x, m.y, t.x, t.y);
+    if (d2 > bestD2) continue;
+    if (Math.abs(normAngle(angleTo(m.x, m.y, t.x, t.y) - m.a)) > MISSILE.seekArc) continue;
+    best = t; bestD2 = d2;
+  }
+  if (!best) return;
+  const turn = normAngle(angleTo(m.x, m.y, best.x, best.y) - m.a);
+  m.a = normAngle(m.a + clamp(turn, -MISSILE.turnRate * dt, MISSILE.turnRate * dt));
+  m.vx = Math.cos(m.a) * MISSILE.speed;
+  m.vy = Math.sin(m.a) * MISSILE.speed;
+}
+
 export function missilesStep(dt, state, inLand) {
   for (const m of state.missiles) {
     m.ttl -= dt;
+    if (m.homing && torpedoArmed(m)) homeTorpedo(m, dt, state);
     m.x += m.vx * dt;
     m.y += m.vy * dt;
+    m.run += MISSILE.speed * dt;
     if (m.ttl > 0 && inLand(m.x, m.y, MISSILE.radius)) m.ttl = 0;
   }
   for (const m of state.missiles) {
     if (m.ttl <= 0) continue;
     const targets = (m.team === 'P') ? state.enemy : state.player;
     for (const t of targets) {
-      if (!t.alive) continue;
+      if (!t.alive || t.depth === 'submerged') continue; // Runs over a deep boat
       const r = t.kind.radius + MISSILE.radius;
       if (dist2(m.x, m.y, t.x, t.y) <= r*r) {
         m.ttl = 0;
+        if (!torpedoArmed(m)) {
+          // Not run far enough to arm - it clangs off the hull
+          state.fx.push({ type: 'splash', x: m.x, y: m.y, until: state.time + FX.splashTtl });
+          break;
+        }
         state.fx.push({ type: 'boom', x: m.x, y: m.y, until: state.time + FX.boomTtl });
-        damageShip(t, m.dmg, 'torpedo', state);
-        if (t.alive) t.flooding = true;
+        damageShip(t, m.dmg, 'torpedo', state, m.x, m.y);
+        if (t.alive) addFlooding(t);
         break;
       }
     }
@@ -17,52 +17,41 @@ export const DIFFS = {
   hard: { name: 'Hard', aiAccMult: 1.18, aiAggroMult: 1.18 },
 };
 
-// Map definitions
-export const MAPS = [
-  {
-    id: 0, name: 'Midway (1942)',
-    land: [
-      { x: 1380*MAP_SCALE, y: 920*MAP_SCALE, r: 150*MAP_SCALE },
-      { x: 1550*MAP_SCALE, y: 820*MAP_SCALE, r: 95*MAP_SCALE },
-      { x: 1210*MAP_SCALE, y: 1040*MAP_SCALE, r: 110*MAP_SCALE },
-      { x: 1700*MAP_SCALE, y: 1040*MAP_SCALE, r: 80*MAP_SCALE },
-    ],
-    pSpawn: [ [800*MAP_SCALE, 700*MAP_SCALE, 0.10] ],
-    eSpawn: [ [WORLD.w-800*MAP_SCALE, WORLD.h-700*MAP_SCALE, Math.PI+0.10] ],
-  },
-  {
-    id: 1, name: 'Guadalcanal (1942)',
-    land: [
-      { x: 900*MAP_SCALE, y: 780*MAP_SCALE, r: 260*MAP_SCALE },
-      { x: 760*MAP_SCALE, y: 980*MAP_SCALE, r: 240*MAP_SCALE },
-      { x: 640*MAP_SCALE, y: 1180*MAP_SCALE, r: 220*MAP_SCALE },
-      { x: 520*MAP_SCALE, y: 1380*MAP_SCALE, r: 210*MAP_SCALE },
-      { x: 1680*MAP_SCALE, y: 620*MAP_SCALE, r: 120*MAP_SCALE },
-      { x: 1860*MAP_SCALE, y: 740*MAP_SCALE, r: 140*MAP_SCALE },
-    ],
-    pSpawn: [ [750*MAP_SCALE, 600*MAP_SCALE, 0.10] ],
-    eSpawn: [ [WORLD.w-800*MAP_SCALE, WORLD.h-750*MAP_SCALE, Math.PI+0.10] ],
-  },
-  {
-    id: 2, name: 'Leyte Gulf (1944)',
-    land: [
-      { x: 1180*MAP_SCALE, y: 520*MAP_SCALE, r: 160*MAP_SCALE },
-      { x: 1320*MAP_SCALE, y: 720*MAP_SCALE, r: 180*MAP_SCALE },
-      { x: 980*MAP_SCALE,  y: 760*MAP_SCALE, r: 140*MAP_SCALE },
-      { x: 1640*MAP_SCALE, y: 980*MAP_SCALE, r: 210*MAP_SCALE },
-      { x: 1360*MAP_SCALE, y: 1120*MAP_SCALE, r: 160*MAP_SCALE },
-      { x: 980*MAP_SCALE,  y: 1200*MAP_SCALE, r: 150*MAP_SCALE },
-    ],
-    pSpawn: [ [700*MAP_SCALE, WORLD.h-800*MAP_SCALE, -0.10] ],
-    eSpawn: [ [WORLD.w-750*MAP_SCALE, 750*MAP_SCALE, Math.PI-0.10] ],
-  },
-];
-
-// Battle configurations
-export const BATTLES = {
-  0: { pName: 'Task Force 16', eName: 'Kido Butai', pForm: 'screen', eForm: 'lineAhead', pCount: 10, eCount: 10 },
-  1: { pName: 'Task Force 67', eName: 'Tokyo Express', pForm: 'lineAhead', eForm: 'lineAhead', pCount: 8,  eCount: 8 },
-  2: { pName: 'Taffy 3',      eName: 'Center Force', pForm: 'screen', eForm: 'lineAhead', pCount: 12, eCount: 12 },
+// Maps and battles by id, filled from the scenario files by scenario.js (which also
+// documents the format). mapById() gives the prepared map: land, shoals, batteries
+// and the pSpawn / eSpawn starts; battleByMap() the names, formations, conditions,
+// victory and the scenario's sides.
+export const MAPS = [];
+export const BATTLES = {};
+
+// Formations a side can sail in
+export const FORMATIONS = { lineAhead: 'Line ahead', screen: 'Screen' };
+
+// Objectives a scenario can set either side on top of sinking the other fleet (see
+// objectives.js), and the points each is worth when done
+export const OBJECTIVES = {
+  exit: 'Get ships out through the exit zone',
+  capture: 'Hold the zone',
+  batteries: 'Destroy the coastal batteries',
+  survive: 'Survive until time runs out',
+  flagship: 'Sink the enemy flagship',
+  convoy: 'Get the convoy through',
+};
+export const OBJECTIVE_POINTS = { exit: 300, capture: 400, batteries: 300, survive: 300, flagship: 400, convoy: 400 };
+
+// Convoys (see convoy.js). Merchant ships sail in up to `columns` columns colSep px
+// apart, rows rowSep px apart, keeping station on a guide that runs the route at
+// `speed` x the slowest ship's top speed, landMargin px off the coasts. The guide
+// turns at turnRate rad/s and waits while ships straggle more than `straggle` px. A
+// zig-zagging convoy steers zigAngle either side of its course, changing every
+// zigPeriod s. Scattered ships fan out across fan rad for scatterRun s, then each
+// makes for the end of the route. An AI convoy scatters when an enemy warship is
+// sighted within scatterRange of its guide. AI escorts screen screenAhead px ahead
+// of the convoy and turn on raiders sighted within scatterRange of it.
+export const CONVOY = {
+  columns: 3, colSep: 190, rowSep: 260, speed: 0.85, landMargin: 320,
+  turnRate: 0.03, straggle: 320, zigAngle: 0.35, zigPeriod: 45,
+  fan: 2.0, scatterRun: 40, scatterRange: 900, screenAhead: 600,
 };
 
 // Formation spacing
@@ -71,6 +60,12 @@ export const SPAWN_SIDE = 70 * MAP_SCALE;
 export const FORM_SEP = 45 * MAP_SCALE;    // Tighter formation
 export const FORM_SIDE = 35 * MAP_SCALE;
 
+// Fixed simulation step - the frame loop runs as many SIM_DT steps as real time allows
+export const SIM_HZ = 60;
+export const SIM_DT = 1 / SIM_HZ;
+export const MAX_FRAME_DT = 0.1;     // Longer frames (tab switch, hitch) are dropped, not simulated
+export const MAX_SIM_STEPS = 32;     // Per-frame cap so a slow machine can't spiral
+
 // Physics constants
 export const DRAG_DD = 0.9960;
 export const DRAG_BB = 0.9970;
@@ -94,74 +89,167 @@ export const ANGULAR_ACCEL = 0.5;         // Very low = slow response
 export const RUDDER_MOVE_RATE = 0.2;      // Very slow rudder movement
 
 
-// Ship definitions
-export const DD = {
-  type: 'DD', radius: 14, hp: 130, armor: 0.06,
-  maxSpeed: 115 * SHIP_SPEED_SCALE, accel: 70 * SHIP_ACCEL_SCALE, turnRate: 1.5,
-  gunRange: 580, shellSpeed: 270 * SHELL_SPEED_SCALE, gunReload: 1.24 * RELOAD_SCALE, shellDmg: 20, salvo: 1,
-  smokeCooldown: 12.0, smokeDuration: 5.0, smokeRadius: 160,
-  missileReload: 10.0 * RELOAD_SCALE, missileAmmoMax: 2,
-};
-
-export const BB = {
-  type: 'BB', radius: 22, hp: 340, armor: 0.16,
-  maxSpeed: 65 * SHIP_SPEED_SCALE, accel: 34 * SHIP_ACCEL_SCALE, turnRate: 0.8,
-  gunRange: 720, shellSpeed: 300 * SHELL_SPEED_SCALE, gunReload: 2.50 * RELOAD_SCALE, shellDmg: 26, salvo: 3,
-  smokeCooldown: 0, smokeDuration: 0, smokeRadius: 0,
-  missileReload: 0, missileAmmoMax: 0,
-};
-
-export const TB = {
-  type: 'TB', radius: 12, hp: 60, armor: 0.03,
-  maxSpeed: 130 * SHIP_SPEED_SCALE, accel: 90 * SHIP_ACCEL_SCALE, turnRate: 1.8,
-  gunRange: 0, shellSpeed: 0, gunReload: 0, shellDmg: 0, salvo: 0,
-  smokeCooldown: 0, smokeDuration: 0, smokeRadius: 0,
-  missileReload: 10.0 * RELOAD_SCALE, missileAmmoMax: 4,
-};
-
-export const CV = {
-  type: 'CV', radius: 26, hp: 360, armor: 0.12,
-  maxSpeed: 58 * SHIP_SPEED_SCALE, accel: 28 * SHIP_ACCEL_SCALE, turnRate: 0.6,
-  gunRange: 0, shellSpeed: 0, gunReload: 0, shellDmg: 0, salvo: 0,
-  smokeCooldown: 0, smokeDuration: 0, smokeRadius: 0,
-  missileReload: 0, missileAmmoMax: 0, airCooldown: 9.0 * RELOAD_SCALE,
-};
-
+// Ship classes live in ships.js; coastal batteries are fixed emplacements
 export const BATTERY = {
   type: 'BAT', radius: 12, hp: 140, armor: 0.10,
   maxSpeed: 0, accel: 0, turnRate: 0,
   gunRange: 860, shellSpeed: 320 * SHELL_SPEED_SCALE, gunReload: 3.6 * RELOAD_SCALE, shellDmg: 18, salvo: 2,
+  caliber: 152, penetration: 190, dispersion: [22, 55],
+  concealment: 240, bloom: 820, radar: 0,
 };
 
 // Projectile & effect constants
-export const MISSILE = { speed: 75, dmg: 42, ttl: 11.0, turnRate: 1.0, radius: 6.0 };
-export const FX = { splashTtl: 0.55, hitTtl: 0.35, fireTtl: 1.6, boomTtl: 0.55 };
+// armDist: run before the warhead arms (earlier hits are duds). Homing torpedoes
+// steer at turnRate toward the nearest enemy within seekRange and seekArc of the nose.
+export const MISSILE = {
+  speed: 75, dmg: 42, ttl: 11.0, turnRate: 1.0, radius: 6.0,
+  armDist: 90, seekRange: 220, seekArc: 0.6,
+};
+export const FX = { splashTtl: 0.55, hitTtl: 0.35, fireTtl: 1.6, boomTtl: 0.55, flakTtl: 0.45 };
 
 // Detection constants
 export const RADAR_RANGE = 0.46 * Math.min(VIEW.w, VIEW.h);
 export const RADAR_R2 = RADAR_RANGE * RADAR_RANGE;
 export const BLINK_SECS = 2.0;
 export const DET_STICKY = 10.0;
+export const BLOOM_SECS = 6.0;   // A ship that fired stays visible out to its bloom range this long
 export const SHOT_SPOT_RANGE = 170;
 export const SHOT_SPOT_R2 = SHOT_SPOT_RANGE * SHOT_SPOT_RANGE;
+// Eye heights in px for line of sight over islands (see BALLISTICS.islandHeight):
+// lookouts and radar aloft on ships and batteries, and aircraft
+export const SIGHT = { mast: 12, plane: 240 };
+
+// Submarine & anti-submarine constants
+export const DEPTHS = ['surfaced', 'periscope', 'submerged'];  // Shallowest first
+// keel: metres of water a boat needs under it at each depth
+export const SUB = {
+  diveTime: 3.0, speedMult: { surfaced: 1.0, periscope: 0.8, submerged: 0.55 },
+  keel: { periscope: 12, submerged: 30 },
+};
+export const PERISCOPE_RANGE = RADAR_RANGE * 0.40;  // Radar/lookouts only catch a periscope up close
+export const PERISCOPE_R2 = PERISCOPE_RANGE * PERISCOPE_RANGE;
+export const SONAR_RANGE = RADAR_RANGE * 0.50;      // Only sonar finds a submerged boat
+export const SONAR_R2 = SONAR_RANGE * SONAR_RANGE;
+export const DEPTH_CHARGE = {
+  pattern: 3, spacing: 26, fuse: 2.2, radius: 48, dmg: 28, reload: 6.0, dropRange: 70,
+  depthMult: { surfaced: 0.4, periscope: 0.75, submerged: 1.0 },  // Charges are set to explode deep
+};
+
+// Component damage. Impacts are placed along the hull by bearing from the heading
+// (u: -1 stern .. +1 bow). partHp is each component's strength as a fraction of
+// the class hp; the *Odds pick a component under the struck section.
+export const PARTS = ['bow', 'midships', 'stern', 'turrets', 'engine', 'rudder'];
+export const DAMAGE = {
+  partHp: { bow: 0.30, midships: 0.45, stern: 0.30, turrets: 0.25, engine: 0.25, rudder: 0.12 },
+  bowAt: 0.45, sternAt: -0.45,  // Section boundaries on u
+  turretOdds: 0.40,    // Bow/stern hits from above that land on a gun mount
+  engineOdds: 0.40,    // Midships hits that reach the engine room
+  rudderOdds: 0.45,    // Stern hits that reach the rudder
+  magazineOdds: 0.15,  // Turret hits that reach the magazine below
+  detonateOdds: 0.30,  // ...and set it off (less with armor)
+  endsMult: 0.85,      // Bow and stern hits do less harm to the ship as a whole
+  minThrottle: 30,     // Throttle cap once the engine room is wrecked
+  rudderJam: 8.0,      // Seconds a rudder hit jams the helm (longer when badly hurt)
+};
+
+// Weather. vis scales every sighting range, acc scales gun accuracy and fly says
+// whether aircraft can launch. Rain squalls and fog banks are cells drifting on
+// the wind (WIND px/s); inside one, sighting falls to cell.vis of the open sea.
+export const WEATHER = {
+  clear: { name: 'Clear', vis: 1.0, acc: 1.0, fly: true, cells: 0 },
+  haze: { name: 'Haze', vis: 0.80, acc: 0.90, fly: true, cells: 0 },
+  rain: { name: 'Rain squalls', vis: 0.95, acc: 0.90, fly: true, cells: 6, cell: { type: 'rain', vis: 0.55, r: [220, 420] } },
+  fog: { name: 'Fog banks', vis: 0.90, acc: 0.95, fly: false, cells: 5, cell: { type: 'fog', vis: 0.35, r: [300, 560] } },
+};
+export const WIND = [6, 14];
+
+// Night. Unlit targets are sighted at vis of the day range and fired on with acc;
+// no aircraft fly. A star shell bursts over its aim point after flying there at
+// speed px/s and lights radius px for burn seconds. A searchlight lights targets
+// inside its beam along the gun director, and lights its own ship for everyone.
+export const NIGHT = {
+  vis: 0.70, acc: 0.75,
+  starShell: { radius: 240, burn: 9, reload: 6, speed: 180 },
+  searchlight: { range: 520, halfAngle: 0.10 },
+};
+
+// Gun direction. The director (ship.turret) swings onto the aim at directorRate
+// rad/s; the mounts follow at their class turretRate and bear once trained
+// within bearTol radians of the target.
+export const TURRET = { directorRate: 4.0, bearTol: 0.05 };
+
+// Shell ballistics. Guns fire on the low arc that reaches the aim point: the launch
+// angle follows from range and muzzle velocity (kind.shellSpeed) under gravity,
+// and the shell comes down at the same angle. Altitude is in world px.
+export const BALLISTICS = { gravity: 35, islandHeight: 24, minFlight: 0.5 };
+
+// Player fire control. A locked target is fired on at its lead with accuracy from
+// minAcc up to maxAcc as the solution builds: each salvo adds salvoGain, a shell
+// falling within straddleR of the target adds straddleGain (once per salvo). The
+// solution is lost when the target turns more than turnReset (radians) or changes
+// speed by more than speedReset x its top speed between salvos.
+export const FIRE_CONTROL = {
+  pickRange: 260, minAcc: 0.55, maxAcc: 1.0, salvoGain: 0.12, straddleGain: 0.20,
+  straddleR: 45, turnReset: 0.40, speedReset: 0.30, lostAfter: 6.0,
+};
+
+// Armor penetration (mm and degrees). A shell's penetration falls to (1 - falloff)
+// of its muzzle value at full gun range. Long-range shells come down steeper and
+// strike the deck more often (deckOdds x sin(fall)). minFall is the shallowest
+// strike.
+// Belt hits more than ricochetMin off square may glance off, certainly past
+// ricochetMax. A fuse needs armor of at least caliber / fuseRatio to go off.
+export const PEN = {
+  falloff: 0.45,
+  minFall: 4, deckOdds: 1.2,
+  ricochetMin: 45, ricochetMax: 65,
+  fuseRatio: 10,
+  dmg: { pen: 1.0, over: 0.5, shat: 0.25, ric: 0 },  // Damage share per outcome
+};
+export const RIBBONS = { pen: 'Penetration', over: 'Over-penetration', ric: 'Ricochet', shat: 'Non-penetration' };
+
+// Damage control. Fires and flooding run at severity levels 1-3 (0 = none); the
+// per-level drain is a fraction of the class hp per second. Pumps lower flooding
+// a level per run; repair parties restore hp and the worst-hit component.
+export const SEVERITY = ['none', 'minor', 'major', 'severe'];
+export const DAMAGE_CONTROL = {
+  fireDps: [0, 0.030, 0.050, 0.080],
+  floodDps: [0, 0.012, 0.020, 0.035],
+  fireSpread: 0.05,     // Chance per second a burning fire grows a level
+  extinguish: 2,        // Levels one extinguisher use puts out
+  extCooldown: 10.0,
+  pumpTime: 6.0, pumpCooldown: 12.0,
+  repairCharges: 2,     // Repair parties per ship
+  repairHeal: 0.18,     // Share of class hp restored over repairTime
+  repairTime: 8.0, repairCooldown: 30.0,
+  partRepair: 0.35,     // Health given back to the worst-hit component
+};
 
 // Smoke constants
 export const SMOKE_DEPLOY_TIME = 3.0;
 export const SMOKE_DURATION = 5.0;
 
 // Recon plane constants
-export const RECON = { speed: 180, turnRate: 1.5, vision: 540, ttl: 22.0, cooldown: 16.0 };
+export const RECON = { speed: 180, turnRate: 1.5, vision: 540, ttl: 22.0, cooldown: 16.0, hp: 14 };
 export const RECON_V2 = RECON.vision * RECON.vision;
 
 // Fighter constants
 export const FIGHTER = { speed: 255, vision: 390, ttl: 12.0, gunRange: 360, fireEvery: 0.16, bulletSpeed: 500, dmg: 7, hp: 20, radius: 9 };
 export const FIGHTER_V2 = FIGHTER.vision * FIGHTER.vision;
 
+// Ship anti-aircraft fire: one burst every fireEvery seconds at the closest plane
+// in aaRange. Damage = class aa x (1 - falloff x range fraction) x mount health.
+export const AA = { fireEvery: 0.8, falloff: 0.8, minMount: 0.3 };
+
+// Strike aircraft (carrier sorties of 2). Torpedo bombers drop into the water at
+// dropRange when lined up; dive bombers release straight over the target.
+export const STRIKE = {
+  torpedo: { name: 'Torpedo bomber', speed: 170, hp: 26, radius: 10, dropRange: 240, dropArc: 0.35 },
+  dive:    { name: 'Dive bomber', speed: 215, hp: 22, radius: 9, releaseRange: 36, bombDmg: 55, hitChance: 0.55 },
+};
+export const STRIKE_RANGE = 2400;  // Carriers only send strikes at contacts this close
+export const MAX_SORTIES = 4;      // Sorties of two a carrier can have in the air at once
+
 // Helper functions
 export function mapById(id) { return MAPS[Math.max(0, Math.min(MAPS.length-1, id|0))]; }
-export function battleByMap(id) { 
-  return BATTLES[id] || { pName: 'Allied Force', eName: 'Axis Force', pForm: 'lineAhead', eForm: 'lineAhead', pCount: 8, eCount: 8 }; 
-}
-export function className(key) { 
-  return key === 'cv' ? 'Aircraft carrier' : (key === 'bb' ? 'Battleship' : (key === 'tb' ? 'Torpedo boat' : 'Destroyer')); 
-}
+export function battleByMap(id) { return BATTLES[mapById(id).id]; }
@@ -0,0 +1,183 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// CONVOY MODULE - Merchant convoys: route following, zig-zags and scatter orders
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { CONVOY, WORLD, battleByMap } from './config.js';
+import { clamp, dist2, normAngle, angleTo } from './utils.js';
+import { canSee, turretStep } from './combat.js';
+import {
+  aiDamageControl, aiGunnery, pickTargetDetectable, planConvoyRoute, steerToPoint, updateAIThrottle
+} from './ai.js';
+
+const fleet = (team, state) => (team === 'P' ? state.player : state.enemy);
+const sailing = (team, state) => fleet(team, state).filter(s => s.convoy && s.alive);
+const routeOf = (team, state) => battleByMap(state.mapId).sides[team].convoy.route;
+
+// A side's convoy ships (layoutConvoy() list `layout`, made into `ships` in the same
+// order) take their stations, and the guide they keep station on starts at the head
+// of the route. The guide is a point that runs the route: it plans each leg round the
+// islands and leaves a trail the columns follow, so rows astern turn where it turned.
+export function initConvoy(team, ships, layout, state) {
+  ships.forEach((s, i) => { s.convoy = { f: layout[i].f, r: layout[i].r, scattered: false, until: 0, heading: 0 }; });
+  const [x, y] = routeOf(team, state)[0];
+  state.convoys[team] = {
+    x, y, heading: layout.length ? layout[0].a : 0, speed: 0,
+    leg: 1, path: [], trail: [], scattered: false,
+  };
+}
+
+// Closest enemy warship `team` has in sight within `range` of (x, y)
+function nearestRaider(x, y, team, range, state) {
+  let best = null, bestD2 = range * range;
+  for (const e of fleet(team === 'P' ? 'E' : 'P', state)) {
+    if (!e.alive || e.convoy || !canSee(team, e)) continue;
+    const d2 = dist2(x, y, e.x, e.y);
+    if (d2 < bestD2) { bestD2 = d2; best = e; }
+  }
+  return best;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GUIDE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Where `back` px astern of the guide its track was, and the course there: along the
+// trail, then straight back along the oldest course
+function trackPoint(g, back) {
+  let x = g.x, y = g.y, h = g.heading;
+  for (const c of g.trail) {
+    const d = Math.hypot(c.x - x, c.y - y);
+    if (d >= back) {
+      const t = d > 0 ? back / d : 0;
+      return { x: x + (c.x - x) * t, y: y + (c.y - y) * t, h: c.h };
+    }
+    back -= d;
+    x = c.x; y = c.y; h = c.h;
+  }
+  return { x: x - Math.cos(h) * back, y: y - Math.sin(h) * back, h };
+}
+
+// A ship's station: its row's place on the guide's track, its column to starboard
+function station(g, s) {
+  const p = trackPoint(g, -s.convoy.f);
+  return { x: p.x - Math.sin(p.h) * s.convoy.r, y: p.y + Math.cos(p.h) * s.convoy.r, h: p.h };
+}
+
+function guideStep(g, team, ships, dt, state) {
+  const route = routeOf(team, state);
+  const slowest = Math.min(...ships.map(s => s.kind.maxSpeed));
+  if (g.scattered) { g.speed = slowest; return; }
+  if (g.leg >= route.length) { g.speed = 0; return; } // Route run: wait at its end
+  if (!g.path.length) g.path = planConvoyRoute(g.x, g.y, route[g.leg][0], route[g.leg][1], state);
+  const wp = g.path[0];
+  const d = Math.hypot(wp.x - g.x, wp.y - g.y);
+  // Waypoint reached, or passed abeam while zig-zagging
+  const ahead = (wp.x - g.x) * Math.cos(g.heading) + (wp.y - g.y) * Math.sin(g.heading);
+  if (d < CONVOY.rowSep || (ahead < 0 && d < CONVOY.rowSep * 4)) {
+    g.path.shift();
+    if (!g.path.length) g.leg++;
+    return;
+  }
+  // Zig-zag legs, all ships together, until the last stretch to the waypoint
+  let course = angleTo(g.x, g.y, wp.x, wp.y);
+  if (battleByMap(state.mapId).sides[team].convoy.zigzag && d > slowest * CONVOY.zigPeriod) {
+    course += (Math.floor(state.time / CONVOY.zigPeriod) % 2 ? 1 : -1) * CONVOY.zigAngle;
+  }
+  g.heading = normAngle(g.heading + clamp(normAngle(course - g.heading), -CONVOY.turnRate * dt, CONVOY.turnRate * dt));
+  // Hold back for stragglers
+  const off = ships.reduce((a, s) => { const p = station(g, s); return a + Math.hypot(p.x - s.x, p.y - s.y); }, 0) / ships.length;
+  g.speed = slowest * CONVOY.speed * (off > CONVOY.straggle ? 0.5 : 1);
+  g.x += Math.cos(g.heading) * g.speed * dt;
+  g.y += Math.sin(g.heading) * g.speed * dt;
+  const last = g.trail[0];
+  if (!last || dist2(last.x, last.y, g.x, g.y) > 40*40) {
+    g.trail.unshift({ x: g.x, y: g.y, h: g.heading });
+    const rows = Math.max(...ships.map(s => -s.convoy.f)) / 40 + 8;
+    if (g.trail.length > rows) g.trail.length = Math.ceil(rows);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHIPS
+// ═══════════════════════════════════════════════════════════════════════════
+function convoyShipStep(s, g, team, dt, state, lvl, df) {
+  const c = s.convoy;
+  let tx, ty, throttle;
+  if (c.scattered && state.time < c.until) {
+    // Run out along the fan
+    tx = clamp(s.x + Math.cos(c.heading) * 400, 200, WORLD.w - 200);
+    ty = clamp(s.y + Math.sin(c.heading) * 400, 200, WORLD.h - 200);
+    throttle = 100;
+  } else if (c.scattered) {
+    // Then make for the end of the route alone
+    const end = routeOf(team, state).slice(-1)[0];
+    if (!c.planned) {
+      c.planned = true;
+      s.plannedPath = planConvoyRoute(s.x, s.y, end[0], end[1], state);
+    }
+    while (s.plannedPath.length > 1 && dist2(s.x, s.y, s.plannedPath[0].x, s.plannedPath[0].y) < 250*250) s.plannedPath.shift();
+    const wp = s.plannedPath[0] || { x: end[0], y: end[1] };
+    tx = wp.x; ty = wp.y;
+    throttle = 100;
+  } else {
+    // Keep station: steer for a point ahead of it at the guide's speed, more to
+    // close up from astern
+    const p = station(g, s);
+    const along = (p.x - s.x) * Math.cos(p.h) + (p.y - s.y) * Math.sin(p.h);
+    if (g.speed > 0) {
+      tx = p.x + Math.cos(p.h) * 250; ty = p.y + Math.sin(p.h) * 250;
+      throttle = clamp(100 * g.speed / s.kind.maxSpeed + along * 0.2, 0, 100);
+    } else {
+      tx = p.x; ty = p.y;
+      throttle = clamp(Math.hypot(p.x - s.x, p.y - s.y) * 0.15, 0, 50);
+    }
+    s.targetWaypoint = { x: p.x, y: p.y };
+  }
+  updateAIThrottle(s, throttle, dt);
+  steerToPoint(s, tx, ty, dt, s.kind.maxSpeed * (s.throttle / 100), state);
+  // Armed merchantmen fire back at whatever comes in range
+  const foe = s.kind.gunRange > 0 ? pickTargetDetectable(s, fleet(team === 'P' ? 'E' : 'P', state)) : null;
+  if (foe) aiGunnery(s, foe, dt, state, lvl, df);
+  else turretStep(s, dt, s.heading);
+  aiDamageControl(s, dt, state);
+}
+
+// Scatter order: the ships fan out away from the nearest raider in sight (or on
+// across the course), in the order they lie across the fan so no tracks cross
+export function scatterConvoy(team, state, showMsg) {
+  const g = state.convoys[team];
+  const ships = sailing(team, state);
+  if (!g || !ships.length) { if (team === 'P') showMsg('No convoy to scatter'); return; }
+  if (g.scattered) { if (team === 'P') showMsg('The convoy has already scattered'); return; }
+  g.scattered = true;
+  const cx = ships.reduce((a, s) => a + s.x, 0) / ships.length;
+  const cy = ships.reduce((a, s) => a + s.y, 0) / ships.length;
+  const raider = nearestRaider(cx, cy, team, Infinity, state);
+  const away = raider ? angleTo(raider.x, raider.y, cx, cy) : g.heading;
+  const across = (s) => (s.x - cx) * -Math.sin(away) + (s.y - cy) * Math.cos(away);
+  const order = ships.slice().sort((a, b) => across(a) - across(b));
+  order.forEach((s, i) => {
+    s.convoy.scattered = true;
+    s.convoy.until = state.time + CONVOY.scatterRun;
+    s.convoy.heading = away + (order.length > 1 ? i / (order.length - 1) - 0.5 : 0) * CONVOY.fan;
+  });
+  if (team === 'P') showMsg('Convoy, scatter!', 2000);
+}
+
+// Moves both sides' convoys. The AI scatters its own convoy when a raider is sighted
+// near it; the player's waits for the order (V) unless the battle is being watched.
+export function convoyStep(dt, state, diff, showMsg) {
+  const lvl = state.level, df = diff();
+  for (const team of ['P', 'E']) {
+    const g = state.convoys[team];
+    const ships = g ? sailing(team, state) : [];
+    if (!ships.length) continue;
+    if (!g.scattered && (team === 'E' || state.spectatorMode) && nearestRaider(g.x, g.y, team, CONVOY.scatterRange, state)) {
+      scatterConvoy(team, state, showMsg);
+    }
+    guideStep(g, team, ships, dt, state);
+    for (const s of ships) convoyShipStep(s, g, team, dt, state, lvl, df);
+  }
+}
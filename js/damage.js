@@ -0,0 +1,244 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// DAMAGE MODULE - Hit locations, ship components and what losing them does
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { PARTS, DAMAGE, DAMAGE_CONTROL, SEVERITY, PEN, FX } from './config.js';
+import { clamp, lerp, rand, random, normAngle } from './utils.js';
+
+// 1.0 = intact, 0 = wrecked
+export function mkParts() {
+  const parts = {};
+  for (const k of PARTS) parts[k] = 1.0;
+  return parts;
+}
+
+// Coastal batteries have no parts; they count as intact
+export const partHealth = (ship, part) => (ship.parts ? ship.parts[part] : 1.0);
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EFFECTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Mounts still firing: one drops out each time turret health falls past a share
+export function gunSalvo(ship) {
+  const n = ship.kind.salvo || 1;
+  return Math.max(0, Math.ceil(n * partHealth(ship, 'turrets') - 1e-9));
+}
+
+// Highest throttle the engine room can still give
+export function throttleCap(ship) {
+  return lerp(DAMAGE.minThrottle, 100, partHealth(ship, 'engine'));
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HIT LOCATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Where along the hull an impact landed, -1 (stern) to +1 (bow). Hits without
+// a known impact point land anywhere.
+function hullPosition(ship, hx, hy, state) {
+  if (hx === undefined || hy === undefined) return rand(state.rng, -1, 1);
+  const along = (hx - ship.x) * Math.cos(ship.heading) + (hy - ship.y) * Math.sin(ship.heading);
+  return clamp(along / ship.kind.radius, -1, 1);
+}
+
+// Section struck, then the component under it. Underwater hits (torpedoes,
+// depth charges) never reach the gun mounts.
+export function hitLocation(ship, hx, hy, cause, state) {
+  const u = hullPosition(ship, hx, hy, state);
+  const guns = ship.kind.salvo > 0 && (cause === 'shell' || cause === 'bomb');
+  if (u >= DAMAGE.bowAt) return (guns && random(state.rng) < DAMAGE.turretOdds) ? 'turrets' : 'bow';
+  if (u <= DAMAGE.sternAt) {
+    if (random(state.rng) < DAMAGE.rudderOdds) return 'rudder';
+    return (guns && random(state.rng) < DAMAGE.turretOdds) ? 'turrets' : 'stern';
+  }
+  return (random(state.rng) < DAMAGE.engineOdds) ? 'engine' : 'midships';
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ARMOR PENETRATION
+// ═══════════════════════════════════════════════════════════════════════════
+const DEG = Math.PI / 180;
+
+// What a shell does to the armor it strikes: 'pen', 'over' (straight through
+// without the fuse going off), 'shat' (fails to penetrate) or 'ric' (glances off)
+export function armorCheck(sh, t, state) {
+  const rangeFrac = clamp(sh.range / sh.maxRange, 0, 1);
+  const pen = sh.pen * (1 - PEN.falloff * rangeFrac);
+  const fall = Math.max(PEN.minFall * DEG, sh.fall);
+  let armor;
+  if (t.kind.deck > 0 && random(state.rng) < PEN.deckOdds * Math.sin(fall)) {
+    armor = t.kind.deck / Math.sin(fall);
+  } else {
+    // 0 = square on the belt, 90 = along the keel (bow or stern on)
+    const flight = Math.atan2(sh.ey - sh.sy, sh.ex - sh.sx);
+    const square = Math.abs(Math.sin(normAngle(flight - t.heading)));
+    const off = Math.acos(clamp(square, 0, 1)) / DEG;
+    if (t.kind.belt > 0 && off > PEN.ricochetMin) {
+      const ricochet = (off - PEN.ricochetMin) / (PEN.ricochetMax - PEN.ricochetMin);
+      if (random(state.rng) < ricochet) return 'ric';
+    }
+    armor = t.kind.belt / Math.max(0.05, square * Math.cos(fall));
+  }
+  if (pen < armor) return 'shat';
+  return (armor < sh.caliber / PEN.fuseRatio) ? 'over' : 'pen';
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMPONENT DAMAGE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Wears down one component by `dmg` (already reduced by armor) and applies its
+// effect. Returns the damage the hull takes; the ends soak up part of a hit.
+export function damagePart(ship, part, dmg, cause, state) {
+  const before = ship.parts[part];
+  const gunsBefore = gunSalvo(ship);
+  ship.parts[part] = Math.max(0, before - dmg / (ship.kind.hp * DAMAGE.partHp[part]));
+  ship.lastHitPart = part;
+  ship.lastHitAt = state.time;
+
+  if (part === 'turrets') {
+    const guns = gunSalvo(ship);
+    if (guns < gunsBefore) ship.damageNote = guns > 0 ? `Turret knocked out (${guns} left)` : 'All turrets knocked out';
+    if ((cause === 'shell' || cause === 'bomb') && random(state.rng) < DAMAGE.magazineOdds) magazineHit(ship, state);
+  } else if (part === 'engine') {
+    if (before > 0 && ship.parts.engine === 0) ship.damageNote = 'Engine room wrecked';
+    else if (before === 1) ship.damageNote = 'Engine room hit';
+  } else if (part === 'rudder') {
+    ship.rudderJamT = Math.max(ship.rudderJamT || 0, DAMAGE.rudderJam * (2 - ship.parts.rudder));
+    ship.damageNote = 'Rudder jammed';
+  }
+  return (part === 'bow' || part === 'stern') ? dmg * DAMAGE.endsMult : dmg;
+}
+
+// Armor keeps most magazine hits to a fire; the rest blow the ship apart
+function magazineHit(ship, state) {
+  if (random(state.rng) < DAMAGE.detonateOdds * clamp(1 - ship.kind.armor * 3, 0, 1)) {
+    ship.hp = 0;
+    ship.detonated = true;
+    ship.damageNote = `${ship.tag} blew up - magazine hit`;
+    for (let i = 0; i < 3; i++) {
+      const r = ship.kind.radius;
+      state.fx.push({ type: 'boom', x: ship.x + rand(state.rng, -r, r), y: ship.y + rand(state.rng, -r, r), until: state.time + FX.boomTtl * 2 });
+    }
+    return;
+  }
+  addFire(ship, 2);
+  ship.damageNote = 'Magazine fire';
+}
+
+// Jammed rudders free themselves, wrecked engines hold the throttle down and
+// damage reports reach the player
+export function componentStep(dt, state, showMsg) {
+  const sel = state.spectatorMode ? null : state.player[state.selected];
+  for (const s of state.player.concat(state.enemy)) {
+    if (s.damageNote) {
+      if (showMsg && (s === sel || s.detonated)) showMsg(s.damageNote);
+      s.damageNote = null;
+    }
+    if (!s.alive) continue;
+    if (s.rudderJamT > 0) {
+      s.rudderJamT = Math.max(0, s.rudderJamT - dt);
+      if (s.rudderJamT === 0 && s === sel && showMsg) showMsg('Rudder freed');
+    }
+    const cap = throttleCap(s);
+    s.throttle = clamp(s.throttle, -cap, cap);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DAMAGE CONTROL
+// ═══════════════════════════════════════════════════════════════════════════
+const MAX_LEVEL = SEVERITY.length - 1;
+
+export function addFire(ship, levels = 1) {
+  ship.fireLevel = Math.min(MAX_LEVEL, (ship.fireLevel || 0) + levels);
+}
+
+export function addFlooding(ship, levels = 1) {
+  ship.floodLevel = Math.min(MAX_LEVEL, (ship.floodLevel || 0) + levels);
+}
+
+// Each run of the pumps lowers flooding one level
+export function tryPumps(ship, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (!(ship.floodLevel > 0)) {
+    if (ship.team === 'P' && showMsg) showMsg('No flooding');
+    return;
+  }
+  if (ship.pumpT > 0) {
+    if (showMsg) showMsg(`Pumps running ${ship.pumpT.toFixed(1)}s`);
+    return;
+  }
+  if (ship.pumpCd > 0) {
+    if (showMsg) showMsg(`Pumps reloading ${ship.pumpCd.toFixed(1)}s`);
+    return;
+  }
+  ship.pumpT = DAMAGE_CONTROL.pumpTime;
+  if (showMsg) showMsg('Pumps running');
+}
+
+// Sends one of the ship's repair parties to work; it also frees a jammed rudder
+export function tryRepair(ship, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (!(ship.repairs > 0)) {
+    if (showMsg) showMsg('No repair parties left');
+    return;
+  }
+  if (ship.repairCd > 0) {
+    if (showMsg) showMsg(`Repair party busy ${ship.repairCd.toFixed(1)}s`);
+    return;
+  }
+  ship.repairs -= 1;
+  ship.repairT = DAMAGE_CONTROL.repairTime;
+  ship.repairCd = DAMAGE_CONTROL.repairCooldown;
+  ship.rudderJamT = 0;
+  if (showMsg) showMsg(`Repair party at work (${ship.repairs} left)`);
+}
+
+function worstPart(ship) {
+  let worst = null;
+  for (const k of PARTS) {
+    if (partHealth(ship, k) < 1 && (!worst || ship.parts[k] < ship.parts[worst])) worst = k;
+  }
+  return worst;
+}
+
+// Pumps and repair parties at work, and fires left alone spreading
+export function damageControlStep(dt, state, showMsg) {
+  const sel = state.spectatorMode ? null : state.player[state.selected];
+  const tell = (s, text) => { if (s === sel && showMsg) showMsg(text); };
+  for (const s of state.player.concat(state.enemy)) {
+    if (!s.alive) continue;
+    if (s.pumpCd > 0) s.pumpCd = Math.max(0, s.pumpCd - dt);
+    if (s.repairCd > 0) s.repairCd = Math.max(0, s.repairCd - dt);
+    if (s.pumpT > 0) {
+      s.pumpT -= dt;
+      if (s.pumpT <= 0) {
+        s.pumpT = 0;
+        s.pumpCd = DAMAGE_CONTROL.pumpCooldown;
+        s.floodLevel = Math.max(0, (s.floodLevel || 0) - 1);
+        tell(s, s.floodLevel > 0 ? `Flooding down to ${SEVERITY[s.floodLevel]}` : 'Flooding under control');
+      }
+    }
+    if (s.repairT > 0) {
+      const step = Math.min(dt, s.repairT);
+      s.hp = Math.min(s.kind.hp, s.hp + s.kind.hp * DAMAGE_CONTROL.repairHeal * step / DAMAGE_CONTROL.repairTime);
+      s.repairT -= step;
+      if (s.repairT <= 0) {
+        const part = worstPart(s);
+        if (part) s.parts[part] = Math.min(1, s.parts[part] + DAMAGE_CONTROL.partRepair);
+        tell(s, 'Repairs complete');
+      }
+    }
+    if (s.fireLevel > 0 && s.fireLevel < MAX_LEVEL && random(state.rng) < DAMAGE_CONTROL.fireSpread * dt) {
+      s.fireLevel += 1;
+      tell(s, `Fire spreading - ${SEVERITY[s.fireLevel]}`);
+    }
+  }
+}
@@ -0,0 +1,644 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// EDITOR MODULE - Map and scenario editor: paint islands, place spawns, set up fleets
+// ═══════════════════════════════════════════════════════════════════════════
+
+import * as Config from './config.js';
+import { clamp, dist2 } from './utils.js';
+import { isMerchant, shipClasses } from './ships.js';
+import { inShape, landNormal } from './terrain.js';
+import {
+  BUILT_IN, CUSTOM_MAP, MAX_SHIPS, SCENARIO_VERSION, cleanScenario, installScenario, layoutConvoy, layoutShips, parseScenario,
+  scenarioFromMap
+} from './scenario.js';
+
+// What the editor is doing; rendering.js draws from this
+export const editor = {
+  open: false,
+  sc: null,       // Scenario being edited, kept as it would be written to a file
+  tool: 'select',
+  sel: null,      // Picked item: { list: 'land' | 'shoals' | 'batteries', i }, { spawn: 'pSpawn' | 'eSpawn' },
+                  // { objective: i } or { route: 'P' | 'E', i } (a convoy route point)
+  drag: null,     // What the mouse is moving, while the button is held
+  draft: null,    // Corners of a coastline or shoal being drawn: { list, pts }
+  preview: null,  // Where each side's ships start: { P: layoutShips() list, E: ... }
+};
+
+export const EDITOR_TOOLS = {
+  select: 'Select / drag',
+  island: 'Round island',
+  coast: 'Coastline',
+  shoal: 'Shoal',
+  pSpawn: 'Allied start',
+  eSpawn: 'Enemy start',
+  batteryP: 'Allied battery',
+  batteryE: 'Enemy battery',
+  routeP: 'Allied convoy route',
+  routeE: 'Enemy convoy route',
+  erase: 'Delete',
+};
+
+// One line of help per tool, shown over the map
+export const EDITOR_HELP = {
+  select: 'Drag islands, corners, batteries, starts and objective zones · round handle sets radius · arrow sets heading · Del removes',
+  island: 'Click and drag out a round island',
+  coast: 'Click corners of a coastline · click the first corner or press Enter to close · Esc cancels',
+  shoal: 'Click corners of a shoal · click the first corner or press Enter to close · Esc cancels',
+  pSpawn: 'Click to place the allied start, drag to set its heading',
+  eSpawn: 'Click to place the enemy start, drag to set its heading',
+  batteryP: 'Click on land to place an allied coastal battery',
+  batteryE: 'Click on land to place an enemy coastal battery',
+  routeP: 'Click to add a point to the end of the allied convoy route',
+  routeE: 'Click to add a point to the end of the enemy convoy route',
+  erase: 'Click a battery, island or shoal to delete it',
+};
+
+const NEW_FLEET = ['bb', 'ca', 'dd', 'dd', 'dd', 'dd'];
+const HEADING_ARM = 160; // Spawn heading handle distance (px)
+const PICK = 24;         // How close a click must be to a handle or battery (px)
+const MIN_RADIUS = 60;
+const ZONE_RADIUS = 500; // A new exit, capture or convoy zone
+
+let state = null;
+let ui = null;
+let hooks = null; // { showMsg, downloadJson, readPickedFile, play(spectator), close() }
+
+// A blank sea with one start on each side
+function blankScenario() {
+  const W = Config.WORLD.w, H = Config.WORLD.h;
+  const side = (name, spawn) => ({ name, formation: 'lineAhead', spawn, ships: NEW_FLEET.map(k => ({ class: k })) });
+  return {
+    v: SCENARIO_VERSION, name: 'Custom battle',
+    map: { land: [], shoals: [] },
+    sides: { P: side('Allied Force', [W * 0.2, H * 0.5, 0]), E: side('Axis Force', [W * 0.8, H * 0.5, Math.PI]) },
+    conditions: { weather: 'clear', night: false },
+    victory: { timeLimit: 0, objectives: [] },
+  };
+}
+
+// The side whose start a spawn tool or selection ('pSpawn' | 'eSpawn') moves
+const spawnSide = (key) => editor.sc.sides[key === 'pSpawn' ? 'P' : 'E'];
+
+// Load the scenario into the custom map slot and lay out both fleets
+function refresh() {
+  state.mapId = installScenario(editor.sc);
+  const { P, E } = editor.sc.sides;
+  const convoy = (side) => (side.convoy ? layoutConvoy(side.convoy, state) : []);
+  editor.preview = {
+    P: layoutShips(P.ships, P.spawn, P.formation, state).concat(convoy(P)),
+    E: layoutShips(E.ships, E.spawn, E.formation, state).concat(convoy(E)),
+  };
+}
+
+function load(sc) {
+  editor.sc = cleanScenario(sc);
+  editor.sel = null;
+  editor.drag = null;
+  editor.draft = null;
+  refresh();
+  buildPanel();
+  viewStart();
+}
+
+// Centre the view on the allied start
+function viewStart() {
+  const s = editor.sc.sides.P.spawn;
+  state.camX = clamp(s[0] - Config.VIEW.w / 2, 0, Config.WORLD.w - Config.VIEW.w);
+  state.camY = clamp(s[1] - Config.VIEW.h / 2, 0, Config.WORLD.h - Config.VIEW.h);
+}
+
+// The scenario as a battle would load it
+export function editorScenario() { return cleanScenario(editor.sc); }
+
+export function openEditor() {
+  if (!editor.sc) load(state.scenario || scenarioFromMap(state.mapId));
+  else refresh();
+  editor.open = true;
+  viewStart();
+  if (ui.editorPanel) ui.editorPanel.style.display = 'block';
+}
+
+export function closeEditor() {
+  editor.open = false;
+  editor.drag = null;
+  editor.draft = null;
+  if (ui.editorPanel) ui.editorPanel.style.display = 'none';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PICKING
+// ═══════════════════════════════════════════════════════════════════════════
+const near = (x, y, px, py, r = PICK) => dist2(x, y, px, py) <= r * r;
+
+// Prepared shapes (centre, radius, winding) of the edited map, same order as the scenario's
+const shapes = (list) => Config.mapById(state.mapId)[list] || [];
+
+// Topmost island or shoal under (x, y)
+function shapeAt(x, y) {
+  for (const list of ['land', 'shoals']) {
+    const arr = shapes(list);
+    for (let i = arr.length - 1; i >= 0; i--) if (inShape(arr[i], x, y)) return { list, i };
+  }
+  return null;
+}
+
+function batteryAt(x, y) {
+  const arr = editor.sc.map.batteries || [];
+  for (let i = arr.length - 1; i >= 0; i--) if (near(x, y, arr[i].x, arr[i].y)) return i;
+  return -1;
+}
+
+// Heading arrow tip of a start
+export function headingHandle(spawn) {
+  return { x: spawn[0] + Math.cos(spawn[2]) * HEADING_ARM, y: spawn[1] + Math.sin(spawn[2]) * HEADING_ARM };
+}
+
+// Where the radius of a selected round shape is dragged
+export function radiusHandle(c) { return { x: c.x + c.r, y: c.y }; }
+
+// Objectives with a zone, by index in the scenario's list
+function zoneAt(x, y) {
+  const list = editor.sc.victory.objectives;
+  for (let i = list.length - 1; i >= 0; i--) {
+    const z = list[i].zone;
+    if (z && dist2(x, y, z[0], z[1]) <= z[2] * z[2]) return i;
+  }
+  return -1;
+}
+
+// A convoy route point under (x, y): { route: team, i }
+function routePointAt(x, y) {
+  for (const team of ['P', 'E']) {
+    const c = editor.sc.sides[team].convoy;
+    const i = c ? c.route.findIndex(p => near(x, y, p[0], p[1])) : -1;
+    if (i >= 0) return { route: team, i };
+  }
+  return null;
+}
+
+function selectedZone() {
+  const s = editor.sel;
+  return s && s.objective !== undefined ? editor.sc.victory.objectives[s.objective].zone || null : null;
+}
+
+function selectedShape() {
+  const s = editor.sel;
+  return s && (s.list === 'land' || s.list === 'shoals') ? editor.sc.map[s.list][s.i] : null;
+}
+
+// The island a battery at (x, y) would stand on
+const landAt = (x, y) => shapes('land').find(c => inShape(c, x, y)) || null;
+
+// Batteries face out to sea from the nearest stretch of coast
+function batteryFacing(c, x, y) {
+  const n = landNormal(c, x, y);
+  return Math.atan2(n.y, n.x);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MOUSE
+// ═══════════════════════════════════════════════════════════════════════════
+export function editorMouseDown(x, y) {
+  const m = editor.sc.map, t = editor.tool;
+  if (t === 'select') { pick(x, y); return; }
+  if (t === 'island') {
+    m.land.push({ x, y, r: MIN_RADIUS });
+    editor.sel = { list: 'land', i: m.land.length - 1 };
+    editor.drag = { what: 'radius' };
+  } else if (t === 'coast' || t === 'shoal') {
+    addCorner(t === 'coast' ? 'land' : 'shoals', x, y);
+  } else if (t === 'pSpawn' || t === 'eSpawn') {
+    const s = spawnSide(t).spawn;
+    s[0] = x; s[1] = y;
+    editor.sel = { spawn: t };
+    editor.drag = { what: 'heading', spawn: t };
+  } else if (t === 'batteryP' || t === 'batteryE') {
+    placeBattery(t === 'batteryP' ? 'P' : 'E', x, y);
+  } else if (t === 'routeP' || t === 'routeE') {
+    const team = t === 'routeP' ? 'P' : 'E', c = editor.sc.sides[team].convoy;
+    if (!c) { hooks.showMsg(`Give ${team === 'P' ? 'the allies' : 'the enemy'} a convoy first`); return; }
+    c.route.push([Math.round(x), Math.round(y)]);
+    editor.sel = { route: team, i: c.route.length - 1 };
+  } else if (t === 'erase') {
+    const bi = batteryAt(x, y);
+    editor.sel = bi >= 0 ? { list: 'batteries', i: bi } : shapeAt(x, y);
+    deleteSelected();
+    return;
+  }
+  changed();
+}
+
+// Select tool: grab the nearest handle, battery, start or shape under the mouse
+function pick(x, y) {
+  const m = editor.sc.map;
+  for (const spawn of ['pSpawn', 'eSpawn']) {
+    const h = headingHandle(spawnSide(spawn).spawn);
+    if (near(x, y, h.x, h.y)) { editor.sel = { spawn }; editor.drag = { what: 'heading', spawn }; return; }
+  }
+  const z = selectedZone();
+  if (z && near(x, y, z[0] + z[2], z[1])) { editor.drag = { what: 'zoneRadius' }; return; }
+  const c = selectedShape();
+  if (c && c.poly) {
+    const vi = c.poly.findIndex(p => near(x, y, p[0], p[1]));
+    if (vi >= 0) { editor.drag = { what: 'corner', vi }; return; }
+  } else if (c) {
+    const h = radiusHandle(c);
+    if (near(x, y, h.x, h.y)) { editor.drag = { what: 'radius' }; return; }
+  }
+  const bi = batteryAt(x, y);
+  if (bi >= 0) { editor.sel = { list: 'batteries', i: bi }; editor.drag = { what: 'battery' }; return; }
+  const rp = routePointAt(x, y);
+  if (rp) { editor.sel = rp; editor.drag = { what: 'route' }; return; }
+  for (const spawn of ['pSpawn', 'eSpawn']) {
+    const s = spawnSide(spawn).spawn;
+    if (near(x, y, s[0], s[1], PICK * 2)) { editor.sel = { spawn }; editor.drag = { what: 'spawn', spawn, dx: s[0] - x, dy: s[1] - y }; return; }
+  }
+  // A zone is grabbed near its centre so islands inside it stay pickable
+  const zi = zoneAt(x, y), zone = zi >= 0 && editor.sc.victory.objectives[zi].zone;
+  if (zone && near(x, y, zone[0], zone[1], Math.min(zone[2], PICK * 4))) {
+    editor.sel = { objective: zi };
+    editor.drag = { what: 'zone', dx: zone[0] - x, dy: zone[1] - y };
+    return;
+  }
+  editor.sel = shapeAt(x, y);
+  if (!editor.sel) { editor.drag = null; buildPanel(); return; }
+  // An island carries its batteries with it
+  const carried = [];
+  if (editor.sel.list === 'land') {
+    const shape = shapes('land')[editor.sel.i];
+    (m.batteries || []).forEach((b, i) => { if (inShape(shape, b.x, b.y)) carried.push(i); });
+  }
+  editor.drag = { what: 'shape', lastX: x, lastY: y, carried };
+}
+
+export function editorMouseMove(x, y) {
+  const d = editor.drag;
+  if (!d) return;
+  const m = editor.sc.map;
+  const c = selectedShape();
+  x = clamp(x, 0, Config.WORLD.w);
+  y = clamp(y, 0, Config.WORLD.h);
+  if (d.what === 'heading') {
+    const s = spawnSide(d.spawn).spawn;
+    if (!near(x, y, s[0], s[1], 10)) s[2] = Math.atan2(y - s[1], x - s[0]);
+  } else if (d.what === 'spawn') {
+    const s = spawnSide(d.spawn).spawn;
+    s[0] = x + d.dx; s[1] = y + d.dy;
+  } else if (d.what === 'radius' && c) {
+    c.r = Math.max(MIN_RADIUS, Math.round(Math.hypot(x - c.x, y - c.y)));
+  } else if (d.what === 'corner' && c) {
+    c.poly[d.vi] = [x, y];
+  } else if (d.what === 'shape' && c) {
+    const dx = x - d.lastX, dy = y - d.lastY;
+    d.lastX = x; d.lastY = y;
+    if (c.poly) c.poly = c.poly.map(([px, py]) => [px + dx, py + dy]);
+    else { c.x += dx; c.y += dy; }
+    for (const i of d.carried || []) { m.batteries[i].x += dx; m.batteries[i].y += dy; }
+  } else if (d.what === 'zone') {
+    const z = selectedZone();
+    z[0] = Math.round(x + d.dx); z[1] = Math.round(y + d.dy);
+  } else if (d.what === 'zoneRadius') {
+    const z = selectedZone();
+    z[2] = Math.max(MIN_RADIUS, Math.round(Math.hypot(x - z[0], y - z[1])));
+  } else if (d.what === 'route') {
+    editor.sc.sides[editor.sel.route].convoy.route[editor.sel.i] = [Math.round(x), Math.round(y)];
+  } else if (d.what === 'battery') {
+    const b = m.batteries[editor.sel.i], on = landAt(x, y);
+    if (!on) return; // Batteries stay ashore
+    b.x = x; b.y = y;
+    b.a = batteryFacing(on, x, y);
+  } else {
+    return;
+  }
+  refresh();
+}
+
+export function editorMouseUp() {
+  if (!editor.drag) return;
+  editor.drag = null;
+  changed();
+}
+
+function addCorner(list, x, y) {
+  const d = editor.draft;
+  if (!d || d.list !== list) { editor.draft = { list, pts: [[x, y]] }; return; }
+  const first = d.pts[0];
+  if (d.pts.length >= 3 && near(x, y, first[0], first[1])) { finishDraft(); return; }
+  d.pts.push([x, y]);
+}
+
+function finishDraft() {
+  const d = editor.draft;
+  editor.draft = null;
+  if (!d || d.pts.length < 3) { hooks.showMsg('A coastline needs at least 3 corners'); return; }
+  const shape = d.list === 'shoals' ? { poly: d.pts, depth: 6 } : { poly: d.pts };
+  editor.sc.map[d.list].push(shape);
+  editor.sel = { list: d.list, i: editor.sc.map[d.list].length - 1 };
+  changed();
+}
+
+function placeBattery(team, x, y) {
+  const on = landAt(x, y);
+  if (!on) { hooks.showMsg('Coastal batteries go on land'); return; }
+  const m = editor.sc.map;
+  if (!m.batteries) {
+    m.batteries = [];
+    hooks.showMsg('Batteries are now placed by hand; island sides no longer fortify', 2400);
+  }
+  m.batteries.push({ team, x: Math.round(x), y: Math.round(y), a: batteryFacing(on, x, y) });
+  editor.sel = { list: 'batteries', i: m.batteries.length - 1 };
+}
+
+function deleteSelected() {
+  const s = editor.sel;
+  if (s && s.objective !== undefined) { removeObjective(s.objective); return; }
+  if (s && s.route) {
+    const route = editor.sc.sides[s.route].convoy.route;
+    if (route.length <= 2) { hooks.showMsg('A convoy route needs at least 2 points'); return; }
+    route.splice(s.i, 1);
+    editor.sel = null;
+    changed();
+    return;
+  }
+  if (!s || !s.list) return;
+  const m = editor.sc.map;
+  if (s.list === 'land') {
+    // Hand-placed batteries go down with their island
+    const shape = shapes('land')[s.i];
+    if (m.batteries) m.batteries = m.batteries.filter(b => !inShape(shape, b.x, b.y));
+  }
+  m[s.list].splice(s.i, 1);
+  editor.sel = null;
+  changed();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KEYS
+// ═══════════════════════════════════════════════════════════════════════════
+const typing = (e) => !!(e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName));
+
+// Returns true when the editor used the key
+export function editorKey(e) {
+  if (typing(e)) return true;
+  if (e.code === 'Escape') {
+    if (!editor.draft) return false;
+    editor.draft = null;
+    return true;
+  }
+  if (e.code === 'Enter' || e.code === 'NumpadEnter') { finishDraft(); return true; }
+  if (e.code === 'Delete' || e.code === 'Backspace') { deleteSelected(); return true; }
+  return true;
+}
+
+// WASD / arrow keys move the view
+export function panEditor(dt, keys, speed) {
+  if (keys.has('KeyW') || keys.has('ArrowUp')) state.camY -= speed * dt;
+  if (keys.has('KeyS') || keys.has('ArrowDown')) state.camY += speed * dt;
+  if (keys.has('KeyA') || keys.has('ArrowLeft')) state.camX -= speed * dt;
+  if (keys.has('KeyD') || keys.has('ArrowRight')) state.camX += speed * dt;
+  state.camX = clamp(state.camX, 0, Config.WORLD.w - Config.VIEW.w);
+  state.camY = clamp(state.camY, 0, Config.WORLD.h - Config.VIEW.h);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PANEL
+// ═══════════════════════════════════════════════════════════════════════════
+function changed() {
+  refresh();
+  buildPanel();
+}
+
+function el(tag, props = {}, kids = []) {
+  const n = document.createElement(tag);
+  Object.assign(n, props);
+  for (const k of kids) n.appendChild(typeof k === 'string' ? document.createTextNode(k) : k);
+  return n;
+}
+
+const row = (...kids) => el('div', { className: 'row' }, kids);
+const label = (text) => el('span', { className: 'pill', textContent: text });
+
+function button(text, onClick, sel = false) {
+  const b = el('button', { textContent: text });
+  if (sel) b.className = 'sel';
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function select(options, value, onChange) {
+  const s = el('select');
+  for (const [k, name] of Object.entries(options)) s.appendChild(el('option', { value: k, textContent: name }));
+  s.value = value;
+  s.addEventListener('change', () => onChange(s.value));
+  return s;
+}
+
+function input(type, value, onChange, props = {}) {
+  const i = el('input', { type, value, ...props });
+  i.addEventListener('change', () => onChange(type === 'number' ? Number(i.value) : i.value));
+  return i;
+}
+
+function checkbox(checked, onChange) {
+  const i = el('input', { type: 'checkbox', checked });
+  i.addEventListener('change', () => onChange(i.checked));
+  return i;
+}
+
+// Number of ships of class `key` in `ships` set to n; the first ones of the class
+// keep their names and places, new ones join the formation. A fleet keeps at least
+// `least` ships.
+function setCount(ships, key, n, least = 1) {
+  const mine = ships.filter(s => s.class === key), rest = ships.length - mine.length;
+  n = clamp(n | 0, 0, MAX_SHIPS - rest);
+  if (rest + n < least) { hooks.showMsg('Each side needs at least one ship'); return ships; }
+  const kept = new Set(mine.slice(0, n));
+  const out = ships.filter(s => s.class !== key || kept.has(s));
+  for (let i = mine.length; i < n; i++) out.push({ class: key });
+  return out;
+}
+
+function selectionRow() {
+  const s = editor.sel, m = editor.sc.map;
+  if (!s) return row(label('Nothing selected'));
+  if (s.spawn) {
+    const sp = spawnSide(s.spawn).spawn;
+    return row(label(s.spawn === 'pSpawn' ? 'Allied start' : 'Enemy start'),
+      'Heading°', input('number', Math.round(sp[2] * 180 / Math.PI), (v) => { sp[2] = v * Math.PI / 180; changed(); }, { step: 15 }));
+  }
+  if (s.route) {
+    return row(label(`${s.route === 'P' ? 'Allied' : 'Enemy'} convoy route, point ${s.i + 1}`), button('Delete', deleteSelected));
+  }
+  if (s.objective !== undefined) {
+    const z = editor.sc.victory.objectives[s.objective].zone;
+    if (!z) return row(label('Nothing selected'));
+    return row(label('Objective zone'),
+      'Radius', input('number', z[2], (v) => { z[2] = Math.max(MIN_RADIUS, v | 0); changed(); }, { step: 50 }),
+      button('Delete', deleteSelected));
+  }
+  if (s.list === 'batteries') {
+    const b = m.batteries[s.i];
+    const { P, E } = editor.sc.sides;
+    return row(label('Battery'), select({ P: P.name, E: E.name }, b.team, (v) => { b.team = v; changed(); }),
+      button('Delete', deleteSelected));
+  }
+  const c = m[s.list][s.i];
+  const kids = [label(s.list === 'land' ? 'Island' : 'Shoal')];
+  if (!c.poly) kids.push('Radius', input('number', Math.round(c.r), (v) => { c.r = Math.max(MIN_RADIUS, v); changed(); }, { step: 10 }));
+  if (s.list === 'land') {
+    kids.push('Height', input('number', c.h ?? '', (v) => { if (v > 0) c.h = v; else delete c.h; changed(); }, { min: 0, step: 5, placeholder: 'default' }));
+    kids.push('Held by', select({ '': 'Nobody', P: 'Allies', E: 'Enemy' }, c.side || '', (v) => { if (v) c.side = v; else delete c.side; changed(); }));
+  } else {
+    kids.push('Depth m', input('number', c.depth, (v) => { c.depth = clamp(v, 0, 30); changed(); }, { min: 0, max: 30 }));
+  }
+  kids.push(button('Delete', deleteSelected));
+  return row(...kids);
+}
+
+function fleetRows(team) {
+  const side = editor.sc.sides[team];
+  const top = row(label(team === 'P' ? 'Allies' : 'Enemy'),
+    input('text', side.name, (v) => { side.name = v || side.name; changed(); }),
+    select(Config.FORMATIONS, side.formation, (v) => { side.formation = v; changed(); }));
+  const counts = row(), convoy = row(label('Convoy'));
+  for (const k of shipClasses()) {
+    if (isMerchant(k)) continue;
+    const n = side.ships.filter(s => s.class === k.key).length;
+    counts.appendChild(el('label', {}, [k.type + ' ',
+      input('number', n, (v) => { side.ships = setCount(side.ships, k.key, v); changed(); }, { min: 0, max: MAX_SHIPS, style: 'width:3.5em' })]));
+  }
+  for (const k of shipClasses()) {
+    if (!isMerchant(k)) continue;
+    const n = side.convoy ? side.convoy.ships.filter(s => s.class === k.key).length : 0;
+    convoy.appendChild(el('label', {}, [k.type + ' ',
+      input('number', n, (v) => { setConvoyCount(team, k.key, v); changed(); }, { min: 0, max: MAX_SHIPS, style: 'width:3.5em' })]));
+  }
+  if (side.convoy) {
+    convoy.appendChild(el('label', {}, [checkbox(!!side.convoy.zigzag, (v) => { side.convoy.zigzag = v; changed(); }), ' Zig-zag']));
+  }
+  return [top, counts, convoy];
+}
+
+// A side's merchant ships of class `key` set to n. The first one gives the side a
+// convoy sailing from astern of its start on along its heading; the last one
+// takes the convoy and its objectives away.
+function setConvoyCount(team, key, n) {
+  const side = editor.sc.sides[team];
+  if (!side.convoy) {
+    if (!(n > 0)) return;
+    const [x, y, a] = side.spawn;
+    const at = (d) => [Math.round(clamp(x + Math.cos(a) * d, 300, Config.WORLD.w - 300)), Math.round(clamp(y + Math.sin(a) * d, 300, Config.WORLD.h - 300))];
+    side.convoy = { route: [at(-700), at(3000)], zigzag: false, ships: [] };
+  }
+  side.convoy.ships = setCount(side.convoy.ships, key, n, 0);
+  if (side.convoy.ships.length) return;
+  delete side.convoy;
+  const win = editor.sc.victory;
+  win.objectives = win.objectives.filter(o => o.type !== 'convoy' || o.team !== team);
+  editor.sel = null;
+}
+
+// An objective retyped: exit and capture get a zone in view, and each keeps only
+// the fields its type uses
+function setObjectiveType(o, type) {
+  o.type = type;
+  if (type === 'exit' || type === 'capture' || type === 'convoy') {
+    if (!o.zone) o.zone = [Math.round(state.camX + Config.VIEW.w / 2), Math.round(state.camY + Config.VIEW.h / 2), ZONE_RADIUS];
+  } else delete o.zone;
+  if (type === 'capture') o.hold = o.hold || 60; else delete o.hold;
+  if (type !== 'exit' && type !== 'convoy') delete o.count;
+  const win = editor.sc.victory;
+  if (type === 'survive' && !(win.timeLimit > 0)) win.timeLimit = 600;
+}
+
+function removeObjective(i) {
+  editor.sc.victory.objectives.splice(i, 1);
+  editor.sel = null;
+  changed();
+}
+
+function objectiveRows() {
+  const win = editor.sc.victory, { P, E } = editor.sc.sides;
+  const rows = win.objectives.map((o, i) => {
+    // Only a side with a convoy can be set to get it through
+    const noConvoy = (type, team) => type === 'convoy' && !editor.sc.sides[team].convoy;
+    const kids = [
+      select(Config.OBJECTIVES, o.type, (v) => {
+        if (noConvoy(v, o.team)) hooks.showMsg('That side has no convoy; give it merchant ships first');
+        else setObjectiveType(o, v);
+        changed();
+      }),
+      select({ P: P.name, E: E.name }, o.team, (v) => {
+        if (noConvoy(o.type, v)) hooks.showMsg('That side has no convoy; give it merchant ships first');
+        else o.team = v;
+        changed();
+      }),
+    ];
+    if (o.type === 'capture') kids.push('Hold s', input('number', o.hold, (v) => { o.hold = Math.max(1, v | 0); changed(); }, { min: 1, step: 10 }));
+    if (o.type === 'exit' || o.type === 'convoy') {
+      kids.push('Ships', input('number', o.count || 1, (v) => { if (v > 1) o.count = v | 0; else delete o.count; changed(); }, { min: 1, style: 'width:3.5em' }));
+    }
+    if (o.zone) kids.push(button('Zone', () => { editor.sel = { objective: i }; changed(); }, editor.sel && editor.sel.objective === i));
+    kids.push(button('Remove', () => removeObjective(i)));
+    return row(label(`Objective ${i + 1}`), ...kids);
+  });
+  const add = row(label('Victory'),
+    button('Add objective', () => {
+      const o = { type: 'capture', team: 'P' };
+      setObjectiveType(o, 'capture');
+      win.objectives.push(o);
+      editor.sel = { objective: win.objectives.length - 1 };
+      changed();
+    }),
+    'Time limit s', input('number', win.timeLimit || 0, (v) => {
+      win.timeLimit = Math.max(0, v | 0);
+      // Surviving needs a clock to outlast
+      if (!win.timeLimit) win.objectives = win.objectives.filter(o => o.type !== 'survive');
+      editor.sel = null;
+      changed();
+    }, { min: 0, step: 60 }),
+    win.objectives.length ? '' : 'Sink the other fleet to win');
+  return [add, ...rows];
+}
+
+function buildPanel() {
+  const p = ui && ui.editorPanel;
+  if (!p) return;
+  const sc = editor.sc, cond = sc.conditions;
+  p.innerHTML = '';
+  const tools = row();
+  for (const [k, name] of Object.entries(EDITOR_TOOLS)) {
+    tools.appendChild(button(name, () => { editor.tool = k; editor.draft = null; buildPanel(); }, editor.tool === k));
+  }
+  const mapChoices = Object.fromEntries(BUILT_IN.map((b, i) => [i, b.name]));
+  const copyFrom = select(mapChoices, String(Math.min(state.mapId, CUSTOM_MAP - 1)), () => {});
+  p.append(
+    row(input('text', sc.name, (v) => { sc.name = v || 'Custom battle'; changed(); }),
+      button('New', () => load(blankScenario())),
+      copyFrom, button('Copy map', () => load(scenarioFromMap(Number(copyFrom.value)))),
+      button('Import', () => ui.scenarioFile && ui.scenarioFile.click()),
+      button('Export', () => hooks.downloadJson(`scenario-${sc.name.replace(/\W+/g, '-').toLowerCase()}.json`, editorScenario())),
+      button('Auto batteries', () => { delete sc.map.batteries; changed(); })),
+    tools,
+    selectionRow(),
+    ...fleetRows('P'),
+    ...fleetRows('E'),
+    row(label('Conditions'),
+      select(Object.fromEntries(Object.entries(Config.WEATHER).map(([k, w]) => [k, w.name])), cond.weather, (v) => { cond.weather = v; changed(); }),
+      el('label', {}, [checkbox(!!cond.night, (v) => { cond.night = v; changed(); }), ' Night'])),
+    ...objectiveRows(),
+    row(button('Play', () => hooks.play(false)), button('Watch', () => hooks.play(true)),
+      el('div', { className: 'spacer' }), button('Close', () => hooks.close())),
+  );
+}
+
+export function initEditor(gameState, uiElements, gameHooks) {
+  state = gameState;
+  ui = uiElements;
+  hooks = gameHooks;
+  if (ui.scenarioFile) {
+    ui.scenarioFile.addEventListener('change', () => hooks.readPickedFile(ui.scenarioFile, (text) => {
+      try { load(parseScenario(text)); hooks.showMsg(`Loaded ${editor.sc.name}`); }
+      catch (err) { hooks.showMsg(`Can't load scenario: ${err.message}`, 2800); }
+    }));
+  }
+}
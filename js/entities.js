@@ -3,22 +3,30 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { 
-  DD, BB, CV, TB, BATTERY, WORLD, 
-  SPAWN_SEP, SPAWN_SIDE, FORM_SEP, FORM_SIDE 
+  BATTERY, WORLD, SPAWN_SEP, SPAWN_SIDE, FORM_SEP, FORM_SIDE, DAMAGE_CONTROL 
 } from './config.js';
-import { clamp, rand, dist2 } from './utils.js';
+import { clamp, rand, random, dist2 } from './utils.js';
+import { isCapital } from './ships.js';
+import { mkParts } from './damage.js';
+import { inShape, pushOut } from './terrain.js';
 
 // Create a new ship entity
-export function mkShip(team, kind, x, y, heading, tag) {
-  const ammoMax = (kind.missileAmmoMax != null) ? kind.missileAmmoMax : (kind.type === 'TB' ? 4 : (kind.type === 'DD' ? 2 : 0));
+export function mkShip(team, kind, x, y, heading, tag, rng) {
+  const ammoMax = kind.missileAmmoMax || 0;
   return {
     team, kind, tag, x, y, vx: 0, vy: 0, heading, turret: heading,
-    hp: kind.hp, alive: true, gunCd: 0, smokeCd: 0, missileCd: 0, airCd: 0,
+    hp: kind.hp, alive: true, gunCd: 0, smokeCd: 0, missileCd: 0, airCd: 0, bloomUntil: 0,
     missileAmmoMax: ammoMax, missileAmmo: ammoMax, extCd: 0,
-    onFire: false, fireDps: kind.hp * 0.050,
-    flooding: false, floodDps: kind.hp * 0.020, fireUntil: 0,
+    depth: kind.dive ? 'periscope' : 'surfaced', depthTarget: null, diveT: 0,
+    dcAmmo: kind.depthCharges || 0, dcCd: 0,
+    parts: mkParts(), rudderJamT: 0, damageNote: null,
+    mounts: (kind.mounts || []).map(() => 0),
+    starShells: kind.starShells, starCd: 0, searchlightOn: false,
+    repairs: DAMAGE_CONTROL.repairCharges, repairT: 0, repairCd: 0, pumpT: 0, pumpCd: 0,
+    fcTarget: null, fcQuality: 0, fcCourse: 0, fcSpeed: 0, fcLostT: 0,
+    fireLevel: 0, floodLevel: 0, fireUntil: 0,
     detP: false, detE: false, blinkUntilP: 0, blinkUntilE: 0, trail: [],
-    ai: { strafe: Math.random() < 0.5 ? -1 : 1, think: 0, wpX: x, wpY: y, wpUntil: 0 },
+    ai: { strafe: random(rng) < 0.5 ? -1 : 1, think: 0, wpX: x, wpY: y, wpUntil: 0 },
     formKey: 'lineAhead', formRank: 0, formF: 0, formR: 0,
     throttle: 50,
     currentSpeed: 0,  // Actual speed (follows throttle with inertia)
@@ -33,16 +41,23 @@ export function mkShip(team, kind, x, y, heading, tag) {
 }
 
 // Create a coastal battery
-export function mkBattery(team, x, y, heading) {
+export function mkBattery(team, x, y, heading, rng) {
   return {
-    team, kind: BATTERY, tag: 'US Coastal Battery',
+    team, kind: BATTERY, tag: (team === 'P') ? 'US Coastal Battery' : 'IJN Coastal Battery',
     x, y, vx: 0, vy: 0, heading, turret: heading,
-    hp: BATTERY.hp, alive: true, gunCd: rand(0, BATTERY.gunReload * 0.8),
+    hp: BATTERY.hp, alive: true, gunCd: rand(rng, 0, BATTERY.gunReload * 0.8), bloomUntil: 0,
     detP: false, detE: false, blinkUntilP: 0, blinkUntilE: 0,
     lastSeenP: null, lastSeenE: null,
   };
 }
 
+// Whether a ship keeps station in the battle line or screens a line ship; a scenario
+// role overrides the class
+export const inLine = (s) => (s.role ? s.role !== 'screen' : isCapital(s.kind));
+
+// Convoy ships keep station on their convoy (see convoy.js), never in the formation
+const warships = (arr) => arr.filter(s => s && !s.convoy);
+
 // Calculate formation offsets
 export function formationOffsets(formKey, count, forSpawn = false) {
   const sep = forSpawn ? SPAWN_SEP : FORM_SEP;
@@ -81,55 +96,48 @@ export function formationSpawns(anchor, formKey, count) {
 // Pick the commander ship - BB commands, CV is protected center
 // If current commander dies, next biggest ship takes over
 export function pickCapitalLeader(arr) {
-  const alive = arr.filter(s => s && s.alive);
+  arr = warships(arr);
+  const alive = arr.filter(s => s.alive);
   if (!alive.length) return null;
   
   // Check if current commander is still alive
   const currentCommander = alive.find(s => s.isCommander);
   if (currentCommander) return currentCommander;
   
-  // Commander died - assign new one based on priority: BB > CV > DD > TB
-  const priority = ['BB', 'CV', 'DD', 'TB'];
-  for (const type of priority) {
-    const candidate = alive.find(s => s.kind.type === type);
-    if (candidate) {
-      // Clear old commander flags and set new one
-      for (const s of arr) {
-        if (s) {
-          s.isCommander = false;
-          // Update escortTarget to new commander for all ships
-          if (s !== candidate && s.alive) {
-            s.escortTarget = candidate;
-            s.escortLocked = false; // Unlock so they can reposition
-            s.timeInPosition = 0;
-          }
-        }
+  // Commander died - lowest commandRank takes over (BB > CA/CL > CV > DD > TB)
+  const candidate = alive.reduce((best, s) => (s.kind.commandRank < best.kind.commandRank ? s : best));
+  
+  // Clear old commander flags and set new one
+  for (const s of arr) {
+    if (s) {
+      s.isCommander = false;
+      // Update escortTarget to new commander for all ships
+      if (s !== candidate && s.alive) {
+        s.escortTarget = candidate;
+        s.escortLocked = false; // Unlock so they can reposition
+        s.timeInPosition = 0;
       }
-      candidate.isCommander = true;
-      candidate.plannedPath = []; // Reset path for new commander
-      candidate.routeState = 'patrol'; // Reset route state so new commander plans fresh route
-      candidate.escortTarget = null; // Commander doesn't follow anyone
-      
-      // Reassign formation positions relative to new commander
-      reassignFormationPositions(arr, candidate);
-      
-      return candidate;
     }
   }
+  candidate.isCommander = true;
+  candidate.plannedPath = []; // Reset path for new commander
+  candidate.routeState = 'patrol'; // Reset route state so new commander plans fresh route
+  candidate.escortTarget = null; // Commander doesn't follow anyone
+  
+  // Reassign formation positions relative to new commander
+  reassignFormationPositions(arr, candidate);
   
-  // Fallback to first alive
-  alive[0].isCommander = true;
-  alive[0].routeState = 'patrol';
-  return alive[0];
+  return candidate;
 }
 
 // Reassign all formation positions when commander changes
 function reassignFormationPositions(teamArr, newCommander) {
   const sep = FORM_SEP;
+  teamArr = warships(teamArr);
   
   // Get alive ships by type
-  const capitals = teamArr.filter(s => s && s.alive && (s.kind.type === 'BB' || s.kind.type === 'CV'));
-  const escorts = teamArr.filter(s => s && s.alive && (s.kind.type === 'DD' || s.kind.type === 'TB'));
+  const capitals = teamArr.filter(s => s && s.alive && inLine(s));
+  const escorts = teamArr.filter(s => s && s.alive && !inLine(s));
   
   // Assign capital positions (line behind commander)
   const capitalPositions = getCapitalPositions(capitals.length, sep);
@@ -163,6 +171,14 @@ function reassignFormationPositions(teamArr, newCommander) {
   }
 }
 
+// Fold ships that joined mid-battle (reinforcements) into the formation around the
+// side's commander
+export function joinFormation(teamArr, formKey) {
+  for (const s of teamArr) s.formKey = formKey;
+  const leader = pickCapitalLeader(teamArr);
+  if (leader) reassignFormationPositions(teamArr, leader);
+}
+
 
 // Generate SIDE escort positions for each capital
 // Each capital gets escorts on its PORT and STARBOARD sides
@@ -218,9 +234,10 @@ function getCapitalPositions(numCapitals, sep) {
 // Assign SIDE escort positions - each capital gets escorts on left and right
 export function assignEscortPositions(teamArr) {
   const sep = FORM_SEP;
+  teamArr = warships(teamArr);
   
-  const capitals = teamArr.filter(s => s.kind.type === 'CV' || s.kind.type === 'BB');
-  const escorts = teamArr.filter(s => s.kind.type === 'DD' || s.kind.type === 'TB');
+  const capitals = teamArr.filter(s => inLine(s));
+  const escorts = teamArr.filter(s => !inLine(s));
   
   if (capitals.length === 0 || escorts.length === 0) return;
   
@@ -248,8 +265,9 @@ export function assignEscortPositions(teamArr) {
 
 // Reassign escort positions when ships are sunk
 export function reassignEscortPositions(teamArr) {
-  const escorts = teamArr.filter(s => s.alive && (s.kind.type === 'DD' || s.kind.type === 'TB'));
-  const capitals = teamArr.filter(s => s.alive && (s.kind.type === 'CV' || s.kind.type === 'BB'));
+  teamArr = warships(teamArr);
+  const escorts = teamArr.filter(s => s.alive && !inLine(s));
+  const capitals = teamArr.filter(s => s.alive && inLine(s));
   
   if (escorts.length === 0) return;
   if (capitals.length === 0) return;
@@ -273,12 +291,14 @@ export function reassignEscortPositions(teamArr) {
 // Set formation - capitals in line, SIDE escorts for each capital
 export function setFormation(teamArr, formKey) {
   const sep = FORM_SEP;
+  teamArr = warships(teamArr);
   
-  const cv = teamArr.filter(s => s.kind.type === 'CV');
-  const bb = teamArr.filter(s => s.kind.type === 'BB');
-  const escorts = teamArr.filter(s => s.kind.type === 'DD' || s.kind.type === 'TB');
+  const escorts = teamArr.filter(s => !inLine(s));
   
-  const capitals = [...bb, ...cv];
+  // Capitals in command order - a scenario's flagship, else the first one, leads
+  const capitals = teamArr.filter(s => inLine(s)).sort((a, b) => a.kind.commandRank - b.kind.commandRank);
+  const flagship = teamArr.find(s => s.role === 'flagship');
+  if (flagship) capitals.sort((a, b) => (b === flagship) - (a === flagship));
   
   const commander = capitals[0] || teamArr[0];
   if (!commander) return;
@@ -344,13 +364,8 @@ export function formationPoint(leader, ship, inLand) {
   if (inLand) {
     const landHit = inLand(fx, fy, ship.kind.radius + 60);
     if (landHit) {
-      const dx = fx - landHit.x, dy = fy - landHit.y;
-      const d = Math.hypot(dx, dy) || 1;
-      const want = landHit.r + ship.kind.radius + 100;
-      
-      // Push directly away from land center
-      fx = landHit.x + (dx / d) * want;
-      fy = landHit.y + (dy / d) * want;
+      // Push directly out to sea
+      ({ x: fx, y: fy } = pushOut(landHit, fx, fy, ship.kind.radius + 100));
       
       // Also shift perpendicular to formation heading to slide around land
       const perpShift = 40;
@@ -371,26 +386,25 @@ export function formationPoint(leader, ship, inLand) {
 }
 
 // Generate escort formation spawns - Circular Carrier Task Group
+// Each spawn's i is the index of its kind in `kinds`
 export function generateEscortFormation(anchor, kinds, formKey, mapLand = []) {
   const x0 = anchor[0], y0 = anchor[1], a0 = anchor[2];
   const ca = Math.cos(a0), sa = Math.sin(a0);
   const nx = -sa, ny = ca;
   
   const spawns = [];
-  const cv = kinds.filter(k => k.type === 'CV');
-  const bb = kinds.filter(k => k.type === 'BB');
-  const escorts = kinds.filter(k => k.type === 'DD' || k.type === 'TB');
+  const ring = (r) => kinds.map((k, i) => ({ k, i })).filter(e => e.k.formationRing === r);
+  const cv = ring('center');
+  const bb = ring('inner');
+  const escorts = ring('outer');
   
-  const innerRingRadius = SPAWN_SEP * 2.2;  // BB ring - more spaced
+  const innerRingRadius = SPAWN_SEP * 2.2;  // BB/CA/CL ring - more spaced
   const outerRingRadius = SPAWN_SEP * 4.5;  // DD/TB ring - much more spaced
   
   // Helper to check if position is in land
   const isInLand = (x, y, radius) => {
     for (const c of mapLand) {
-      const dx = x - c.x, dy = y - c.y;
-      if (dx*dx + dy*dy <= (c.r + radius + 80) * (c.r + radius + 80)) {
-        return c;
-      }
+      if (inShape(c, x, y, radius + 80)) return c;
     }
     return null;
   };
@@ -401,41 +415,37 @@ export function generateEscortFormation(anchor, kinds, formKey, mapLand = []) {
     for (let i = 0; i < 5; i++) {
       const hit = isInLand(ax, ay, radius);
       if (!hit) break;
-      const dx = ax - hit.x, dy = ay - hit.y;
-      const d = Math.hypot(dx, dy) || 1;
-      const want = hit.r + radius + 120;
-      ax = hit.x + (dx / d) * want;
-      ay = hit.y + (dy / d) * want;
+      ({ x: ax, y: ay } = pushOut(hit, ax, ay, radius + 120));
     }
     return { x: clamp(ax, 100, WORLD.w - 100), y: clamp(ay, 100, WORLD.h - 100) };
   };
   
   // CV at center
   for (let i = 0; i < cv.length; i++) {
-    const k = cv[i];
+    const { k, i: idx } = cv[i];
     let x = x0, y = y0;
     const adj = adjustForLand(x, y, k.radius);
-    spawns.push({ x: adj.x, y: adj.y, a: a0, kind: k, isCapital: true });
+    spawns.push({ x: adj.x, y: adj.y, a: a0, kind: k, isCapital: isCapital(k), i: idx });
   }
   
-  // BB in inner ring (close protection)
+  // BB/CA/CL in inner ring (close protection)
   for (let i = 0; i < bb.length; i++) {
-    const k = bb[i];
+    const { k, i: idx } = bb[i];
     const angle = a0 + (i / Math.max(1, bb.length)) * Math.PI * 2 - Math.PI * 0.25;
     let x = x0 + Math.cos(angle) * innerRingRadius;
     let y = y0 + Math.sin(angle) * innerRingRadius;
     const adj = adjustForLand(x, y, k.radius);
-    spawns.push({ x: adj.x, y: adj.y, a: a0, kind: k, isCapital: true });
+    spawns.push({ x: adj.x, y: adj.y, a: a0, kind: k, isCapital: isCapital(k), i: idx });
   }
   
   // DD/TB in outer ring (perimeter screen)
   for (let i = 0; i < escorts.length; i++) {
-    const k = escorts[i];
+    const { k, i: idx } = escorts[i];
     const angle = a0 + (i / Math.max(1, escorts.length)) * Math.PI * 2;
     let x = x0 + Math.cos(angle) * outerRingRadius;
     let y = y0 + Math.sin(angle) * outerRingRadius;
     const adj = adjustForLand(x, y, k.radius);
-    spawns.push({ x: adj.x, y: adj.y, a: a0, kind: k, isCapital: false });
+    spawns.push({ x: adj.x, y: adj.y, a: a0, kind: k, isCapital: isCapital(k), i: idx });
   }
   
   return spawns;
@@ -0,0 +1,35 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// HEADLESS RUNNER - Play AI-vs-AI battles in Node, one JSON line per battle
+//   node js/headless.js --seed 42 --map 1 --count 100 --max-time 600
+//   --weather clear|haze|rain|fog and --night / --day override the battle's own
+//   --scenario file.json plays a scenario file (from the map editor) instead of --map
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'node:fs';
+import { runBattle } from './simulation.js';
+import { parseScenario } from './scenario.js';
+
+const args = process.argv.slice(2);
+const opt = (name, def) => {
+  const i = args.indexOf('--' + name);
+  return (i >= 0 && i + 1 < args.length) ? args[i + 1] : def;
+};
+
+const seed = Number(opt('seed', 1)) >>> 0;
+const scenarioFile = opt('scenario', null);
+const scenario = scenarioFile ? parseScenario(readFileSync(scenarioFile, 'utf8')) : null;
+const count = Math.max(1, Number(opt('count', 1)) | 0);
+for (let i = 0; i < count; i++) {
+  const result = runBattle({
+    seed: (seed + i) >>> 0,
+    mapId: Number(opt('map', 0)) | 0,
+    diffKey: opt('diff', 'med'),
+    playerClass: opt('class', 'dd'),
+    level: Number(opt('level', 1)) | 0,
+    maxTime: Number(opt('max-time', 600)),
+    weather: opt('weather', null),
+    night: args.includes('--night') ? true : (args.includes('--day') ? false : null),
+    scenario,
+  });
+  console.log(JSON.stringify(result));
+}
@@ -7,7 +7,7 @@ import {
   RUDDER_RETURN_RATE, ANGULAR_INERTIA, ANGULAR_ACCEL, RUDDER_MOVE_RATE 
 } from './config.js';
 import { clamp, angleTo } from './utils.js';
-import { turretStep } from './combat.js';
+import { turretStep, gunLead } from './combat.js';
 
 // Input state
 export const keys = new Set();
@@ -52,11 +52,11 @@ export function initInput(canvas, callbacks) {
 // ═══════════════════════════════════════════════════════════════════════════
 // THROTTLE SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════
-export function updateThrottle(ship, dt) {
-  if (keys.has('KeyW')) {
+export function updateThrottle(ship, throttleInput, dt) {
+  if (throttleInput > 0) {
     ship.throttle = Math.min(100, ship.throttle + THROTTLE_CHANGE_RATE * dt);
   }
-  if (keys.has('KeyS')) {
+  if (throttleInput < 0) {
     ship.throttle = Math.max(-100, ship.throttle - THROTTLE_CHANGE_RATE * dt);
   }
   if (isNaN(ship.throttle) || ship.throttle === undefined) {
@@ -68,7 +68,9 @@ export function updateThrottle(ship, dt) {
 // RUDDER SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════
 export function applyPlayerRudder(ship, steerInput, dt) {
-  if (steerInput !== 0) {
+  if (ship.rudderJamT > 0) {
+    // Jammed by a rudder hit: the blade stays where it is
+  } else if (steerInput !== 0) {
     ship.rudderAngle = (ship.rudderAngle || 0) + steerInput * RUDDER_MOVE_RATE * dt;
   } else {
     const returnSpeed = RUDDER_RETURN_RATE * dt;
@@ -102,20 +104,33 @@ export function applyPlayerRudder(ship, steerInput, dt) {
 // ═══════════════════════════════════════════════════════════════════════════
 // PLAYER CONTROL
 // ═══════════════════════════════════════════════════════════════════════════
-export function playerControl(ship, dt, state) {
+
+// Sample the held keys and mouse into a plain inputs object for stepSimulation.
+// One-shot actions (fire, torpedo, smoke...) are queued by the caller.
+export function readPlayerInputs(state) {
+  let throttle = 0, steer = 0;
+  if (keys.has('KeyW')) throttle += 1;
+  if (keys.has('KeyS')) throttle -= 1;
+  if (keys.has('KeyA')) steer -= 1;
+  if (keys.has('KeyD')) steer += 1;
+  // Whole world pixels keep recorded replays small
+  return { throttle, steer, aimX: Math.round(state.camX + mouse.x), aimY: Math.round(state.camY + mouse.y) };
+}
+
+export function playerControl(ship, dt, state, inputs) {
   if (!ship.alive) return;
   
-  updateThrottle(ship, dt);
-  
-  let steerInput = 0;
-  if (keys.has('KeyA')) steerInput -= 1;
-  if (keys.has('KeyD')) steerInput += 1;
-  applyPlayerRudder(ship, steerInput, dt);
+  updateThrottle(ship, inputs.throttle || 0, dt);
+  applyPlayerRudder(ship, inputs.steer || 0, dt);
   
   // Speed is now handled by physicsStep with inertia
-  // Just update turret aiming
-  const aimWorldX = state.camX + mouse.x;
-  const aimWorldY = state.camY + mouse.y;
-  const aimA = angleTo(ship.x, ship.y, aimWorldX, aimWorldY);
+  // Just update turret aiming: fire control tracks a locked target's lead
+  if (ship.fcTarget) {
+    const lead = gunLead(ship, ship.fcTarget);
+    turretStep(ship, dt, angleTo(ship.x, ship.y, lead.x, lead.y));
+    return;
+  }
+  if (inputs.aimX == null || inputs.aimY == null) return;
+  const aimA = angleTo(ship.x, ship.y, inputs.aimX, inputs.aimY);
   turretStep(ship, dt, aimA);
 }
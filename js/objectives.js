@@ -0,0 +1,234 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// OBJECTIVES MODULE - Scenario objectives: progress, who has won, points, AI goals
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { battleByMap, OBJECTIVES, OBJECTIVE_POINTS } from './config.js';
+import { dist2 } from './utils.js';
+import { reassignEscortPositions } from './entities.js';
+import { canSee } from './combat.js';
+
+const other = (team) => (team === 'P' ? 'E' : 'P');
+const fleet = (team, state) => (team === 'P' ? state.player : state.enemy);
+const inZone = (s, z) => dist2(s.x, s.y, z[0], z[1]) <= z[2] * z[2];
+const afloat = (ships) => ships.filter(s => s.alive).length;
+
+// The battle's objectives as the scenario lists them
+export const battleObjectives = (state) => battleByMap(state.mapId).objectives || [];
+
+// Each objective paired with its progress; none until the battle is set up (the
+// map can change under the menu before initObjectives runs)
+const tracked = (state) => battleObjectives(state).map((o, i) => [o, state.objectives[i]]).filter(([, p]) => p);
+
+// Ships of `team` still to arrive as reinforcements
+export function shipsDue(team, state) {
+  const waves = battleByMap(state.mapId).sides[team].reinforcements || [];
+  return waves.slice(state.reinforced[team]).reduce((n, w) => n + w.ships.length, 0);
+}
+
+// Progress of each objective, in scenario order: status 'open' | 'done' | 'failed',
+// seconds held for a capture, ships out for an exit and, for a flagship, its index
+// in the other side's fleet. Called once the fleets are in formation.
+export function initObjectives(state) {
+  state.objectives = battleObjectives(state).map(o => {
+    const p = { status: 'open', held: 0, out: 0 };
+    if (o.type === 'flagship') {
+      const ships = fleet(other(o.team), state);
+      const i = ships.findIndex(s => s.role === 'flagship');
+      p.target = i >= 0 ? i : ships.findIndex(s => s.isCommander);
+    }
+    return p;
+  });
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROGRESS
+// ═══════════════════════════════════════════════════════════════════════════
+const need = (o) => o.count || 1;
+
+// Ships that reach an exit zone leave the battle; for a convoy objective only the
+// convoy's ships count
+function exitStep(o, p, own, state, showMsg) {
+  const runners = o.type === 'convoy' ? own.filter(s => s.convoy) : own;
+  for (const s of runners) {
+    if (!s.alive || !inZone(s, o.zone)) continue;
+    s.alive = false;
+    s.exited = true;
+    p.out++;
+    reassignEscortPositions(own);
+    if (s.team === 'P') showMsg(`${s.tag} is through`, 1600);
+  }
+  if (p.out >= need(o)) return 'done';
+  const due = o.type === 'convoy' ? 0 : shipsDue(o.team, state);
+  if (p.out + afloat(runners) + due < need(o)) return 'failed';
+  return 'open';
+}
+
+function progress(o, p, dt, state, showMsg) {
+  const own = fleet(o.team, state), foe = fleet(other(o.team), state);
+  if (o.type === 'exit' || o.type === 'convoy') return exitStep(o, p, own, state, showMsg);
+  if (o.type === 'capture') {
+    const ours = own.some(s => s.alive && inZone(s, o.zone));
+    p.contested = ours && foe.some(s => s.alive && inZone(s, o.zone));
+    if (ours && !p.contested) p.held = Math.min(o.hold, p.held + dt);
+    return p.held >= o.hold ? 'done' : 'open';
+  }
+  if (o.type === 'batteries') {
+    return state.batteries.some(b => b.alive && b.team !== o.team) ? 'open' : 'done';
+  }
+  if (o.type === 'flagship') {
+    const t = foe[p.target];
+    if (t && t.exited) return 'failed';
+    return (!t || !t.alive) ? 'done' : 'open';
+  }
+  return 'open'; // survive: settled when time runs out
+}
+
+export function objectivesStep(dt, state, showMsg) {
+  for (const [o, p] of tracked(state)) {
+    if (p.status !== 'open') continue;
+    p.status = progress(o, p, dt, state, showMsg);
+    if (p.status === 'open') continue;
+    const whose = o.team === 'P' ? 'Objective' : 'Enemy objective';
+    showMsg(`${whose} ${p.status === 'done' ? 'complete' : 'failed'}: ${OBJECTIVES[o.type]}`, 2400);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESULT & POINTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The winner on objectives ('P' | 'E'), or null while that is open. A side wins
+// once all its objectives are done, or one of the other side's fails. When time
+// runs out, survive objectives are done and any still open fail.
+export function objectiveWinner(state, timeUp) {
+  const list = tracked(state);
+  if (timeUp) {
+    for (const [o, p] of list) {
+      if (p.status === 'open') p.status = o.type === 'survive' && afloat(fleet(o.team, state)) > 0 ? 'done' : 'failed';
+    }
+  }
+  const wins = (team) => {
+    const own = list.filter(([o]) => o.team === team);
+    const foeFailed = list.some(([o, p]) => o.team !== team && p.status === 'failed');
+    return foeFailed || (own.length > 0 && own.every(([, p]) => p.status === 'done'));
+  };
+  const p = wins('P'), e = wins('E');
+  return p === e ? null : (p ? 'P' : 'E');
+}
+
+// A sunk ship or battery scores its hit points for the side that sank it, a ship
+// through an exit for its own side, and a done objective its points
+export function teamScore(team, state) {
+  let pts = 0;
+  for (const s of fleet(other(team), state)) if (!s.alive && !s.exited) pts += s.kind.hp;
+  for (const s of fleet(team, state)) if (s.exited) pts += s.kind.hp;
+  for (const b of state.batteries) if (!b.alive && b.team !== team) pts += b.kind.hp;
+  for (const [o, p] of tracked(state)) {
+    if (o.team === team && p.status === 'done') pts += o.points ?? OBJECTIVE_POINTS[o.type];
+  }
+  return Math.round(pts);
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TRACKER
+// ═══════════════════════════════════════════════════════════════════════════
+const clock = (s) => `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, '0')}`;
+
+function objectiveText(o, p, state) {
+  if (o.type === 'exit') return `Ships out ${p.out}/${need(o)}`;
+  if (o.type === 'convoy') {
+    const g = state.convoys[o.team], left = afloat(fleet(o.team, state).filter(s => s.convoy));
+    return `Convoy through ${p.out}/${need(o)}, ${left} at sea${g && g.scattered ? ' (scattered)' : ''}`;
+  }
+  if (o.type === 'capture') return `Hold the zone ${Math.floor(p.held)}/${o.hold} s${p.contested ? ' (contested)' : ''}`;
+  if (o.type === 'batteries') {
+    const theirs = state.batteries.filter(b => b.team !== o.team);
+    return `Batteries destroyed ${theirs.filter(b => !b.alive).length}/${theirs.length}`;
+  }
+  if (o.type === 'survive') return `Survive ${clock(Math.max(0, battleByMap(state.mapId).timeLimit - state.time))}`;
+  const t = fleet(other(o.team), state)[p.target];
+  return `Sink the flagship${t ? ' ' + t.tag : ''}`;
+}
+
+// One line per objective for the HUD: { team, text, status }. A side without
+// objectives of its own is only out to sink the other fleet.
+export function objectiveLines(state) {
+  const list = tracked(state), lines = [];
+  for (const team of ['P', 'E']) {
+    const own = list.filter(([o]) => o.team === team);
+    if (!own.length) {
+      if (team === 'P') lines.push({ team, text: `Sink the enemy fleet (${afloat(state.enemy)} left)`, status: 'open' });
+      continue;
+    }
+    for (const [o, p] of own) lines.push({ team, text: objectiveText(o, p, state), status: p.status });
+  }
+  return lines;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AI GOALS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Where a side's convoy is: the middle of its ships afloat, on its guide's course
+function convoyCentre(team, state) {
+  const g = state.convoys[team], ships = fleet(team, state).filter(s => s.convoy && s.alive);
+  if (!g || !ships.length) return null;
+  const x = ships.reduce((a, s) => a + s.x, 0) / ships.length;
+  const y = ships.reduce((a, s) => a + s.y, 0) / ships.length;
+  return { x, y, heading: g.heading, speed: g.speed };
+}
+
+// The other side's convoy ship in sight that is closest to getting through
+function convoyPrey(o, team, state) {
+  let best = null, bestD2 = Infinity;
+  for (const s of fleet(o.team, state)) {
+    if (!s.convoy || !s.alive || !canSee(team, s)) continue;
+    const d2 = dist2(s.x, s.y, o.zone[0], o.zone[1]);
+    if (d2 < bestD2) { bestD2 = d2; best = s; }
+  }
+  return best;
+}
+
+// Where `team`'s AI should take its fleet: its first open objective that needs
+// steering, else survival, else after the other side's convoy or to the zone the
+// other side is making for. Returns { x, y, r, press, hold } for a zone (press: go
+// there whatever the fight), { batteries } to shell them, { target } for a flagship
+// or merchant in sight, { escort } (where the own convoy is), { evade }, or null.
+export function objectiveGoal(team, state) {
+  const open = tracked(state).filter(([, p]) => p.status === 'open');
+  if (!open.length) return null;
+  let survive = false;
+  for (const [o, p] of open) {
+    if (o.team !== team) continue;
+    if (o.type === 'exit' || o.type === 'capture') {
+      return { x: o.zone[0], y: o.zone[1], r: o.zone[2], press: true, hold: o.type === 'capture' };
+    }
+    if (o.type === 'batteries') return { batteries: true };
+    if (o.type === 'flagship') {
+      const t = fleet(other(team), state)[p.target];
+      if (t && t.alive && canSee(team, t)) return { target: t };
+    }
+    if (o.type === 'convoy') {
+      const c = convoyCentre(team, state);
+      if (c) return { escort: c };
+    }
+    if (o.type === 'survive') survive = true;
+  }
+  if (survive) return { evade: true };
+  for (const [o] of open) {
+    if (o.team === team || !o.zone) continue;
+    const prey = o.type === 'convoy' && convoyPrey(o, team, state);
+    if (prey) return { target: prey };
+    return { x: o.zone[0], y: o.zone[1], r: o.zone[2], press: false };
+  }
+  return null;
+}
+
+// Objectives with a zone, each with its progress as `p`, for drawing
+export function objectiveZones(state) {
+  return tracked(state).filter(([o]) => o.zone).map(([o, p]) => ({ ...o, p }));
+}
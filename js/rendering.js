@@ -3,9 +3,16 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { 
-  TAU, VIEW, WORLD, FX, RADAR_RANGE, MAX_RUDDER_ANGLE, mapById, ESCORT_LOCK_RADIUS 
+  TAU, VIEW, WORLD, FX, RADAR_RANGE, MAX_RUDDER_ANGLE, mapById, ESCORT_LOCK_RADIUS, DEPTH_CHARGE,
+  STRIKE, MISSILE, DAMAGE, SEVERITY, RIBBONS, NIGHT, battleByMap 
 } from './config.js';
-import { clamp, lerp, dist2 } from './utils.js';
+import { clamp, lerp, dist2, interpPos, interceptPoint } from './utils.js';
+import { isCapital, isEscort } from './ships.js';
+import { partHealth, gunSalvo, throttleCap } from './damage.js';
+import { gunLead } from './combat.js';
+import { shadowsFrom } from './sight.js';
+import { objectiveLines, objectiveZones, teamScore } from './objectives.js';
+import { EDITOR_HELP, EDITOR_TOOLS, headingHandle, radiusHandle } from './editor.js';
 
 // Texture patterns
 let WATER_TEX = { pattern: null };
@@ -193,7 +200,28 @@ function islandR(c, a, extra) {
   return Math.max(8, r0 * wob);
 }
 
+// A polygon coast drawn `extra` px out to sea: each corner moves out along the
+// bisector of its two edges' normals (mitre capped at twice `extra`)
+function polyPath(ctx, c, extra) {
+  const pts = c.poly, n = pts.length;
+  const normal = (a, b) => {
+    const ex = b[0] - a[0], ey = b[1] - a[1], l = Math.hypot(ex, ey) || 1;
+    return { x: c.wind * ey / l, y: -c.wind * ex / l };
+  };
+  for (let i = 0; i < n; i++) {
+    const p = pts[i];
+    const n1 = normal(pts[(i + n - 1) % n], p), n2 = normal(p, pts[(i + 1) % n]);
+    let bx = n1.x + n2.x, by = n1.y + n2.y;
+    const bl = Math.hypot(bx, by) || 1;
+    bx /= bl; by /= bl;
+    const k = (extra || 0) / Math.max(0.5, bx * n2.x + by * n2.y);
+    if (i === 0) ctx.moveTo(p[0] + bx * k, p[1] + by * k); else ctx.lineTo(p[0] + bx * k, p[1] + by * k);
+  }
+  ctx.closePath();
+}
+
 function islandPath(ctx, c, extra) {
+  if (c.poly) { polyPath(ctx, c, extra); return; }
   const n = 72;
   for (let i = 0; i <= n; i++) {
     const a = (i / n) * TAU;
@@ -205,10 +233,30 @@ function islandPath(ctx, c, extra) {
   ctx.closePath();
 }
 
+// Reefs and shallow banks: paler the shallower, with surf breaking on reefs
+function drawShoals(ctx, m, state) {
+  for (const s of (m.shoals || [])) {
+    ctx.save();
+    ctx.globalAlpha = clamp(0.55 - s.depth * 0.04, 0.15, 0.5);
+    ctx.fillStyle = 'rgb(110,215,205)';
+    ctx.beginPath(); islandPath(ctx, s, 0); ctx.fill();
+    if (s.depth <= 3) {
+      ctx.globalAlpha = 0.45;
+      ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 9]);
+      ctx.lineDashOffset = -state.time * 20;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
 export function drawLand(ctx, camX, camY, state) {
   const m = mapById(state.mapId);
   ctx.save();
   ctx.translate(-camX, -camY);
+  drawShoals(ctx, m, state);
   
   for (const c of m.land) {
     ctx.save();
@@ -218,7 +266,7 @@ export function drawLand(ctx, camX, camY, state) {
     deepShallow.addColorStop(0.3, 'rgba(40,180,190,0.15)');
     deepShallow.addColorStop(0.6, 'rgba(60,200,200,0.25)');
     deepShallow.addColorStop(1, 'rgba(80,210,210,0.35)');
-    ctx.fillStyle = deepShallow;
+    ctx.fillStyle = c.poly ? 'rgba(60,200,200,0.22)' : deepShallow;
     ctx.beginPath(); islandPath(ctx, c, 80); ctx.fill();
     ctx.restore();
 
@@ -229,7 +277,7 @@ export function drawLand(ctx, camX, camY, state) {
     shallow.addColorStop(0.4, 'rgba(100,220,210,0.20)');
     shallow.addColorStop(0.7, 'rgba(120,230,220,0.30)');
     shallow.addColorStop(1, 'rgba(140,235,225,0.35)');
-    ctx.fillStyle = shallow;
+    ctx.fillStyle = c.poly ? 'rgba(120,230,220,0.25)' : shallow;
     ctx.beginPath(); islandPath(ctx, c, 50); ctx.fill();
     ctx.restore();
 
@@ -240,7 +288,7 @@ export function drawLand(ctx, camX, camY, state) {
     beach.addColorStop(0.5, 'rgba(240,225,180,0.25)');
     beach.addColorStop(0.75, 'rgba(250,235,195,0.45)');
     beach.addColorStop(1, 'rgba(255,245,210,0.55)');
-    ctx.fillStyle = beach;
+    ctx.fillStyle = c.poly ? 'rgba(250,235,195,0.45)' : beach;
     ctx.beginPath(); islandPath(ctx, c, 20); ctx.fill();
     ctx.restore();
 
@@ -335,13 +383,7 @@ export function drawLand(ctx, camX, camY, state) {
 // SHIP RENDERING
 // ═══════════════════════════════════════════════════════════════════════════
 export function getShipScale(ship) {
-  switch (ship.kind.type) {
-    case 'CV': return 2.0;
-    case 'BB': return 1.7;
-    case 'DD': return 1.0;
-    case 'TB': return 0.7;
-    default: return 1.0;
-  }
+  return (ship.kind.draw && ship.kind.draw.scale) || 1.0;
 }
 
 export function drawTrail(ctx, ship, camX, camY, state) {
@@ -365,8 +407,9 @@ export function drawTrail(ctx, ship, camX, camY, state) {
   ctx.restore();
 }
 
-export function drawWake(ctx, ship, camX, camY) {
+export function drawWake(ctx, ship, camX, camY, state) {
   if (!ship.alive) return;
+  const ip = interpPos(ship, state.renderAlpha);
   const sp = Math.hypot(ship.vx, ship.vy);
   const intensity = clamp(sp / ship.kind.maxSpeed, 0, 1);
   if (intensity < 0.06) return;
@@ -376,8 +419,8 @@ export function drawWake(ctx, ship, camX, camY) {
   const shipScale = getShipScale(ship);
   
   ctx.save();
-  ctx.translate(ship.x - camX, ship.y - camY);
-  ctx.rotate(ship.heading);
+  ctx.translate(ip.x - camX, ip.y - camY);
+  ctx.rotate(ip.heading);
   ctx.globalAlpha = (0.14 + shipScale * 0.04) + (0.28 + shipScale * 0.04) * intensity;
   ctx.fillStyle = 'rgba(245,255,255,0.62)';
   const scale = shipScale * 1.1;
@@ -419,17 +462,40 @@ export function drawWake(ctx, ship, camX, camY) {
   ctx.restore();
 }
 
+// One barrel per mount, placed along the keel; knocked-out mounts show red
+function drawMounts(ctx, ship, shipScale, alpha) {
+  const working = gunSalvo(ship);
+  const along = 12 * shipScale, barrel = 14 * shipScale;
+  ctx.save();
+  ctx.rotate(ship.heading);
+  ctx.globalAlpha = alpha;
+  ctx.lineWidth = 1.5 + shipScale;
+  ship.kind.mounts.forEach((m, i) => {
+    const a = m.facing * Math.PI / 180 + ship.mounts[i];
+    const mx = m.at * along;
+    ctx.strokeStyle = i < working ? 'rgba(255,255,255,0.42)' : 'rgba(255,110,90,0.55)';
+    ctx.beginPath(); ctx.moveTo(mx, 0); ctx.lineTo(mx + Math.cos(a) * barrel, Math.sin(a) * barrel); ctx.stroke();
+  });
+  ctx.restore();
+}
+
 export function drawShip(ctx, ship, camX, camY, selected, state) {
-  const x = ship.x - camX, y = ship.y - camY;
+  if (ship.exited) return; // Through an exit zone and out of the battle
+  const ip = interpPos(ship, state.renderAlpha);
+  const x = ip.x - camX, y = ip.y - camY;
   ctx.save();
   ctx.translate(x, y);
   let blink = false;
   if (ship.team === 'E') blink = ship.detP && (state.time < ship.blinkUntilP);
-  const blinkGate = blink ? (Math.sin(state.time * 18) > 0 ? 1 : 0.12) : 1;
+  // Boats below the surface are drawn faint
+  const depthFade = (ship.depth === 'submerged') ? 0.35 : (ship.depth === 'periscope' ? 0.7 : 1);
+  const blinkGate = (blink ? (Math.sin(state.time * 18) > 0 ? 1 : 0.12) : 1) * depthFade;
   
   const shipScale = getShipScale(ship);
   
-  if (ship.kind.gunRange > 0) {
+  if (ship.kind.mounts && ship.mounts) {
+    drawMounts(ctx, ship, shipScale, (ship.alive ? 1.0 : 0.35) * blinkGate);
+  } else if (ship.kind.gunRange > 0) {
     ctx.save();
     ctx.rotate(ship.turret);
     ctx.globalAlpha = (ship.alive ? 1.0 : 0.35) * blinkGate;
@@ -444,11 +510,12 @@ export function drawShip(ctx, ship, camX, camY, selected, state) {
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
   ctx.globalAlpha = (ship.alive ? 1.0 : 0.35) * blinkGate;
-  ctx.fillText((ship.kind.type === 'BB' || ship.kind.type === 'CV') ? '🛳️' : (ship.kind.type === 'TB' ? '🛥️' : '🚢'), 0, 0);
+  if (ship.kind.draw.hull === 'sub') drawSubHull(ctx, ship, shipScale);
+  else ctx.fillText(ship.kind.draw.icon, 0, 0);
   ctx.globalAlpha = 1;
   
-  // Only show name tag for capitals (BB, CV), not escorts (DD, TB)
-  if (ship.kind.type === 'BB' || ship.kind.type === 'CV') {
+  // Only show name tag for capitals (BB, CA, CL, CV), not escorts (DD, TB)
+  if (ship.kind.draw.showTag) {
     const tagOffset = 18 * shipScale + 12; // Below the ship
     ctx.font = '12px system-ui';
     ctx.fillStyle = 'rgba(255,255,255,0.78)';
@@ -459,8 +526,8 @@ export function drawShip(ctx, ship, camX, camY, selected, state) {
   
   if (ship.alive) {
     let st = '';
-    if (ship.onFire) st += '🔥';
-    if (ship.flooding) st += '💧';
+    if (ship.fireLevel > 0) st += '🔥'.repeat(ship.fireLevel);
+    if (ship.floodLevel > 0) st += '💧'.repeat(ship.floodLevel);
     if (st) {
       ctx.globalAlpha = 0.95 * blinkGate;
       const statusFontSize = Math.round(12 + shipScale * 3);
@@ -492,19 +559,63 @@ export function drawShip(ctx, ship, camX, camY, selected, state) {
 // ═══════════════════════════════════════════════════════════════════════════
 // PROJECTILE & EFFECT RENDERING
 // ═══════════════════════════════════════════════════════════════════════════
-export function drawShell(ctx, sh, camX, camY) {
+const SHELL_LIFT = 0.4;
+
+export function drawShell(ctx, sh, camX, camY, state) {
+  const ip = interpPos(sh, state.renderAlpha);
   ctx.save();
-  ctx.translate(sh.x - camX, sh.y - camY);
+  ctx.translate(ip.x - camX, ip.y - camY);
+  // Shadow on the sea below, shell drawn up the screen by its height
+  const lift = (sh.z || 0) * SHELL_LIFT;
+  ctx.fillStyle = 'rgba(0,0,0,0.25)';
+  ctx.beginPath(); ctx.ellipse(0, 0, 2.4, 1.4, 0, 0, TAU); ctx.fill();
   ctx.fillStyle = (sh.team === 'P') ? 'rgba(215,245,255,0.95)' : 'rgba(255,215,215,0.95)';
   ctx.shadowColor = 'rgba(255,255,255,0.20)';
   ctx.shadowBlur = 6;
-  ctx.beginPath(); ctx.arc(0, 0, 2.6, 0, TAU); ctx.fill();
+  ctx.beginPath(); ctx.arc(0, -lift, 2.6, 0, TAU); ctx.fill();
+  ctx.restore();
+}
+
+// Long low hull with a conning tower; only the periscope shows at periscope depth
+function drawSubHull(ctx, ship, shipScale) {
+  const L = 20 * shipScale, W = 4.5 * shipScale;
+  ctx.save();
+  ctx.rotate(ship.heading);
+  ctx.fillStyle = (ship.team === 'P') ? 'rgba(60,80,95,1)' : 'rgba(95,65,65,1)';
+  ctx.strokeStyle = 'rgba(230,240,255,0.55)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(L, 0);
+  ctx.quadraticCurveTo(L * 0.4, -W, -L * 0.6, -W);
+  ctx.lineTo(-L, 0);
+  ctx.lineTo(-L * 0.6, W);
+  ctx.quadraticCurveTo(L * 0.4, W, L, 0);
+  ctx.fill(); ctx.stroke();
+  ctx.fillRect(-L * 0.05, -W * 0.55, L * 0.35, W * 1.1);
+  if (ship.depth === 'periscope') {
+    ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+    ctx.beginPath(); ctx.moveTo(L * 0.15, 0); ctx.lineTo(L * 0.15, -W * 2.2); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+export function drawDepthCharge(ctx, c, camX, camY, state) {
+  ctx.save();
+  ctx.translate(c.x - camX, c.y - camY);
+  // Ring of bubbles closing in as the fuse runs down
+  const k = clamp(c.fuse / DEPTH_CHARGE.fuse, 0, 1);
+  ctx.strokeStyle = 'rgba(220,240,255,0.55)';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath(); ctx.arc(0, 0, 4 + 10 * k, 0, TAU); ctx.stroke();
+  ctx.fillStyle = 'rgba(20,25,30,0.85)';
+  ctx.beginPath(); ctx.arc(0, 0, 3, 0, TAU); ctx.fill();
   ctx.restore();
 }
 
 export function drawMissile(ctx, m, camX, camY, state) {
+  const ip = interpPos(m, state.renderAlpha);
   ctx.save();
-  ctx.translate(m.x - camX, m.y - camY);
+  ctx.translate(ip.x - camX, ip.y - camY);
   ctx.rotate(m.a);
   ctx.save();
   ctx.globalAlpha = 0.62;
@@ -522,6 +633,161 @@ export function drawMissile(ctx, m, camX, camY, state) {
   ctx.restore();
 }
 
+// Torpedo lead: where a torpedo fired now meets the detected enemy nearest the aim point
+const LEAD_PICK_RANGE = 220;
+function drawTorpedoLead(ctx, camX, camY, state) {
+  if (state.spectatorMode || state.ended || state.aimX === undefined) return;
+  const sel = state.player[state.selected];
+  if (!sel || !sel.alive || !(sel.missileAmmoMax > 0)) return;
+  let t = null, bestD2 = LEAD_PICK_RANGE * LEAD_PICK_RANGE;
+  for (const e of state.enemy) {
+    if (!e.alive || !e.detP || e.depth === 'submerged') continue;
+    const d2 = dist2(state.aimX, state.aimY, e.x, e.y);
+    if (d2 < bestD2) { bestD2 = d2; t = e; }
+  }
+  if (!t) return;
+  const p = interceptPoint(sel.x, sel.y, MISSILE.speed, t.x, t.y, t.vx || 0, t.vy || 0);
+  if (!p || p.t > MISSILE.ttl) return;
+  const ready = sel.missileAmmo > 0 && sel.depth !== 'submerged';
+  const sx = sel.x - camX, sy = sel.y - camY;
+  const px = p.x - camX, py = p.y - camY;
+  ctx.save();
+  ctx.strokeStyle = ready ? 'rgba(210,245,255,0.75)' : 'rgba(210,245,255,0.30)';
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([4, 6]);
+  ctx.beginPath(); ctx.moveTo(sx, sy); ctx.lineTo(px, py); ctx.stroke();
+  ctx.beginPath(); ctx.moveTo(t.x - camX, t.y - camY); ctx.lineTo(px, py); ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.beginPath(); ctx.arc(px, py, 9, 0, TAU); ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(px - 14, py); ctx.lineTo(px - 5, py);
+  ctx.moveTo(px + 5, py); ctx.lineTo(px + 14, py);
+  ctx.moveTo(px, py - 14); ctx.lineTo(px, py - 5);
+  ctx.moveTo(px, py + 5); ctx.lineTo(px, py + 14);
+  ctx.stroke();
+  ctx.font = 'bold 11px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.fillText(`${p.t.toFixed(1)}s`, px + 16, py);
+  ctx.restore();
+}
+
+// Corner brackets on the locked target and a sight at the gun lead, labelled with
+// how far the firing solution has come
+function drawFireControl(ctx, camX, camY, state) {
+  if (state.spectatorMode || state.ended) return;
+  const sel = state.player[state.selected];
+  const t = sel && sel.alive ? sel.fcTarget : null;
+  if (!t || !t.alive) return;
+  const q = sel.fcQuality || 0;
+  const lead = gunLead(sel, t);
+  const tx = t.x - camX, ty = t.y - camY;
+  const px = lead.x - camX, py = lead.y - camY;
+  const r = t.kind.radius + 10, k = 7;
+  ctx.save();
+  ctx.strokeStyle = `rgba(255,${Math.round(lerp(150, 235, q))},90,0.85)`;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  for (const [sx, sy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+    ctx.moveTo(tx + sx * r, ty + sy * (r - k)); ctx.lineTo(tx + sx * r, ty + sy * r); ctx.lineTo(tx + sx * (r - k), ty + sy * r);
+  }
+  ctx.stroke();
+  ctx.setLineDash([3, 5]);
+  ctx.beginPath(); ctx.moveTo(tx, ty); ctx.lineTo(px, py); ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.moveTo(px - 7, py - 7); ctx.lineTo(px + 7, py + 7);
+  ctx.moveTo(px + 7, py - 7); ctx.lineTo(px - 7, py + 7);
+  ctx.stroke();
+  ctx.font = 'bold 11px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.fillText(`Solution ${Math.round(q * 100)}%`, tx + r + 6, ty - r);
+  ctx.restore();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WEATHER & NIGHT
+// ═══════════════════════════════════════════════════════════════════════════
+const RAIN_STREAKS = 90;
+
+// Fog banks and squalls over the sea, a haze veil, then darkness with star
+// shells and searchlight beams shining through it
+function drawWeather(ctx, camX, camY, state) {
+  const w = state.weather;
+  if (!w) return;
+  for (const c of w.cells) {
+    const x = c.x - camX, y = c.y - camY;
+    if (x < -c.r || y < -c.r || x > VIEW.w + c.r || y > VIEW.h + c.r) continue;
+    ctx.save();
+    const g = ctx.createRadialGradient(x, y, c.r * 0.2, x, y, c.r);
+    const tint = (c.type === 'fog') ? '225,230,236' : '110,122,138';
+    g.addColorStop(0, `rgba(${tint},${c.type === 'fog' ? 0.62 : 0.42})`);
+    g.addColorStop(1, `rgba(${tint},0)`);
+    ctx.fillStyle = g;
+    ctx.beginPath(); ctx.arc(x, y, c.r, 0, TAU); ctx.fill();
+    if (c.type === 'rain') drawRain(ctx, x, y, c.r, w.wind, state.time);
+    ctx.restore();
+  }
+  if (w.kind === 'haze') {
+    ctx.fillStyle = 'rgba(205,212,220,0.14)';
+    ctx.fillRect(0, 0, VIEW.w, VIEW.h);
+  }
+  if (w.night) drawNight(ctx, camX, camY, state);
+}
+
+// Slanted streaks falling through a squall, spread by index so they hold still
+// from frame to frame apart from the fall
+function drawRain(ctx, x, y, r, wind, time) {
+  const slant = clamp(wind.vx / 14, -0.6, 0.6);
+  ctx.strokeStyle = 'rgba(200,215,235,0.35)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let i = 0; i < RAIN_STREAKS; i++) {
+    const a = i * 2.399, d = r * Math.sqrt((i + 0.5) / RAIN_STREAKS);
+    const fall = ((time * 260 + i * 37) % 40) - 20;
+    const sx = x + Math.cos(a) * d + slant * fall, sy = y + Math.sin(a) * d + fall;
+    ctx.moveTo(sx, sy); ctx.lineTo(sx + slant * 9, sy + 9);
+  }
+  ctx.stroke();
+}
+
+function drawNight(ctx, camX, camY, state) {
+  ctx.save();
+  ctx.fillStyle = 'rgba(4,8,24,0.58)';
+  ctx.fillRect(0, 0, VIEW.w, VIEW.h);
+  ctx.globalCompositeOperation = 'lighter';
+  const R = NIGHT.starShell.radius;
+  for (const f of state.flares) {
+    if (state.time < f.at) continue;
+    const fade = clamp((f.until - state.time) / 2, 0, 1);
+    const x = f.x - camX, y = f.y - camY;
+    const g = ctx.createRadialGradient(x, y, 0, x, y, R);
+    g.addColorStop(0, `rgba(255,240,190,${0.42 * fade})`);
+    g.addColorStop(1, 'rgba(255,240,190,0)');
+    ctx.fillStyle = g;
+    ctx.beginPath(); ctx.arc(x, y, R, 0, TAU); ctx.fill();
+  }
+  const sl = NIGHT.searchlight;
+  for (const s of state.player.concat(state.enemy)) {
+    if (!s.alive || !s.searchlightOn) continue;
+    if (s.team === 'E' && !state.spectatorMode && !s.detP) continue;
+    const x = s.x - camX, y = s.y - camY;
+    const g = ctx.createRadialGradient(x, y, 0, x, y, sl.range);
+    g.addColorStop(0, 'rgba(235,245,255,0.40)');
+    g.addColorStop(1, 'rgba(235,245,255,0)');
+    ctx.fillStyle = g;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.arc(x, y, sl.range, s.turret - sl.halfAngle, s.turret + sl.halfAngle);
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
 export function drawSmoke(ctx, sm, camX, camY, state) {
   const t = clamp((sm.until - state.time) / (sm.until - sm.born), 0, 1);
   ctx.save();
@@ -540,6 +806,16 @@ export function drawSmoke(ctx, sm, camX, camY, state) {
 }
 
 export function drawFx(ctx, f, camX, camY, state) {
+  if (f.type === 'flak') {
+    // Dark AA burst that spreads and fades
+    const t = clamp((f.until - state.time) / FX.flakTtl, 0, 1);
+    ctx.save();
+    ctx.globalAlpha = 0.75 * t;
+    ctx.fillStyle = 'rgba(40,40,45,1)';
+    ctx.beginPath(); ctx.arc(f.x - camX, f.y - camY, 3 + (1 - t) * 6, 0, TAU); ctx.fill();
+    ctx.restore();
+    return;
+  }
   if (f.type === 'planeCrash') {
     // Animated falling plane crash with emoji trail
     const elapsed = 1.5 - (f.until - state.time);
@@ -612,7 +888,7 @@ export function drawFx(ctx, f, camX, camY, state) {
 // ═══════════════════════════════════════════════════════════════════════════
 export function drawRecon(ctx, camX, camY, state) {
   const drawOne = (r) => {
-    if (!r) return;
+    if (!r || r.shotDown) return;
     // In normal mode, only show player recons or detected enemy recons
     if (!state.spectatorMode && r.team === 'E') {
       // Check if any player ship can see this recon
@@ -626,7 +902,8 @@ export function drawRecon(ctx, camX, camY, state) {
       }
       if (!visible) return;
     }
-    const x = r.x - camX, y = r.y - camY;
+    const ip = interpPos(r, state.renderAlpha);
+    const x = ip.x - camX, y = ip.y - camY;
     if (x < -80 || y < -80 || x > VIEW.w + 80 || y > VIEW.h + 80) return;
     ctx.save();
     ctx.globalAlpha = 0.30;
@@ -672,7 +949,8 @@ export function drawAircraft(ctx, camX, camY, state) {
       }
       if (!visible) continue;
     }
-    const x = a.x - camX, y = a.y - camY;
+    const ip = interpPos(a, state.renderAlpha);
+    const x = ip.x - camX, y = ip.y - camY;
     if (x < -60 || y < -60 || x > VIEW.w + 60 || y > VIEW.h + 60) continue;
     ctx.save();
     ctx.globalAlpha = 0.30;
@@ -697,8 +975,15 @@ export function drawAircraft(ctx, camX, camY, state) {
     ctx.textBaseline = 'middle';
     ctx.shadowColor = 'rgba(0,0,0,0.45)';
     ctx.shadowBlur = 6;
-    ctx.fillText('✈️', x, y);
+    const strike = STRIKE[a.role];
+    ctx.fillText(strike ? '🛩️' : '✈️', x, y);
     ctx.shadowBlur = 0;
+    // Strike planes carry a T (torpedo) or D (dive bomber) badge
+    if (strike) {
+      ctx.font = 'bold 10px system-ui';
+      ctx.fillStyle = 'rgba(255,255,255,0.95)';
+      ctx.fillText(a.role === 'torpedo' ? 'T' : 'D', x + 12, y + 11);
+    }
     ctx.restore();
   }
 }
@@ -707,7 +992,8 @@ export function drawBullets(ctx, camX, camY, state) {
   ctx.save();
   ctx.globalCompositeOperation = 'lighter';
   for (const b of state.bullets) {
-    const x = b.x - camX, y = b.y - camY;
+    const ip = interpPos(b, state.renderAlpha);
+    const x = ip.x - camX, y = ip.y - camY;
     if (x < -40 || y < -40 || x > VIEW.w + 40 || y > VIEW.h + 40) continue;
     ctx.globalAlpha = 0.80;
     if (b.team === 'P') {
@@ -759,6 +1045,93 @@ export function drawBatteries(ctx, camX, camY, state) {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SIGHT SHADOWS
+// ═══════════════════════════════════════════════════════════════════════════
+const SHADOW_CANVAS = {};
+
+// Player-side lookouts and how far each one watches. Ships and batteries can't see
+// past islands; aircraft look down over them.
+function sightViewers(state) {
+  const out = [];
+  for (const p of state.player) { if (p.alive) out.push({ x: p.x, y: p.y, r: RADAR_RANGE, low: true }); }
+  for (const b of state.batteries) {
+    if (b.alive && b.team === 'P') out.push({ x: b.x, y: b.y, r: b.kind.gunRange || RADAR_RANGE, low: true });
+  }
+  for (const a of state.aircraft) {
+    if (a.team === 'P' && a.ttl > 0 && a.hp > 0) out.push({ x: a.x, y: a.y, r: RADAR_RANGE * 1.2, low: false });
+  }
+  for (const r of (state.recons || [])) { if (r && r.team === 'P') out.push({ x: r.x, y: r.y, r: RADAR_RANGE * 1.2, low: false }); }
+  return out;
+}
+
+function fillShadow(o, poly, at) {
+  o.beginPath();
+  poly.forEach((pt, i) => { const q = at(pt.x, pt.y); if (i) o.lineTo(q.x, q.y); else o.moveTo(q.x, q.y); });
+  o.closePath();
+  o.fill();
+}
+
+// Offscreen w x h canvas painted `color` where islands hide the sea from every
+// player lookout in range, or null when nothing is hidden. at() maps world to canvas
+// coordinates and s scales lengths.
+function hiddenShadows(w, h, at, s, color, state) {
+  const key = w + 'x' + h;
+  const c = SHADOW_CANVAS[key] || (SHADOW_CANVAS[key] = { mask: document.createElement('canvas'), scratch: document.createElement('canvas') });
+  if (c.mask.width !== w || c.mask.height !== h) {
+    c.mask.width = c.scratch.width = w;
+    c.mask.height = c.scratch.height = h;
+  }
+  const o = c.mask.getContext('2d'), t = c.scratch.getContext('2d');
+  o.clearRect(0, 0, w, h);
+  const onCanvas = (v) => { const q = at(v.x, v.y), r = v.r * s; return q.x + r > 0 && q.y + r > 0 && q.x - r < w && q.y - r < h; };
+  const viewers = sightViewers(state).filter(onCanvas);
+  const shadows = viewers.map(v => v.low ? shadowsFrom(v.x, v.y, v.r, state) : []);
+  if (!shadows.some(list => list.length)) return null;
+
+  // Every shadow inside its viewer's range...
+  o.fillStyle = color;
+  viewers.forEach((v, i) => {
+    if (!shadows[i].length) return;
+    const q = at(v.x, v.y);
+    o.save();
+    o.beginPath(); o.arc(q.x, q.y, v.r * s, 0, TAU); o.clip();
+    for (const poly of shadows[i]) fillShadow(o, poly, at);
+    o.restore();
+  });
+  // ...less whatever another lookout can see
+  o.globalCompositeOperation = 'destination-out';
+  viewers.forEach((v, i) => {
+    const q = at(v.x, v.y);
+    if (!shadows[i].length) {
+      o.beginPath(); o.arc(q.x, q.y, v.r * s, 0, TAU); o.fill();
+      return;
+    }
+    t.globalCompositeOperation = 'source-over';
+    t.clearRect(0, 0, w, h);
+    t.fillStyle = '#000';
+    t.beginPath(); t.arc(q.x, q.y, v.r * s, 0, TAU); t.fill();
+    t.globalCompositeOperation = 'destination-out';
+    for (const poly of shadows[i]) fillShadow(t, poly, at);
+    o.drawImage(c.scratch, 0, 0);
+  });
+  o.globalCompositeOperation = 'source-over';
+  return c.mask;
+}
+
+// Darkens the sea the player's ships and batteries can't see behind islands; land
+// is drawn over it
+function drawSightShadows(ctx, camX, camY, state) {
+  if (state.spectatorMode) return;
+  const m = hiddenShadows(VIEW.w, VIEW.h, (x, y) => ({ x: x - camX, y: y - camY }), 1, '#000', state);
+  if (!m) return;
+  ctx.save();
+  ctx.globalAlpha = 0.30;
+  ctx.drawImage(m, 0, 0);
+  ctx.restore();
+}
+
+
 // ═══════════════════════════════════════════════════════════════════════════
 // RADAR & UI RENDERING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -766,19 +1139,35 @@ export function drawRadarSweepOverlay(ctx, camX, camY, state) {
   const sel = state.player[state.selected];
   if (!sel || !sel.alive) return;
   const x = sel.x - camX, y = sel.y - camY;
+  drawConcealment(ctx, sel, x, y, state);
+  const radar = sel.kind.radar || 0;
   const hasContact = state.enemy.some(e => e.alive && e.detP);
-  if (hasContact) return;
+  if (hasContact || radar <= 0) return;
   const a = state.time * 1.65;
   ctx.save();
   ctx.translate(x, y);
   ctx.globalAlpha = 0.70;
   ctx.strokeStyle = 'rgba(90,255,140,0.22)';
   ctx.lineWidth = 2;
-  ctx.beginPath(); ctx.arc(0, 0, RADAR_RANGE, 0, TAU); ctx.stroke();
+  ctx.beginPath(); ctx.arc(0, 0, radar, 0, TAU); ctx.stroke();
   ctx.globalAlpha = 0.75;
   ctx.strokeStyle = 'rgba(90,255,140,0.32)';
   ctx.lineWidth = 2;
-  ctx.beginPath(); ctx.moveTo(0, 0); ctx.lineTo(Math.cos(a) * RADAR_RANGE, Math.sin(a) * RADAR_RANGE); ctx.stroke();
+  ctx.beginPath(); ctx.moveTo(0, 0); ctx.lineTo(Math.cos(a) * radar, Math.sin(a) * radar); ctx.stroke();
+  ctx.restore();
+}
+
+// Dashed ring where enemy lookouts would sight the selected ship in clear daylight;
+// it flares out to the bloom range after a salvo
+function drawConcealment(ctx, ship, x, y, state) {
+  const blooming = ship.bloomUntil > state.time;
+  const r = blooming ? Math.max(ship.kind.concealment, ship.kind.bloom) : ship.kind.concealment;
+  if (!(r > 0)) return;
+  ctx.save();
+  ctx.setLineDash([6, 8]);
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = blooming ? 'rgba(255,170,90,0.45)' : 'rgba(255,255,255,0.18)';
+  ctx.beginPath(); ctx.arc(x, y, r, 0, TAU); ctx.stroke();
   ctx.restore();
 }
 
@@ -857,28 +1246,61 @@ export function drawRadar(ctx, state) {
       ctx.fill();
     }
     ctx.restore();
+
+    // Fog back over the island shadows nobody can see into
+    const hidden = hiddenShadows(rw, rh, (x, y) => ({ x: (x / WORLD.w) * rw, y: (y / WORLD.h) * rh }), rs, 'rgba(60,60,80,0.7)', state);
+    if (hidden) {
+      ctx.save();
+      ctx.globalAlpha = 0.55;
+      ctx.drawImage(hidden, rx, ry);
+      ctx.restore();
+    }
   }
   
   // Draw islands clearly on minimap - always visible
+  const shapePath = (c) => {
+    ctx.beginPath();
+    if (!c.poly) {
+      const q = toR(c.x, c.y);
+      ctx.arc(q.x, q.y, Math.max(2, c.r * rs), 0, TAU);
+      return;
+    }
+    c.poly.forEach(([x, y], i) => {
+      const q = toR(x, y);
+      if (i === 0) ctx.moveTo(q.x, q.y); else ctx.lineTo(q.x, q.y);
+    });
+    ctx.closePath();
+  };
   ctx.save();
   ctx.globalAlpha = 1.0;
+  for (const s of (m.shoals || [])) {
+    ctx.fillStyle = 'rgba(110,215,205,0.45)';
+    shapePath(s); ctx.fill();
+  }
   for (const c of m.land) {
-    const q = toR(c.x, c.y);
-    const r = Math.max(2, c.r * rs);
     // Dark green fill
     ctx.fillStyle = 'rgba(40,80,40,0.95)';
-    ctx.beginPath(); ctx.arc(q.x, q.y, r, 0, TAU); ctx.fill();
+    shapePath(c); ctx.fill();
     // Light border
     ctx.strokeStyle = 'rgba(120,180,120,0.8)';
     ctx.lineWidth = 1;
-    ctx.beginPath(); ctx.arc(q.x, q.y, r, 0, TAU); ctx.stroke();
+    ctx.stroke();
   }
   ctx.restore();
   
+  for (const o of objectiveZones(state)) {
+    const q = toR(o.zone[0], o.zone[1]);
+    ctx.strokeStyle = TEAM_COLORS[o.team];
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 2]);
+    ctx.beginPath(); ctx.arc(q.x, q.y, Math.max(3, o.zone[2] * rs), 0, TAU); ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  
   for (const p of state.player) {
     if (!p.alive) continue;
     const q = toR(p.x, p.y);
-    ctx.fillStyle = p.kind.type === 'BB' ? 'rgba(200,250,255,0.95)' : (p.kind.type === 'CV' ? 'rgba(180,220,255,0.95)' : 'rgba(90,200,255,0.85)');
+    ctx.fillStyle = p.kind.draw.radarP;
     ctx.fillRect(q.x-2, q.y-2, 4, 4);
   }
   // In spectator mode, show ALL enemy ships
@@ -886,7 +1308,7 @@ export function drawRadar(ctx, state) {
     if (!e.alive) continue;
     if (!state.spectatorMode && !e.detP) continue;
     const q = toR(e.x, e.y);
-    ctx.fillStyle = e.kind.type === 'BB' ? 'rgba(255,220,220,0.95)' : 'rgba(255,130,130,0.85)';
+    ctx.fillStyle = e.kind.draw.radarE;
     ctx.fillRect(q.x-2, q.y-2, 4, 4);
   }
   for (const b of state.batteries) {
@@ -964,7 +1386,284 @@ export function drawRadar(ctx, state) {
   ctx.restore();
 }
 
+// Damage-control diagram of the selected ship, under the minimap
+export const DAMAGE_PANEL = { x: 16, y: RADAR_BOUNDS.y + RADAR_BOUNDS.h + 8, w: 150, h: 106 };
+
+// Green (intact) through red; black once wrecked
+const healthColor = (h) => (h <= 0 ? 'rgba(20,20,20,0.9)' : `hsl(${Math.round(h * 120)}, 70%, 42%)`);
+
+function drawDamagePanel(ctx, state) {
+  if (state.spectatorMode) return;
+  const ship = state.player[state.selected];
+  if (!ship || !ship.alive) return;
+  const { x, y, w, h } = DAMAGE_PANEL;
+  ctx.save();
+  ctx.globalAlpha = 0.88;
+  ctx.fillStyle = 'rgba(0,0,0,0.35)';
+  ctx.strokeStyle = 'rgba(255,255,255,0.14)';
+  ctx.lineWidth = 1;
+  ctx.fillRect(x, y, w, h);
+  ctx.strokeRect(x, y, w, h);
+  ctx.globalAlpha = 1;
+
+  // Hull seen from above, bow to the right; u runs -1 (stern) .. +1 (bow)
+  const cy = y + 30, hh = 11;
+  const x0 = x + 12, x1 = x + w - 12;
+  const ux = (u) => lerp(x0, x1, (u + 1) / 2);
+  const flash = (part) => ship.lastHitPart === part && state.time - (ship.lastHitAt || 0) < 0.6;
+  const section = (part, u0, u1, shape) => {
+    ctx.beginPath();
+    shape(ux(u0), ux(u1));
+    ctx.fillStyle = flash(part) ? '#fff' : healthColor(partHealth(ship, part));
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255,255,255,0.45)';
+    ctx.stroke();
+  };
+  section('stern', -1, DAMAGE.sternAt, (a, b) => {
+    ctx.moveTo(b, cy - hh); ctx.lineTo(a + 6, cy - hh);
+    ctx.quadraticCurveTo(a, cy, a + 6, cy + hh); ctx.lineTo(b, cy + hh); ctx.closePath();
+  });
+  section('midships', DAMAGE.sternAt, DAMAGE.bowAt, (a, b) => ctx.rect(a, cy - hh, b - a, hh * 2));
+  section('bow', DAMAGE.bowAt, 1, (a, b) => {
+    ctx.moveTo(a, cy - hh); ctx.lineTo(b - 14, cy - hh);
+    ctx.quadraticCurveTo(b, cy - 2, b, cy); ctx.quadraticCurveTo(b, cy + 2, b - 14, cy + hh);
+    ctx.lineTo(a, cy + hh); ctx.closePath();
+  });
+
+  // Engine room amidships
+  section('engine', -0.18, 0.18, (a, b) => ctx.rect(a, cy - 5, b - a, 10));
+
+  // Gun mounts: forward ones first, then aft; knocked-out mounts are crossed out
+  const mounts = ship.kind.gunRange > 0 ? (ship.kind.salvo || 1) : 0;
+  const working = gunSalvo(ship);
+  const fwd = Math.ceil(mounts / 2);
+  for (let i = 0; i < mounts; i++) {
+    const u = i < fwd ? DAMAGE.bowAt + 0.12 + i * 0.16 : DAMAGE.sternAt - 0.12 - (i - fwd) * 0.16;
+    const mx = ux(u);
+    ctx.beginPath();
+    ctx.arc(mx, cy, 4.5, 0, TAU);
+    ctx.fillStyle = flash('turrets') ? '#fff' : (i < working ? healthColor(partHealth(ship, 'turrets')) : healthColor(0));
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+    ctx.stroke();
+    if (i >= working) {
+      ctx.strokeStyle = 'rgba(255,80,80,0.9)';
+      ctx.beginPath();
+      ctx.moveTo(mx - 4, cy - 4); ctx.lineTo(mx + 4, cy + 4);
+      ctx.moveTo(mx + 4, cy - 4); ctx.lineTo(mx - 4, cy + 4);
+      ctx.stroke();
+    }
+  }
+
+  // Rudder blade behind the stern, drawn at its current angle
+  const jammed = ship.rudderJamT > 0;
+  ctx.save();
+  ctx.translate(ux(-1) - 2, cy);
+  ctx.rotate(-(ship.rudderAngle || 0) * 1.5);
+  ctx.strokeStyle = flash('rudder') ? '#fff' : (jammed && Math.floor(state.time * 4) % 2 ? '#ff5050' : healthColor(partHealth(ship, 'rudder')));
+  ctx.lineWidth = 3;
+  ctx.beginPath(); ctx.moveTo(0, 0); ctx.lineTo(-8, 0); ctx.stroke();
+  ctx.restore();
+
+  // Status lines
+  const notes = [];
+  if (mounts > 0) notes.push(`Guns ${working}/${mounts}`);
+  notes.push(`Engine ${Math.round(partHealth(ship, 'engine') * 100)}%`);
+  const cap = Math.round(throttleCap(ship));
+  ctx.font = '11px system-ui';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  ctx.fillText(notes.join(' · '), x + 6, y + 54);
+  ctx.fillStyle = jammed ? '#ff8080' : (cap < 100 ? '#ffd080' : 'rgba(255,255,255,0.6)');
+  ctx.fillText(jammed ? `Rudder jammed ${ship.rudderJamT.toFixed(1)}s` : `Max throttle ${cap}%`, x + 6, y + 68);
+
+  // Damage control: fire and flooding severity, pumps and repair parties
+  const fire = ship.fireLevel || 0, flood = ship.floodLevel || 0;
+  ctx.fillStyle = (fire || flood) ? '#ff9a70' : 'rgba(255,255,255,0.6)';
+  ctx.fillText(`Fire ${SEVERITY[fire]} · Flood ${SEVERITY[flood]}`, x + 6, y + 82);
+  const pumps = ship.pumpT > 0 ? `Pumping ${ship.pumpT.toFixed(0)}s` : (ship.pumpCd > 0 ? `Pumps ${ship.pumpCd.toFixed(0)}s` : 'Pumps G');
+  const repair = ship.repairT > 0 ? 'Repairing' : `Repairs ${ship.repairs || 0} H`;
+  ctx.fillStyle = 'rgba(255,255,255,0.6)';
+  ctx.fillText(`${pumps} · ${repair}`, x + 6, y + 96);
+  ctx.restore();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OBJECTIVES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Exit, capture and convoy zones (objectives with their progress as `p`, if any) as dashed
+// rings in the owning side's colour; a capture ring fills in as the zone is held,
+// and a settled zone fades
+function drawObjectiveZones(ctx, camX, camY, zones) {
+  for (const o of zones) {
+    const [zx, zy, r] = o.zone;
+    const x = zx - camX, y = zy - camY;
+    if (x + r < 0 || y + r < 0 || x - r > VIEW.w || y - r > VIEW.h) continue;
+    const open = !o.p || o.p.status === 'open';
+    ctx.save();
+    ctx.fillStyle = TEAM_COLORS[o.team];
+    ctx.strokeStyle = TEAM_COLORS[o.team];
+    ctx.globalAlpha = open ? 0.08 : 0.03;
+    ctx.beginPath(); ctx.arc(x, y, r, 0, TAU); ctx.fill();
+    ctx.globalAlpha = open ? 0.9 : 0.4;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([16, 10]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    if (o.type === 'capture' && o.p && o.p.held > 0) {
+      ctx.lineWidth = 5;
+      ctx.beginPath(); ctx.arc(x, y, r, -Math.PI / 2, -Math.PI / 2 + TAU * o.p.held / o.hold); ctx.stroke();
+    }
+    ctx.font = 'bold 13px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const what = { exit: 'EXIT', capture: 'CAPTURE', convoy: 'CONVOY' }[o.type];
+    ctx.fillText(o.team === 'P' ? what : `ENEMY ${what}`, x, y - r - 12);
+    ctx.restore();
+  }
+}
+
+// Objective tracker, top right: each side's objectives ticked off or crossed
+// out, the points score and the time left if the battle has a limit
+const TRACKER_W = 270;
+const TRACK_MARK = { open: '○', done: '✓', failed: '✗' };
+const TRACK_COLOR = { open: 'rgba(255,255,255,0.9)', done: 'rgba(90,255,140,0.95)', failed: 'rgba(255,120,110,0.95)' };
+
+function drawObjectives(ctx, state) {
+  const lines = objectiveLines(state);
+  const limit = battleByMap(state.mapId).timeLimit;
+  const rows = lines.length + 1 + (limit > 0 ? 1 : 0);
+  const x = VIEW.w - 16 - TRACKER_W, y = 84, h = 26 + rows * 17;
+  ctx.save();
+  ctx.globalAlpha = 0.88;
+  ctx.fillStyle = 'rgba(0,0,0,0.35)';
+  ctx.strokeStyle = 'rgba(255,255,255,0.14)';
+  ctx.lineWidth = 1;
+  ctx.fillRect(x, y, TRACKER_W, h);
+  ctx.strokeRect(x, y, TRACKER_W, h);
+  ctx.globalAlpha = 1;
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+  ctx.font = 'bold 11px system-ui, sans-serif';
+  ctx.fillStyle = 'rgba(255,255,255,0.7)';
+  ctx.fillText('OBJECTIVES', x + 8, y + 12);
+  ctx.font = '12px system-ui, sans-serif';
+  let ly = y + 30;
+  for (const l of lines) {
+    ctx.fillStyle = TRACK_COLOR[l.status];
+    ctx.globalAlpha = l.team === 'P' ? 1 : 0.65;
+    ctx.fillText(`${TRACK_MARK[l.status]} ${l.team === 'P' ? '' : 'Enemy: '}${l.text}`, x + 8, ly);
+    ly += 17;
+  }
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  ctx.fillText(`Score ${teamScore('P', state)} – ${teamScore('E', state)}`, x + 8, ly);
+  if (limit > 0) {
+    const left = Math.max(0, limit - state.time);
+    ctx.fillText(`Time left ${Math.floor(left / 60)}:${String(Math.floor(left % 60)).padStart(2, '0')}`, x + 8, ly + 17);
+  }
+  ctx.restore();
+}
+
+// Hit ribbons along the bottom: one per shell outcome, lit up briefly on each hit
+const RIBBON_COLORS = { pen: '#5ad27a', over: '#e0c050', ric: '#6ab0ff', shat: '#b0b0b0' };
+const RIBBON_GLOW = 1.2;
+
+function drawRibbons(ctx, state) {
+  if (state.spectatorMode || !state.ribbons) return;
+  const shown = Object.keys(RIBBONS).filter(k => state.ribbons[k] && state.ribbons[k].n > 0);
+  if (!shown.length) return;
+  const w = 150, h = 22, gap = 8;
+  let x = (VIEW.w - (shown.length * w + (shown.length - 1) * gap)) / 2;
+  const y = VIEW.h - 76;
+  ctx.save();
+  ctx.font = 'bold 11px system-ui, sans-serif';
+  ctx.textBaseline = 'middle';
+  for (const k of shown) {
+    const r = state.ribbons[k];
+    const glow = clamp(1 - (state.time - r.at) / RIBBON_GLOW, 0, 1);
+    ctx.globalAlpha = 0.55 + 0.45 * glow;
+    ctx.fillStyle = 'rgba(0,0,0,0.5)';
+    ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = RIBBON_COLORS[k];
+    ctx.fillRect(x, y, 5, h);
+    ctx.strokeStyle = glow > 0 ? RIBBON_COLORS[k] : 'rgba(255,255,255,0.18)';
+    ctx.lineWidth = 1 + glow;
+    ctx.strokeRect(x, y, w, h);
+    ctx.fillStyle = 'rgba(255,255,255,0.92)';
+    ctx.textAlign = 'left';
+    ctx.fillText(RIBBONS[k].toUpperCase(), x + 10, y + h / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`×${r.n}`, x + w - 6, y + h / 2);
+    x += w + gap;
+  }
+  ctx.restore();
+}
+
+// Replay timeline along the bottom edge (click to scrub)
+export const REPLAY_BAR = { x: 180, y: VIEW.h - 30, w: VIEW.w - 360, h: 12 };
+
+// Convert a click on the replay bar to a 0..1 position in the recording
+export function replayBarToFraction(mx, my) {
+  const b = REPLAY_BAR;
+  if (mx < b.x || mx > b.x + b.w || my < b.y - 6 || my > b.y + b.h + 6) return null;
+  return clamp((mx - b.x) / b.w, 0, 1);
+}
+
+function drawReplayBar(ctx, state) {
+  const hud = state.replayHud;
+  if (!hud) return;
+  const b = REPLAY_BAR;
+  const frac = hud.total > 0 ? clamp(hud.t / hud.total, 0, 1) : 0;
+  ctx.save();
+  ctx.fillStyle = 'rgba(0,0,0,0.45)';
+  ctx.fillRect(b.x - 8, b.y - 22, b.w + 16, b.h + 30);
+  ctx.fillStyle = 'rgba(255,255,255,0.14)';
+  ctx.fillRect(b.x, b.y, b.w, b.h);
+  ctx.fillStyle = 'rgba(90,255,140,0.55)';
+  ctx.fillRect(b.x, b.y, b.w * frac, b.h);
+  ctx.font = '12px system-ui';
+  ctx.textBaseline = 'bottom';
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  const fmt = (s) => `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, '0')}`;
+  ctx.textAlign = 'left';
+  ctx.fillText(`REPLAY ${hud.paused ? '❚❚' : '▶'} ${hud.speed}x`, b.x, b.y - 4);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${fmt(hud.t)} / ${fmt(hud.total)}   Space pause · ←/→ seek · -/+ speed`, b.x + b.w, b.y - 4);
+  ctx.restore();
+}
+
 // Draw commander's planned path on main view
+// A convoy route as a dotted line in its side's colour, from `from` on through
+// `points`, with a square at each point
+function drawConvoyRoute(ctx, camX, camY, team, from, points) {
+  ctx.save();
+  ctx.strokeStyle = TEAM_COLORS[team];
+  ctx.fillStyle = TEAM_COLORS[team];
+  ctx.globalAlpha = 0.5;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([4, 10]);
+  ctx.beginPath();
+  ctx.moveTo(from[0] - camX, from[1] - camY);
+  for (const p of points) ctx.lineTo(p[0] - camX, p[1] - camY);
+  ctx.stroke();
+  for (const p of points) ctx.fillRect(p[0] - camX - 5, p[1] - camY - 5, 10, 10);
+  ctx.restore();
+}
+
+// What is left of each convoy's route, from its guide on: the player's own, and
+// the enemy's when watching. A scattered convoy has no route to keep.
+function drawConvoyRoutes(ctx, camX, camY, state) {
+  for (const team of ['P', 'E']) {
+    const g = state.convoys[team];
+    if (!g || g.scattered || (team === 'E' && !state.spectatorMode)) continue;
+    const route = battleByMap(state.mapId).sides[team].convoy.route;
+    drawConvoyRoute(ctx, camX, camY, team, [g.x, g.y], route.slice(g.leg));
+  }
+}
+
 function drawCommanderPath(ctx, camX, camY, state) {
   for (const p of state.player) {
     if (!p.isCommander || !p.alive) continue;
@@ -1032,7 +1731,7 @@ function drawCommanderMarker(ctx, ship, camX, camY) {
 function drawEscortTrajectories(ctx, camX, camY, state) {
   if (!state.spectatorMode) return; // Only show in spectator mode
   
-  const drawTrajectory = (ship, color, lockColor, isCapital = false) => {
+  const drawTrajectory = (ship, color, lockColor, capitalStyle = false) => {
     if (!ship.alive) return;
     if (!ship.targetWaypoint) return;
     
@@ -1041,10 +1740,10 @@ function drawEscortTrajectories(ctx, camX, camY, state) {
     
     // For escorts: DD and TB
     // For capitals: BB and CV that are NOT commander
-    const isEscort = ship.kind.type === 'DD' || ship.kind.type === 'TB';
-    const isFollowingCapital = (ship.kind.type === 'BB' || ship.kind.type === 'CV') && !ship.isCommander;
+    const escort = isEscort(ship.kind);
+    const isFollowingCapital = isCapital(ship.kind) && !ship.isCommander;
     
-    if (!isEscort && !isFollowingCapital) return;
+    if (!escort && !isFollowingCapital) return;
     
     const sx = ship.x - camX, sy = ship.y - camY;
     const tx = ship.targetWaypoint.x - camX, ty = ship.targetWaypoint.y - camY;
@@ -1053,7 +1752,7 @@ function drawEscortTrajectories(ctx, camX, camY, state) {
     
     // Draw lock radius circle around target waypoint (same for escorts and capitals)
     ctx.strokeStyle = lockColor;
-    ctx.lineWidth = isCapital ? 2 : 1;
+    ctx.lineWidth = capitalStyle ? 2 : 1;
     ctx.setLineDash([3, 3]);
     ctx.globalAlpha = 0.5;
     ctx.beginPath();
@@ -1062,7 +1761,7 @@ function drawEscortTrajectories(ctx, camX, camY, state) {
     
     // Draw direct trajectory line
     ctx.strokeStyle = color;
-    ctx.lineWidth = isCapital ? 2.5 : 1.5;
+    ctx.lineWidth = capitalStyle ? 2.5 : 1.5;
     ctx.setLineDash([4, 4]);
     ctx.globalAlpha = 0.6;
     ctx.beginPath();
@@ -1075,13 +1774,13 @@ function drawEscortTrajectories(ctx, camX, camY, state) {
     ctx.globalAlpha = 0.8;
     ctx.setLineDash([]);
     ctx.beginPath();
-    ctx.arc(tx, ty, isCapital ? 6 : 4, 0, TAU);
+    ctx.arc(tx, ty, capitalStyle ? 6 : 4, 0, TAU);
     ctx.fill();
     
     // Only show lock emoji if LOCKED (not unlocked)
     if (ship.escortLocked) {
       ctx.fillStyle = 'white';
-      ctx.font = isCapital ? '14px Arial' : '12px Arial';
+      ctx.font = capitalStyle ? '14px Arial' : '12px Arial';
       ctx.textAlign = 'center';
       ctx.globalAlpha = 0.95;
       ctx.fillText('🔒', sx, sy - ship.kind.radius - 8);
@@ -1138,8 +1837,7 @@ function drawEscortTrajectories(ctx, camX, camY, state) {
   
   // Draw player trajectories
   for (const p of state.player) {
-    const isCapital = p.kind.type === 'BB' || p.kind.type === 'CV';
-    if (isCapital && !p.isCommander) {
+    if (isCapital(p.kind) && !p.isCommander) {
       // Non-commander capital - gold color
       drawTrajectory(p, 'rgba(255,215,0,0.8)', 'rgba(255,255,100,0.6)', true);
     } else {
@@ -1152,8 +1850,7 @@ function drawEscortTrajectories(ctx, camX, camY, state) {
   
   // Draw enemy trajectories
   for (const e of state.enemy) {
-    const isCapital = e.kind.type === 'BB' || e.kind.type === 'CV';
-    if (isCapital && !e.isCommander) {
+    if (isCapital(e.kind) && !e.isCommander) {
       // Non-commander capital - orange color
       drawTrajectory(e, 'rgba(255,165,0,0.8)', 'rgba(255,200,100,0.6)', true);
     } else {
@@ -1165,12 +1862,125 @@ function drawEscortTrajectories(ctx, camX, camY, state) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// MAP EDITOR
+// ═══════════════════════════════════════════════════════════════════════════
+const TEAM_COLORS = { P: 'rgba(80,170,255,0.95)', E: 'rgba(255,80,80,0.95)' };
+
+// A start: ring, heading arrow with its drag handle, and the fleet laid out from it
+function drawEditorStart(ctx, spawn, ships, team, selected) {
+  const col = TEAM_COLORS[team], h = headingHandle(spawn);
+  for (const sp of ships) {
+    const len = 18 * (sp.kind.draw.scale || 1);
+    ctx.save();
+    ctx.translate(sp.x, sp.y);
+    ctx.rotate(sp.a);
+    ctx.fillStyle = col;
+    ctx.beginPath();
+    ctx.moveTo(len, 0); ctx.lineTo(len * 0.3, -len * 0.28); ctx.lineTo(-len, -len * 0.22);
+    ctx.lineTo(-len, len * 0.22); ctx.lineTo(len * 0.3, len * 0.28);
+    ctx.closePath(); ctx.fill();
+    ctx.restore();
+    ctx.fillStyle = 'rgba(255,255,255,0.85)';
+    ctx.fillText(sp.kind.type, sp.x, sp.y - len - 4);
+  }
+  ctx.strokeStyle = col;
+  ctx.lineWidth = selected ? 3 : 2;
+  ctx.setLineDash([6, 6]);
+  ctx.beginPath(); ctx.arc(spawn[0], spawn[1], 48, 0, TAU); ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.beginPath(); ctx.moveTo(spawn[0], spawn[1]); ctx.lineTo(h.x, h.y); ctx.stroke();
+  ctx.fillStyle = col;
+  ctx.beginPath(); ctx.arc(h.x, h.y, 9, 0, TAU); ctx.fill();
+}
+
+// The edited map with its fleets, handles and the shape being drawn; no simulation runs
+export function drawEditor(ctx, ed, state) {
+  const camX = state.camX, camY = state.camY, m = mapById(state.mapId), sel = ed.sel;
+  waterBackground(ctx);
+  drawLand(ctx, camX, camY, state);
+  if (m.batteries) {
+    const batteries = m.batteries.map(b => ({ ...b, alive: true, turret: b.a }));
+    drawBatteries(ctx, camX, camY, { spectatorMode: true, batteries });
+  }
+  const objectives = ed.sc.victory.objectives;
+  drawObjectiveZones(ctx, camX, camY, objectives.filter(o => o.zone));
+  ctx.save();
+  ctx.translate(-camX, -camY);
+  ctx.font = '12px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  // Islands fortified by side when no batteries are placed by hand
+  for (const c of m.land) {
+    if (m.batteries || !c.side) continue;
+    ctx.fillStyle = TEAM_COLORS[c.side];
+    ctx.fillText(c.side === 'P' ? 'Allied batteries' : 'Enemy batteries', c.x, c.y);
+  }
+  ctx.fillStyle = 'rgba(230,255,250,0.9)';
+  for (const s of (m.shoals || [])) ctx.fillText(`${s.depth} m`, s.x, s.y);
+  for (const team of ['P', 'E']) {
+    const c = ed.sc.sides[team].convoy;
+    if (c) drawConvoyRoute(ctx, 0, 0, team, c.route[0], c.route);
+  }
+  drawEditorStart(ctx, m.pSpawn[0], ed.preview.P, 'P', sel && sel.spawn === 'pSpawn');
+  drawEditorStart(ctx, m.eSpawn[0], ed.preview.E, 'E', sel && sel.spawn === 'eSpawn');
+
+  // Selection outline and its handles
+  ctx.strokeStyle = 'rgba(255,230,90,0.95)';
+  ctx.fillStyle = 'rgba(255,230,90,0.95)';
+  ctx.lineWidth = 2.5;
+  if (sel && (sel.list === 'land' || sel.list === 'shoals') && m[sel.list][sel.i]) {
+    const c = m[sel.list][sel.i];
+    ctx.beginPath(); islandPath(ctx, c, 0); ctx.stroke();
+    if (c.poly) {
+      for (const p of c.poly) ctx.fillRect(p[0] - 5, p[1] - 5, 10, 10);
+    } else {
+      const h = radiusHandle(c);
+      ctx.beginPath(); ctx.arc(h.x, h.y, 8, 0, TAU); ctx.fill();
+    }
+  } else if (sel && sel.list === 'batteries' && m.batteries[sel.i]) {
+    const b = m.batteries[sel.i];
+    ctx.beginPath(); ctx.arc(b.x, b.y, 18, 0, TAU); ctx.stroke();
+  } else if (sel && sel.objective !== undefined && objectives[sel.objective] && objectives[sel.objective].zone) {
+    const [zx, zy, r] = objectives[sel.objective].zone;
+    ctx.beginPath(); ctx.arc(zx, zy, r, 0, TAU); ctx.stroke();
+    ctx.beginPath(); ctx.arc(zx + r, zy, 8, 0, TAU); ctx.fill();
+    ctx.fillRect(zx - 5, zy - 5, 10, 10);
+  } else if (sel && sel.route && ed.sc.sides[sel.route].convoy) {
+    const p = ed.sc.sides[sel.route].convoy.route[sel.i];
+    if (p) ctx.strokeRect(p[0] - 8, p[1] - 8, 16, 16);
+  }
+  if (ed.draft) {
+    const pts = ed.draft.pts;
+    ctx.setLineDash([8, 6]);
+    ctx.beginPath();
+    pts.forEach((p, i) => (i === 0 ? ctx.moveTo(p[0], p[1]) : ctx.lineTo(p[0], p[1])));
+    ctx.lineTo(state.aimX, state.aimY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    for (const p of pts) ctx.fillRect(p[0] - 5, p[1] - 5, 10, 10);
+  }
+  ctx.restore();
+
+  // Tool help along the bottom
+  ctx.save();
+  ctx.fillStyle = 'rgba(0,0,0,0.55)';
+  ctx.fillRect(0, VIEW.h - 28, VIEW.w, 28);
+  ctx.fillStyle = 'rgba(255,255,255,0.92)';
+  ctx.font = '13px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillText(`${EDITOR_TOOLS[ed.tool]}: ${EDITOR_HELP[ed.tool]} · WASD / arrows pan`, 10, VIEW.h - 10);
+  ctx.restore();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // MAIN DRAW FUNCTION
 // ═══════════════════════════════════════════════════════════════════════════
 export function draw(ctx, state) {
   waterBackground(ctx);
+  drawSightShadows(ctx, state.camX, state.camY, state);
   drawLand(ctx, state.camX, state.camY, state);
+  drawObjectiveZones(ctx, state.camX, state.camY, objectiveZones(state));
+  drawConvoyRoutes(ctx, state.camX, state.camY, state);
   drawCommanderPath(ctx, state.camX, state.camY, state);
   drawEscortTrajectories(ctx, state.camX, state.camY, state);
   drawBatteries(ctx, state.camX, state.camY, state);
@@ -1178,8 +1988,8 @@ export function draw(ctx, state) {
   for (const sm of state.smokes) drawSmoke(ctx, sm, state.camX, state.camY, state);
   for (const p of state.player) drawTrail(ctx, p, state.camX, state.camY, state);
   for (const e of state.enemy) { if (state.spectatorMode || e.detP) drawTrail(ctx, e, state.camX, state.camY, state); }
-  for (const p of state.player) drawWake(ctx, p, state.camX, state.camY);
-  for (const e of state.enemy) { if (state.spectatorMode || e.detP) drawWake(ctx, e, state.camX, state.camY); }
+  for (const p of state.player) drawWake(ctx, p, state.camX, state.camY, state);
+  for (const e of state.enemy) { if (state.spectatorMode || e.detP) drawWake(ctx, e, state.camX, state.camY, state); }
   
   // Draw ships with spectator target highlight
   const allShips = state.player.concat(state.enemy);
@@ -1201,8 +2011,16 @@ export function draw(ctx, state) {
   drawRecon(ctx, state.camX, state.camY, state);
   drawAircraft(ctx, state.camX, state.camY, state);
   drawBullets(ctx, state.camX, state.camY, state);
-  for (const sh of state.shells) drawShell(ctx, sh, state.camX, state.camY);
+  for (const sh of state.shells) drawShell(ctx, sh, state.camX, state.camY, state);
   for (const m of state.missiles) drawMissile(ctx, m, state.camX, state.camY, state);
+  drawTorpedoLead(ctx, state.camX, state.camY, state);
+  drawFireControl(ctx, state.camX, state.camY, state);
+  for (const c of state.depthCharges) drawDepthCharge(ctx, c, state.camX, state.camY, state);
   for (const f of state.fx) drawFx(ctx, f, state.camX, state.camY, state);
+  drawWeather(ctx, state.camX, state.camY, state);
   drawRadar(ctx, state);
+  drawDamagePanel(ctx, state);
+  drawRibbons(ctx, state);
+  drawObjectives(ctx, state);
+  drawReplayBar(ctx, state);
 }
@@ -0,0 +1,119 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY MODULE - Record per-tick player inputs and play battles back
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { SIM_HZ, SIM_DT } from './config.js';
+import { stepSimulation, resetWorld } from './simulation.js';
+import { checkScenario } from './scenario.js';
+
+export const REPLAY_VERSION = 1;
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// Held inputs are stored only when they change; one-shots on the tick they happen.
+// Event keys: t tick, th throttle, st steer, ax/ay aim, f fire point, a actions, s select
+const HELD = [['throttle', 'th'], ['steer', 'st'], ['aimX', 'ax'], ['aimY', 'ay']];
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECORDING
+// ═══════════════════════════════════════════════════════════════════════════
+export function createRecorder(state) {
+  return {
+    v: REPLAY_VERSION, hz: SIM_HZ,
+    seed: state.seed, mapId: state.mapId, diffKey: state.diffKey, scenario: state.scenario,
+    playerClass: state.playerClass, level: state.level, spectator: !!state.spectatorMode,
+    ticks: 0, events: [],
+    last: { throttle: 0, steer: 0, aimX: null, aimY: null },
+  };
+}
+
+// Call with the inputs about to be passed to stepSimulation for state.tick
+export function recordInputs(rec, tick, inputs) {
+  const ev = { t: tick };
+  let changed = false;
+  for (const [k, short] of HELD) {
+    const v = (inputs[k] === undefined) ? rec.last[k] : inputs[k];
+    if (v !== rec.last[k]) { ev[short] = v; rec.last[k] = v; changed = true; }
+  }
+  if (inputs.fireAt) { ev.f = [inputs.fireAt.x, inputs.fireAt.y]; changed = true; }
+  if (inputs.actions && inputs.actions.length) { ev.a = inputs.actions.slice(); changed = true; }
+  if (inputs.select != null) { ev.s = inputs.select; changed = true; }
+  if (changed) rec.events.push(ev);
+  rec.ticks = tick + 1;
+}
+
+export function finishReplay(rec) {
+  const { last, ...replay } = rec;
+  return replay;
+}
+
+export function parseReplay(text) {
+  let r;
+  try { r = JSON.parse(text); } catch (err) { throw new Error('Replay is not valid JSON'); }
+  if (!r || typeof r !== 'object') throw new Error('Replay is not an object');
+  if (r.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${r.v}`);
+  if (r.hz !== SIM_HZ) throw new Error(`Replay was recorded at ${r.hz} Hz, this build runs at ${SIM_HZ} Hz`);
+  for (const k of ['seed', 'mapId', 'level', 'ticks']) {
+    if (typeof r[k] !== 'number') throw new Error(`Replay field "${k}" must be a number`);
+  }
+  if (!Array.isArray(r.events)) throw new Error('Replay field "events" must be an array');
+  if (r.scenario) checkScenario(r.scenario);
+  return r;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAYBACK
+// ═══════════════════════════════════════════════════════════════════════════
+export function createPlayer(replay) {
+  return { replay, cursor: 0, held: null, paused: false, speed: 1 };
+}
+
+// Rebuild the recorded battle from its header and rewind to tick 0
+export function startPlayback(state, player) {
+  const r = player.replay;
+  state.seed = r.seed;
+  state.mapId = r.mapId;
+  state.scenario = r.scenario || null;
+  state.diffKey = r.diffKey || 'med';
+  state.playerClass = r.playerClass || 'dd';
+  state.spectatorMode = !!r.spectator;
+  resetWorld(state, r.level);
+  player.cursor = 0;
+  player.held = { throttle: 0, steer: 0, aimX: null, aimY: null };
+}
+
+function playbackInputs(player, tick) {
+  const inputs = { ...player.held };
+  const events = player.replay.events;
+  while (player.cursor < events.length && events[player.cursor].t <= tick) {
+    const ev = events[player.cursor++];
+    for (const [k, short] of HELD) {
+      if (ev[short] !== undefined) inputs[k] = player.held[k] = ev[short];
+    }
+    if (ev.t < tick) continue;
+    if (ev.f) inputs.fireAt = { x: ev.f[0], y: ev.f[1] };
+    if (ev.a) inputs.actions = ev.a.slice();
+    if (ev.s != null) inputs.select = ev.s;
+  }
+  return inputs;
+}
+
+// Advance one recorded tick; false once the recording has run out
+export function stepPlayback(state, player) {
+  if (state.tick >= player.replay.ticks) return false;
+  stepSimulation(state, SIM_DT, playbackInputs(player, state.tick));
+  return true;
+}
+
+// Jump to any tick. Going backwards re-simulates from the start.
+export function seekPlayback(state, player, targetTick) {
+  const target = Math.max(0, Math.min(player.replay.ticks, targetTick | 0));
+  if (target < state.tick) startPlayback(state, player);
+  while (state.tick < target) stepPlayback(state, player);
+  state.messages.length = 0;
+}
+
+export function playbackTime(player) {
+  return player.replay.ticks * SIM_DT;
+}
@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SAVE MODULE - Versioned battle snapshots, localStorage slots, file export
+// ═══════════════════════════════════════════════════════════════════════════
+
+import * as Config from './config.js';
+import { shipClass } from './ships.js';
+import { checkScenario, installScenario } from './scenario.js';
+import { initObjectives } from './objectives.js';
+
+export const SAVE_VERSION = 2;
+export const SAVE_SLOTS = 3;
+const SLOT_KEY = 'shipBattles.save.';
+
+// Simulation fields written to a save (UI/camera state is left out)
+const SAVE_FIELDS = [
+  'seed', 'rng', 'tick', 'time', 'diffKey', 'mapId', 'playerClass', 'level', 'selected',
+  'ended', 'winner', 'spectatorMode', 'WORLD_W', 'WORLD_H', 'ribbons',
+  'weather', 'weatherKey', 'night', 'scenario', 'reinforced', 'objectives', 'convoys',
+];
+
+// Lists whose entries may be pointed at from elsewhere (escortTarget, homeShip,
+// wingman, recon spotted sets...). Those links are stored as { $ref: 'list:index' }.
+const ENTITY_LISTS = [
+  'player', 'enemy', 'batteries', 'aircraft', 'recons', 'shells', 'missiles',
+  'smokes', 'bullets', 'fx', 'dolphins', 'depthCharges', 'flares',
+];
+
+// Shared config objects are stored by export name, ship classes by type
+const CONFIG_NAMES = new Map();
+for (const [name, v] of Object.entries(Config)) {
+  if (v && typeof v === 'object' && !CONFIG_NAMES.has(v)) CONFIG_NAMES.set(v, name);
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SERIALIZE
+// ═══════════════════════════════════════════════════════════════════════════
+export function serializeState(state) {
+  const refs = new Map();
+  for (const list of ENTITY_LISTS) {
+    (state[list] || []).forEach((obj, i) => refs.set(obj, `${list}:${i}`));
+  }
+  const stack = new Set();
+
+  const encode = (v, owner) => {
+    if (v === null || typeof v === 'boolean' || typeof v === 'string') return v;
+    if (typeof v === 'number') return Number.isFinite(v) ? v : { $num: String(v) };
+    if (typeof v !== 'object') return undefined;
+    if (CONFIG_NAMES.has(v)) return { $cfg: CONFIG_NAMES.get(v) };
+    if (typeof v.type === 'string' && shipClass(v.type) === v) return { $kind: v.type };
+    if (v !== owner && refs.has(v)) return { $ref: refs.get(v) };
+    if (stack.has(v)) throw new Error('Battle state has an unsupported reference cycle');
+    stack.add(v);
+    let out;
+    if (Array.isArray(v)) out = v.map(x => { const e = encode(x, null); return e === undefined ? null : e; });
+    else if (v instanceof Set) out = { $set: [...v].map(x => encode(x, null)) };
+    else if (v instanceof Map) out = { $map: [...v].map(([k, x]) => [encode(k, null), encode(x, null)]) };
+    else {
+      out = {};
+      for (const k of Object.keys(v)) {
+        const e = encode(v[k], null);
+        if (e !== undefined) out[k] = e;
+      }
+    }
+    stack.delete(v);
+    return out;
+  };
+
+  const data = {};
+  for (const k of SAVE_FIELDS) data[k] = encode(state[k], null);
+  for (const list of ENTITY_LISTS) data[list] = (state[list] || []).map(obj => encode(obj, obj));
+  return { v: SAVE_VERSION, state: data };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DESERIALIZE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Restore a save into an existing state object (keeps UI fields untouched)
+export function deserializeState(save, state) {
+  if (!save || typeof save !== 'object') throw new Error('Save is not an object');
+  if (save.v !== SAVE_VERSION) throw new Error(`Unsupported save version ${save.v}`);
+  if (!save.state || typeof save.state !== 'object') throw new Error('Save has no battle state');
+  const data = { ...save.state };
+  for (const list of ENTITY_LISTS) {
+    if (!Array.isArray(data[list])) throw new Error(`Save field "${list}" must be an array`);
+  }
+
+  // Create every entity first so references can point forwards
+  const refs = new Map();
+  const lists = {};
+  for (const list of ENTITY_LISTS) {
+    lists[list] = data[list].map((_, i) => { const obj = {}; refs.set(`${list}:${i}`, obj); return obj; });
+  }
+
+  const decode = (v) => {
+    if (v === null || typeof v !== 'object') return v;
+    if (Array.isArray(v)) return v.map(decode);
+    if ('$num' in v) return Number(v.$num);
+    if ('$cfg' in v) {
+      if (!(v.$cfg in Config)) throw new Error(`Save refers to unknown config "${v.$cfg}"`);
+      return Config[v.$cfg];
+    }
+    if ('$kind' in v) {
+      if (!shipClass(v.$kind)) throw new Error(`Save refers to unknown ship class "${v.$kind}"`);
+      return shipClass(v.$kind);
+    }
+    if ('$ref' in v) {
+      if (!refs.has(v.$ref)) throw new Error(`Save has a dangling reference "${v.$ref}"`);
+      return refs.get(v.$ref);
+    }
+    if ('$set' in v) return new Set(v.$set.map(decode));
+    if ('$map' in v) return new Map(v.$map.map(([k, x]) => [decode(k), decode(x)]));
+    const out = {};
+    for (const k of Object.keys(v)) out[k] = decode(v[k]);
+    return out;
+  };
+
+  for (const list of ENTITY_LISTS) {
+    data[list].forEach((enc, i) => Object.assign(lists[list][i], decode(enc)));
+  }
+  const fields = {};
+  for (const k of SAVE_FIELDS) {
+    if (k in data) fields[k] = decode(data[k]);
+  }
+  // Every check comes before the state changes, so a rejected file leaves the
+  // battle as it was
+  if (fields.scenario) checkScenario(fields.scenario);
+
+  Object.assign(state, fields, lists);
+  // A custom battle's map has to be back in its slot before anything looks it up
+  if (state.scenario) state.mapId = installScenario(state.scenario);
+  if (!state.objectives) initObjectives(state);
+  state.messages = [];
+  state.renderAlpha = 1;
+  return state;
+}
+
+export function parseSave(text) {
+  let save;
+  try { save = JSON.parse(text); } catch (err) { throw new Error('Save file is not valid JSON'); }
+  return save;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SLOTS (localStorage)
+// ═══════════════════════════════════════════════════════════════════════════
+export function saveToSlot(slot, state, storage = globalThis.localStorage) {
+  const save = serializeState(state);
+  save.meta = {
+    savedAt: Date.now(),
+    label: `${Config.mapById(state.mapId).name} · L${state.level} · ${Math.floor(state.time / 60)}m${String(Math.floor(state.time % 60)).padStart(2, '0')}s`,
+  };
+  storage.setItem(SLOT_KEY + slot, JSON.stringify(save));
+  return save.meta;
+}
+
+export function loadFromSlot(slot, state, storage = globalThis.localStorage) {
+  const text = storage.getItem(SLOT_KEY + slot);
+  if (!text) throw new Error(`Slot ${slot} is empty`);
+  return deserializeState(parseSave(text), state);
+}
+
+// Labels for the menu; null for empty or unreadable slots
+export function slotInfo(storage = globalThis.localStorage) {
+  const out = [];
+  for (let i = 1; i <= SAVE_SLOTS; i++) {
+    let meta = null;
+    try {
+      const text = storage.getItem(SLOT_KEY + i);
+      if (text) meta = JSON.parse(text).meta || { label: 'Saved battle' };
+    } catch (err) { meta = null; }
+    out.push(meta);
+  }
+  return out;
+}
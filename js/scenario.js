@@ -0,0 +1,342 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENARIO MODULE - Battles as scenario files: schema, loader and the map slots they fill
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { BATTLES, CONVOY, FORMATIONS, MAPS, OBJECTIVES, WEATHER } from './config.js';
+import { classByKey, isMerchant } from './ships.js';
+import { obstacles, prepareMap } from './terrain.js';
+import { generateEscortFormation } from './entities.js';
+
+export const SCENARIO_VERSION = 2;
+
+// A scenario file (JSON) holds one battle:
+// {
+//   v: 2, name,
+//   map: {
+//     land:      circles { x, y, r } or polygons { poly: [[x, y], ...] }, each with an
+//                optional h (height a shell must clear; BALLISTICS.islandHeight when
+//                left out) and side ('P' | 'E', the team fortifying it with batteries)
+//     shoals:    circles or polygons with a depth in metres (optional, see terrain.js)
+//     batteries: [{ team, x, y, a }] coastal batteries placed by hand instead of by
+//                island side; a is the bearing they face (optional)
+//   },
+//   sides: { P: side, E: side }, each side {
+//     name, formation (FORMATIONS key), spawn: [x, y, heading],
+//     ships: [ship, ...] (1 to MAX_SHIPS),
+//     reinforcements: [{ at, spawn, ships }] - waves joining `at` seconds into the
+//                     battle, laid out around their own spawn or the side's (optional)
+//     convoy: { route: [[x, y], ...], zigzag, ships: [ship, ...] } - merchant ships
+//             (merchant classes only, 1 to MAX_SHIPS) sailing in columns from the
+//             first route point along the rest; zigzag: true to zig-zag (optional)
+//   },
+//   conditions: { weather (WEATHER key), night },
+//   victory: { timeLimit (s, 0 = none), objectives: [objective, ...] (optional) },
+// }
+// A ship is { class, name, x, y, heading, role, playerChoice, minLevel, substitute }
+// where only class (a ship class key) is required:
+//   name          left out, the ship takes a name from its class list
+//   x, y          left out, the ship is laid out in the side's formation around spawn
+//   heading       left out, the ship starts on the spawn heading
+//   role          'flagship' leads the side from the start; 'line' keeps station in the
+//                 battle line and 'screen' on a line ship's beam. Left out, the class
+//                 decides (capitals line, escorts screen)
+//   playerChoice  the class picked under "Your ship" replaces this one
+//   minLevel      before this level the ship is its `substitute` class (or left out)
+// A convoy ship takes only class, name, minLevel and substitute; its place is its
+// column station. Merchant classes sail only in convoys.
+// The player starts in command of the playerChoice ship, else the first of their class.
+// An objective is { type (OBJECTIVES key), team, zone, hold, count, points }: the side
+// `team` has to do it, on top of sinking the other fleet (see objectives.js):
+//   exit       get `count` ships (default 1) into zone [x, y, r], where they leave
+//   capture    hold zone [x, y, r] for `hold` seconds in all, with no enemy inside
+//   batteries  destroy every coastal battery of the other side
+//   survive    still be afloat when the time limit runs out (needs timeLimit)
+//   flagship   sink the other side's flagship (its 'flagship' role ship, else the
+//              ship in command at the start)
+//   convoy     get `count` of the side's convoy ships (default 1) into zone [x, y, r]
+//   points     what doing it scores (default OBJECTIVE_POINTS)
+export const MAX_SHIPS = 16;
+const SHIP_ROLES = ['flagship', 'line', 'screen'];
+
+// The built-in battles are the scenario files in scenarios/: fetched in a browser,
+// read from disk in Node
+async function readBuiltIn(name) {
+  const url = new URL(`../scenarios/${name}.json`, import.meta.url);
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    const { readFileSync } = await import('node:fs');
+    return JSON.parse(readFileSync(url, 'utf8'));
+  }
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Built-in scenario ${name} failed to load (${res.status})`);
+  return res.json();
+}
+
+// The built-in battles, by map id; a loaded scenario goes in the slot after them
+export const BUILT_IN = await Promise.all(['midway', 'guadalcanal', 'leyte', 'surigao', 'murmansk'].map(readBuiltIn));
+export const CUSTOM_MAP = BUILT_IN.length;
+
+// Shapes without the centre, radius and winding terrain.js works out for polygons
+function bareShape(c) {
+  if (!c.poly) return { ...c };
+  const { x, y, r, wind, ...rest } = c;
+  return { ...rest, poly: c.poly.map(p => p.slice()) };
+}
+
+const copyShips = (ships) => ships.map(s => ({ ...s }));
+const copyObjective = (o) => (o.zone ? { ...o, zone: o.zone.slice() } : { ...o });
+
+function copySide(s) {
+  const out = { name: s.name, formation: s.formation, spawn: s.spawn.slice(), ships: copyShips(s.ships) };
+  if (s.reinforcements) {
+    out.reinforcements = s.reinforcements.map(w => (w.spawn
+      ? { at: w.at, spawn: w.spawn.slice(), ships: copyShips(w.ships) }
+      : { at: w.at, ships: copyShips(w.ships) }));
+  }
+  if (s.convoy) {
+    const c = s.convoy;
+    out.convoy = { route: c.route.map(p => p.slice()), zigzag: !!c.zigzag, ships: copyShips(c.ships) };
+  }
+  return out;
+}
+
+// A plain copy fit for a file: nothing derived, nothing shared with MAPS
+export function cleanScenario(sc) {
+  const m = sc.map;
+  const map = { land: m.land.map(bareShape) };
+  if (m.shoals) map.shoals = m.shoals.map(bareShape);
+  if (m.batteries) map.batteries = m.batteries.map(b => ({ ...b }));
+  return {
+    v: SCENARIO_VERSION, name: sc.name, map,
+    sides: { P: copySide(sc.sides.P), E: copySide(sc.sides.E) },
+    conditions: { ...sc.conditions },
+    victory: { timeLimit: sc.victory.timeLimit || 0, objectives: (sc.victory.objectives || []).map(copyObjective) },
+  };
+}
+
+// A built-in battle as a scenario to edit
+export function scenarioFromMap(mapId) {
+  return cleanScenario(BUILT_IN[Math.max(0, Math.min(BUILT_IN.length - 1, mapId | 0))]);
+}
+
+// Put a scenario's map and battle in slot `id` of MAPS / BATTLES; returns the id
+export function installScenario(sc, id = CUSTOM_MAP) {
+  const c = cleanScenario(sc);
+  const { P, E } = c.sides;
+  for (const s of [P, E]) if (s.reinforcements) s.reinforcements.sort((a, b) => a.at - b.at);
+  MAPS[id] = prepareMap({ id, name: c.name, ...c.map, pSpawn: [P.spawn], eSpawn: [E.spawn] });
+  BATTLES[id] = {
+    pName: P.name, eName: E.name, pForm: P.formation, eForm: E.formation,
+    weather: c.conditions.weather, night: !!c.conditions.night,
+    timeLimit: c.victory.timeLimit, objectives: c.victory.objectives,
+    sides: c.sides,
+  };
+  return id;
+}
+
+// Ships as a battle starts them: class settled by the player's pick and the level,
+// placed where the file says or in formation around `spawn`. Returns
+// [{ spec, kind, x, y, a }], formation ships first.
+export function layoutShips(ships, spawn, form, state) {
+  const list = [];
+  for (const spec of ships) {
+    const kind = shipKind(spec, state);
+    if (kind) list.push({ spec, kind });
+  }
+  const loose = list.filter(e => e.spec.x === undefined);
+  const spots = generateEscortFormation(spawn, loose.map(e => e.kind), form, obstacles(state, Infinity));
+  const out = spots.map(p => ({ spec: loose[p.i].spec, kind: p.kind, x: p.x, y: p.y, a: loose[p.i].spec.heading ?? p.a }));
+  for (const { spec, kind } of list) {
+    if (spec.x !== undefined) out.push({ spec, kind, x: spec.x, y: spec.y, a: spec.heading ?? spawn[2] });
+  }
+  return out;
+}
+
+// The class a ship sails as: the player's pick for the playerChoice ship, and its
+// substitute (or null) before its minLevel
+function shipKind(spec, state) {
+  let kind = classByKey(spec.class);
+  if (spec.playerChoice) kind = classByKey(state.playerClass) || kind;
+  if (spec.minLevel && state.level < spec.minLevel) kind = spec.substitute ? classByKey(spec.substitute) : null;
+  return kind;
+}
+
+// A convoy as a battle starts it: in columns astern of the first route point, heading
+// down the first leg. Returns [{ spec, kind, x, y, a, f, r }], where f and r are the
+// ship's station astern (negative) and to starboard of the convoy's guide.
+export function layoutConvoy(convoy, state) {
+  const list = convoy.ships.map(spec => ({ spec, kind: shipKind(spec, state) })).filter(e => e.kind);
+  const [x0, y0] = convoy.route[0], [x1, y1] = convoy.route[1];
+  const a = Math.atan2(y1 - y0, x1 - x0), ca = Math.cos(a), sa = Math.sin(a);
+  const cols = Math.min(CONVOY.columns, list.length);
+  return list.map(({ spec, kind }, i) => {
+    const f = -Math.floor(i / cols) * CONVOY.rowSep, r = ((i % cols) - (cols - 1) / 2) * CONVOY.colSep;
+    return { spec, kind, x: x0 + ca * f - sa * r, y: y0 + sa * f + ca * r, a, f, r };
+  });
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// READING SCENARIO FILES
+// ═══════════════════════════════════════════════════════════════════════════
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+function fail(path, msg) { throw new Error(`Scenario field "${path}" ${msg}`); }
+
+// Misspelt fields would otherwise be dropped without a word
+function onlyKnown(o, keys, path) {
+  for (const k of Object.keys(o)) if (!keys.includes(k)) fail(path ? `${path}.${k}` : k, 'is not a scenario field');
+}
+
+function checkPoint(p, path, what = '[x, y]') {
+  const n = what === '[x, y]' ? 2 : 3;
+  if (!Array.isArray(p) || p.length !== n || !p.every(isNum)) fail(path, `must be ${what}`);
+}
+
+function checkShape(c, path) {
+  if (!isObj(c)) fail(path, 'must be an object');
+  if (c.poly !== undefined) {
+    if (!Array.isArray(c.poly) || c.poly.length < 3) fail(`${path}.poly`, 'needs at least 3 corners');
+    c.poly.forEach((p, i) => checkPoint(p, `${path}.poly[${i}]`));
+  } else {
+    for (const k of ['x', 'y', 'r']) if (!isNum(c[k])) fail(`${path}.${k}`, 'must be a number');
+  }
+}
+
+function checkShip(s, path, merchant = false) {
+  if (!isObj(s)) fail(path, 'must be an object');
+  const fields = merchant ? ['class', 'name', 'minLevel', 'substitute'] : ['class', 'name', 'x', 'y', 'heading', 'role', 'playerChoice', 'minLevel', 'substitute'];
+  onlyKnown(s, fields, path);
+  if (!classByKey(s.class)) fail(`${path}.class`, `is an unknown ship class "${s.class}"`);
+  for (const k of ['class', 'substitute']) {
+    const kind = s[k] !== undefined && classByKey(s[k]);
+    if (kind && isMerchant(kind) !== merchant) fail(`${path}.${k}`, merchant ? `"${s[k]}" is not a merchant class` : `"${s[k]}" is a merchant class; those sail in a convoy`);
+  }
+  if (s.name !== undefined && typeof s.name !== 'string') fail(`${path}.name`, 'must be a string');
+  if ((s.x === undefined) !== (s.y === undefined)) fail(s.x === undefined ? `${path}.x` : `${path}.y`, 'must be given with the other coordinate');
+  for (const k of ['x', 'y', 'heading', 'minLevel']) {
+    if (s[k] !== undefined && !isNum(s[k])) fail(`${path}.${k}`, 'must be a number');
+  }
+  if (s.role !== undefined && !SHIP_ROLES.includes(s.role)) fail(`${path}.role`, `must be one of ${SHIP_ROLES.join(', ')}`);
+  if (s.playerChoice !== undefined && typeof s.playerChoice !== 'boolean') fail(`${path}.playerChoice`, 'must be true or false');
+  if (s.substitute !== undefined && !classByKey(s.substitute)) fail(`${path}.substitute`, `is an unknown ship class "${s.substitute}"`);
+}
+
+// Whether a side has coastal batteries: placed by hand, else on the islands it fortifies
+const fortified = (m, team) => m.batteries ? m.batteries.some(b => b.team === team) : m.land.some(c => c.side === team);
+
+function checkObjective(o, path) {
+  if (!isObj(o)) fail(path, 'must be an object');
+  onlyKnown(o, ['type', 'team', 'zone', 'hold', 'count', 'points'], path);
+  if (!(o.type in OBJECTIVES)) fail(`${path}.type`, `must be one of ${Object.keys(OBJECTIVES).join(', ')}`);
+  if (o.team !== 'P' && o.team !== 'E') fail(`${path}.team`, 'must be "P" or "E"');
+  if (o.type === 'exit' || o.type === 'capture' || o.type === 'convoy') {
+    checkPoint(o.zone, `${path}.zone`, '[x, y, r]');
+    if (!(o.zone[2] > 0)) fail(`${path}.zone`, 'needs a radius above 0');
+  } else if (o.zone !== undefined) fail(`${path}.zone`, `is not used by a "${o.type}" objective`);
+  if (o.type === 'capture' && !(isNum(o.hold) && o.hold > 0)) fail(`${path}.hold`, 'must be a number of seconds');
+  else if (o.type !== 'capture' && o.hold !== undefined) fail(`${path}.hold`, `is not used by a "${o.type}" objective`);
+  if (o.count !== undefined && o.type !== 'exit' && o.type !== 'convoy') fail(`${path}.count`, `is not used by a "${o.type}" objective`);
+  if (o.count !== undefined && !(Number.isInteger(o.count) && o.count >= 1)) fail(`${path}.count`, 'must be a whole number of ships');
+  if (o.points !== undefined && !isNum(o.points)) fail(`${path}.points`, 'must be a number');
+}
+
+function checkShips(ships, path, merchant = false) {
+  if (!Array.isArray(ships) || ships.length === 0 || ships.length > MAX_SHIPS) fail(path, `must list 1 to ${MAX_SHIPS} ships`);
+  ships.forEach((s, i) => checkShip(s, `${path}[${i}]`, merchant));
+}
+
+function checkConvoy(c, path) {
+  if (!isObj(c)) fail(path, 'must be an object');
+  onlyKnown(c, ['route', 'zigzag', 'ships'], path);
+  if (!Array.isArray(c.route) || c.route.length < 2) fail(`${path}.route`, 'needs at least 2 points');
+  c.route.forEach((p, i) => checkPoint(p, `${path}.route[${i}]`));
+  if (c.zigzag !== undefined && typeof c.zigzag !== 'boolean') fail(`${path}.zigzag`, 'must be true or false');
+  checkShips(c.ships, `${path}.ships`, true);
+}
+
+function checkSide(s, path) {
+  if (!isObj(s)) fail(path, 'must be an object');
+  onlyKnown(s, ['name', 'formation', 'spawn', 'ships', 'reinforcements', 'convoy'], path);
+  if (typeof s.name !== 'string') fail(`${path}.name`, 'must be a string');
+  if (!(s.formation in FORMATIONS)) fail(`${path}.formation`, `must be one of ${Object.keys(FORMATIONS).join(', ')}`);
+  checkPoint(s.spawn, `${path}.spawn`, '[x, y, heading]');
+  checkShips(s.ships, `${path}.ships`);
+  if (s.convoy !== undefined) checkConvoy(s.convoy, `${path}.convoy`);
+  if (s.reinforcements === undefined) return;
+  if (!Array.isArray(s.reinforcements)) fail(`${path}.reinforcements`, 'must be an array');
+  s.reinforcements.forEach((w, i) => {
+    const wp = `${path}.reinforcements[${i}]`;
+    if (!isObj(w)) fail(wp, 'must be an object');
+    onlyKnown(w, ['at', 'spawn', 'ships'], wp);
+    if (!isNum(w.at) || w.at < 0) fail(`${wp}.at`, 'must be a number of seconds');
+    if (w.spawn !== undefined) checkPoint(w.spawn, `${wp}.spawn`, '[x, y, heading]');
+    checkShips(w.ships, `${wp}.ships`);
+  });
+}
+
+// Throws on the first problem, naming the field; returns the scenario
+export function checkScenario(sc) {
+  if (!isObj(sc)) throw new Error('Scenario is not an object');
+  if (sc.v !== SCENARIO_VERSION) throw new Error(`Unsupported scenario version ${sc.v}`);
+  onlyKnown(sc, ['v', 'name', 'map', 'sides', 'conditions', 'victory'], '');
+  if (typeof sc.name !== 'string') fail('name', 'must be a string');
+
+  const m = sc.map;
+  if (!isObj(m)) fail('map', 'must be an object');
+  onlyKnown(m, ['land', 'shoals', 'batteries'], 'map');
+  if (!Array.isArray(m.land)) fail('map.land', 'must be an array');
+  m.land.forEach((c, i) => {
+    checkShape(c, `map.land[${i}]`);
+    if (c.h !== undefined && !isNum(c.h)) fail(`map.land[${i}].h`, 'must be a number');
+    if (c.side !== undefined && c.side !== 'P' && c.side !== 'E') fail(`map.land[${i}].side`, 'must be "P" or "E"');
+  });
+  if (m.shoals !== undefined) {
+    if (!Array.isArray(m.shoals)) fail('map.shoals', 'must be an array');
+    m.shoals.forEach((c, i) => {
+      checkShape(c, `map.shoals[${i}]`);
+      if (!isNum(c.depth)) fail(`map.shoals[${i}].depth`, 'must be a number');
+    });
+  }
+  if (m.batteries !== undefined) {
+    if (!Array.isArray(m.batteries)) fail('map.batteries', 'must be an array');
+    m.batteries.forEach((bt, i) => {
+      if (!isObj(bt) || (bt.team !== 'P' && bt.team !== 'E')) fail(`map.batteries[${i}].team`, 'must be "P" or "E"');
+      for (const k of ['x', 'y', 'a']) if (!isNum(bt[k])) fail(`map.batteries[${i}].${k}`, 'must be a number');
+    });
+  }
+
+  if (!isObj(sc.sides)) fail('sides', 'must be an object');
+  onlyKnown(sc.sides, ['P', 'E'], 'sides');
+  checkSide(sc.sides.P, 'sides.P');
+  checkSide(sc.sides.E, 'sides.E');
+
+  const c = sc.conditions;
+  if (!isObj(c)) fail('conditions', 'must be an object');
+  onlyKnown(c, ['weather', 'night'], 'conditions');
+  if (!(c.weather in WEATHER)) fail('conditions.weather', `must be one of ${Object.keys(WEATHER).join(', ')}`);
+  if (c.night !== undefined && typeof c.night !== 'boolean') fail('conditions.night', 'must be true or false');
+
+  const v = sc.victory;
+  if (!isObj(v)) fail('victory', 'must be an object');
+  onlyKnown(v, ['timeLimit', 'objectives'], 'victory');
+  if (v.timeLimit !== undefined && !(isNum(v.timeLimit) && v.timeLimit >= 0)) fail('victory.timeLimit', 'must be a number of seconds');
+  if (v.objectives !== undefined) {
+    if (!Array.isArray(v.objectives)) fail('victory.objectives', 'must be an array');
+    v.objectives.forEach((o, i) => {
+      checkObjective(o, `victory.objectives[${i}]`);
+      if (o.type === 'convoy' && !sc.sides[o.team].convoy) fail(`victory.objectives[${i}].team`, 'has no convoy to get through');
+      if (o.type === 'batteries' && !fortified(m, o.team === 'P' ? 'E' : 'P')) fail(`victory.objectives[${i}].team`, 'has no enemy batteries to destroy');
+    });
+    if (v.objectives.some(o => o.type === 'survive') && !(v.timeLimit > 0)) fail('victory.timeLimit', 'must be set for a "survive" objective');
+  }
+  return sc;
+}
+
+export function parseScenario(text) {
+  let sc;
+  try { sc = JSON.parse(text); } catch (err) { throw new Error('Scenario is not valid JSON'); }
+  return checkScenario(sc);
+}
+
+BUILT_IN.forEach((sc, id) => installScenario(checkScenario(sc), id));
@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SHIPS MODULE - Ship class registry and the built-in class definitions
+// ═══════════════════════════════════════════════════════════════════════════
+
+import {
+  DRAG_DD, DRAG_BB, SHIP_SPEED_SCALE, SHIP_ACCEL_SCALE, SHELL_SPEED_SCALE, RELOAD_SCALE
+} from './config.js';
+
+// A class definition is plain data. Anything left out falls back to these.
+//   role           'capital' (formation core, commands), 'escort' (screens capitals) or
+//                  'merchant' (sails in a scenario's convoy, never in the battle fleet)
+//   recon          'plane' = single catapult recon plane, null = none
+//   airWing        true = carrier sorties (fighters, recon pairs)
+//   caliber        gun bore in mm; penetration is mm of armor at point blank (see PEN)
+//   dispersion     [across, along] half-widths in px of the shell fall ellipse at
+//                  full gun range (smaller at shorter range)
+//   mounts         gun mounts, one per gun in `salvo`: { at, facing, arc }. at is the
+//                  spot along the hull (-1 stern .. 1 bow), facing the rest bearing in
+//                  degrees off the bow, arc how far either side of it the mount can
+//                  train before the superstructure is in the way (180 = all round)
+//   turretRate     mount traverse speed in rad/s
+//   concealment    px at which lookouts sight the ship in clear daylight (size and
+//                  silhouette); weather and darkness shrink it
+//   bloom          px the ship can be seen at for BLOOM_SECS after firing its guns
+//   radar          surface search radar range in px (0 = none); sees through smoke,
+//                  rain and darkness
+//   starShells     illumination rounds carried for night actions (see NIGHT)
+//   searchlight    true = can light targets along the gun director at night
+//   draft          metres of water the hull draws; it runs aground on shoals shallower
+//                  than that (see terrain.js)
+//   belt, deck     armor in mm against side and plunging hits; `armor` still
+//                  scales damage from everything except shells
+//   torpedoRange   [min, max] launch distance for the AI, as fractions of RADAR_RANGE
+//   torpedoSpread  torpedoes fired per launch, fanned across torpedoFan radians
+//   torpedoHoming  true = acoustic homing torpedoes (see MISSILE.seekRange)
+//   aa, aaRange    flak damage per burst at point blank, and its reach
+//   dive           true = submarine (surfaced / periscope / submerged)
+//   sonar          true = can find submerged boats within SONAR_RANGE
+//   depthCharges   patterns carried (0 = none)
+//   commandRank    lower takes command first when the flagship sinks
+//   rightOfWay     higher is the stand-on vessel in collision avoidance
+//   formationRing  'center' | 'inner' | 'outer' ring of the task-group spawn
+//   playable       false = left out of the "Your ship" choices
+//   draw           { icon, hull, scale, showTag, radarP, radarE } - hull 'sub' draws a
+//                  submarine silhouette instead of the icon
+const SHIP_DEFAULTS = {
+  role: 'escort', armor: 0, drag: DRAG_DD,
+  gunRange: 0, shellSpeed: 0, gunReload: 0, shellDmg: 0, salvo: 0, impactR: 16,
+  mounts: null, turretRate: 4.0, starShells: 0, searchlight: false,
+  concealment: 240, bloom: 0, radar: 0, draft: 5,
+  caliber: 0, penetration: 0, belt: 0, deck: 0, dispersion: [20, 45],
+  smokeCooldown: 0, smokeDuration: 0, smokeRadius: 0,
+  missileReload: 0, missileAmmoMax: 0, torpedoRange: [0.45, 1.0],
+  torpedoSpread: 1, torpedoFan: 0, torpedoHoming: false,
+  aa: 0, aaRange: 0,
+  recon: null, airWing: false, airCooldown: 0,
+  dive: false, sonar: false, depthCharges: 0,
+  commandRank: 9, rightOfWay: 0, formationRing: 'outer',
+  playable: true,
+  names: { P: ['Ship'], E: ['Ship'] },
+};
+const DRAW_DEFAULTS = {
+  icon: '🚢', hull: null, scale: 1.0, showTag: false,
+  radarP: 'rgba(90,200,255,0.85)', radarE: 'rgba(255,130,130,0.85)',
+};
+const REQUIRED = ['type', 'key', 'name', 'radius', 'hp', 'maxSpeed', 'accel', 'turnRate'];
+
+const SHIP_CLASSES = new Map();
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+export function registerShipClass(def) {
+  for (const k of REQUIRED) {
+    if (def[k] === undefined) throw new Error(`Ship class ${def.type || '?'} is missing "${k}"`);
+  }
+  if (SHIP_CLASSES.has(def.type)) throw new Error(`Ship class ${def.type} is already registered`);
+  const kind = { ...SHIP_DEFAULTS, ...def, draw: { ...DRAW_DEFAULTS, ...(def.draw || {}) } };
+  // Guns without listed mounts train all round from amidships
+  if (kind.salvo > 0 && !kind.mounts) kind.mounts = Array.from({ length: kind.salvo }, () => ({ at: 0, facing: 0, arc: 180 }));
+  if (kind.mounts && kind.mounts.length !== kind.salvo) {
+    throw new Error(`Ship class ${kind.type} has ${kind.mounts.length} mounts for a salvo of ${kind.salvo}`);
+  }
+  SHIP_CLASSES.set(kind.type, kind);
+  return kind;
+}
+
+export function shipClass(type) { return SHIP_CLASSES.get(type) || null; }
+
+// Registration order (menu order)
+export function shipClasses() { return [...SHIP_CLASSES.values()]; }
+
+export function classByKey(key) {
+  for (const k of SHIP_CLASSES.values()) { if (k.key === key) return k; }
+  return null;
+}
+
+export function className(key) {
+  const k = classByKey(key);
+  return k ? k.name : 'Ship';
+}
+
+export const isCapital = (kind) => kind.role === 'capital';
+export const isEscort = (kind) => kind.role === 'escort';
+export const isMerchant = (kind) => kind.role === 'merchant';
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BUILT-IN CLASSES
+// ═══════════════════════════════════════════════════════════════════════════
+export const DD = registerShipClass({
+  type: 'DD', key: 'dd', name: 'Destroyer', role: 'escort',
+  radius: 14, hp: 130, armor: 0.06,
+  maxSpeed: 115 * SHIP_SPEED_SCALE, accel: 70 * SHIP_ACCEL_SCALE, turnRate: 1.5,
+  gunRange: 580, shellSpeed: 270 * SHELL_SPEED_SCALE, gunReload: 1.24 * RELOAD_SCALE, shellDmg: 20, salvo: 1,
+  caliber: 127, penetration: 95, belt: 16, deck: 12, dispersion: [18, 40],
+  mounts: [{ at: 0.5, facing: 0, arc: 155 }], turretRate: 1.6, starShells: 4, searchlight: true,
+  concealment: 210, bloom: 520, draft: 4,
+  smokeCooldown: 12.0, smokeDuration: 5.0, smokeRadius: 160,
+  missileReload: 10.0 * RELOAD_SCALE, missileAmmoMax: 2, torpedoSpread: 3, torpedoFan: 0.22,
+  aa: 3, aaRange: 240,
+  sonar: true, depthCharges: 6,
+  commandRank: 3, rightOfWay: 2,
+  draw: { icon: '🚢', scale: 1.0 },
+  names: {
+    P: ['USS Fletcher','USS Johnston','USS Laffey','USS OBannon','USS Kidd','USS Radford','USS Buchanan','USS McCalla','USS Sims','USS Benson','USS Daly','USS Cushing','USS Hoel','USS Heermann'],
+    E: ['IJN Kagerō','IJN Yukikaze','IJN Shigure','IJN Kuroshio','IJN Akigumo','IJN Hamakaze','IJN Isokaze','IJN Nowaki','IJN Tanikaze','IJN Shiratsuyu','IJN Asashio','IJN Michishio','IJN Urakaze','IJN Arashi'],
+  },
+});
+
+export const BB = registerShipClass({
+  type: 'BB', key: 'bb', name: 'Battleship', role: 'capital',
+  radius: 22, hp: 340, armor: 0.16, drag: DRAG_BB,
+  maxSpeed: 65 * SHIP_SPEED_SCALE, accel: 34 * SHIP_ACCEL_SCALE, turnRate: 0.8,
+  gunRange: 720, shellSpeed: 300 * SHELL_SPEED_SCALE, gunReload: 2.50 * RELOAD_SCALE, shellDmg: 26, salvo: 3, impactR: 20,
+  caliber: 406, penetration: 520, belt: 310, deck: 150, dispersion: [24, 62],
+  mounts: [{ at: 0.6, facing: 0, arc: 150 }, { at: 0.35, facing: 0, arc: 140 }, { at: -0.5, facing: 180, arc: 150 }],
+  turretRate: 0.6, starShells: 6, searchlight: true,
+  concealment: 300, bloom: 700, radar: 280, draft: 10,
+  aa: 6, aaRange: 300,
+  recon: 'plane',
+  commandRank: 0, rightOfWay: 4, formationRing: 'inner',
+  draw: { icon: '🛳️', scale: 1.7, showTag: true, radarP: 'rgba(200,250,255,0.95)', radarE: 'rgba(255,220,220,0.95)' },
+  names: {
+    P: ['USS Iowa','USS South Dakota','USS Washington','USS North Carolina','USS Missouri'],
+    E: ['IJN Yamato','IJN Nagato','IJN Kongō','IJN Haruna','IJN Kirishima'],
+  },
+});
+
+export const CA = registerShipClass({
+  type: 'CA', key: 'ca', name: 'Heavy cruiser', role: 'capital',
+  radius: 18, hp: 220, armor: 0.11,
+  maxSpeed: 88 * SHIP_SPEED_SCALE, accel: 48 * SHIP_ACCEL_SCALE, turnRate: 1.1,
+  gunRange: 650, shellSpeed: 285 * SHELL_SPEED_SCALE, gunReload: 1.80 * RELOAD_SCALE, shellDmg: 22, salvo: 2, impactR: 18,
+  caliber: 203, penetration: 230, belt: 127, deck: 57, dispersion: [20, 50],
+  mounts: [{ at: 0.5, facing: 0, arc: 150 }, { at: -0.5, facing: 180, arc: 150 }], turretRate: 0.9,
+  starShells: 6, searchlight: true, concealment: 270, bloom: 620, radar: 260, draft: 7,
+  missileReload: 14.0 * RELOAD_SCALE, missileAmmoMax: 2, torpedoRange: [0.30, 0.80],
+  torpedoSpread: 3, torpedoFan: 0.18,
+  aa: 5, aaRange: 280,
+  recon: 'plane',
+  commandRank: 1, rightOfWay: 3, formationRing: 'inner',
+  draw: { icon: '⛴️', scale: 1.35, showTag: true, radarP: 'rgba(150,230,255,0.90)', radarE: 'rgba(255,180,170,0.90)' },
+  names: {
+    P: ['USS Indianapolis','USS Houston','USS San Francisco','USS Portland','USS Chester','USS Salt Lake City','USS Minneapolis','USS New Orleans','USS Astoria','USS Quincy'],
+    E: ['IJN Chōkai','IJN Mogami','IJN Tone','IJN Chikuma','IJN Aoba','IJN Furutaka','IJN Myōkō','IJN Haguro','IJN Kinugasa','IJN Kako'],
+  },
+});
+
+export const CL = registerShipClass({
+  type: 'CL', key: 'cl', name: 'Light cruiser', role: 'capital',
+  radius: 16, hp: 180, armor: 0.09,
+  maxSpeed: 96 * SHIP_SPEED_SCALE, accel: 54 * SHIP_ACCEL_SCALE, turnRate: 1.25,
+  gunRange: 610, shellSpeed: 280 * SHELL_SPEED_SCALE, gunReload: 1.30 * RELOAD_SCALE, shellDmg: 16, salvo: 3, impactR: 16,
+  caliber: 152, penetration: 170, belt: 102, deck: 51, dispersion: [20, 46],
+  mounts: [{ at: 0.6, facing: 0, arc: 150 }, { at: 0.35, facing: 0, arc: 140 }, { at: -0.5, facing: 180, arc: 150 }],
+  turretRate: 1.1, starShells: 8, searchlight: true, concealment: 250, bloom: 580, radar: 240, draft: 6,
+  missileReload: 12.0 * RELOAD_SCALE, missileAmmoMax: 2, torpedoRange: [0.30, 0.85],
+  torpedoSpread: 3, torpedoFan: 0.18,
+  aa: 6, aaRange: 290,
+  recon: 'plane',
+  commandRank: 1, rightOfWay: 3, formationRing: 'inner',
+  draw: { icon: '⛴️', scale: 1.2, showTag: true, radarP: 'rgba(150,230,255,0.90)', radarE: 'rgba(255,180,170,0.90)' },
+  names: {
+    P: ['USS Helena','USS Boise','USS Atlanta','USS Juneau','USS Honolulu','USS St. Louis','USS Cleveland','USS Denver','USS Columbia','USS Montpelier'],
+    E: ['IJN Jintsū','IJN Sendai','IJN Naka','IJN Yūbari','IJN Nagara','IJN Tenryū','IJN Agano','IJN Abukuma','IJN Yahagi','IJN Ōyodo'],
+  },
+});
+
+export const TB = registerShipClass({
+  type: 'TB', key: 'tb', name: 'Torpedo boat', role: 'escort',
+  radius: 12, hp: 60, armor: 0.03,
+  maxSpeed: 130 * SHIP_SPEED_SCALE, accel: 90 * SHIP_ACCEL_SCALE, turnRate: 1.8,
+  missileReload: 10.0 * RELOAD_SCALE, missileAmmoMax: 4, torpedoSpread: 2, torpedoFan: 0.12,
+  aa: 1, aaRange: 160,
+  concealment: 170, draft: 2,
+  commandRank: 4, rightOfWay: 1,
+  draw: { icon: '🛥️', scale: 0.7 },
+  names: {
+    P: ['PT-109','PT-41','PT-59','PT-103','PT-105','PT-314'],
+    E: ['Kaibōkan','Torpedo Boat','Patrol Boat'],
+  },
+});
+
+export const CV = registerShipClass({
+  type: 'CV', key: 'cv', name: 'Aircraft carrier', role: 'capital',
+  radius: 26, hp: 360, armor: 0.12, belt: 127, deck: 76,
+  maxSpeed: 58 * SHIP_SPEED_SCALE, accel: 28 * SHIP_ACCEL_SCALE, turnRate: 0.6,
+  airWing: true, airCooldown: 9.0 * RELOAD_SCALE,
+  concealment: 320, radar: 300, draft: 9,
+  aa: 4, aaRange: 280,
+  commandRank: 2, rightOfWay: 5, formationRing: 'center',
+  draw: { icon: '🛳️', scale: 2.0, showTag: true, radarP: 'rgba(180,220,255,0.95)' },
+  names: {
+    P: ['USS Enterprise','USS Yorktown','USS Hornet','USS Lexington','USS Saratoga'],
+    E: ['IJN Akagi','IJN Kaga','IJN Sōryū','IJN Hiryū','IJN Shōkaku','IJN Zuikaku'],
+  },
+});
+
+export const SS = registerShipClass({
+  type: 'SS', key: 'ss', name: 'Submarine', role: 'escort',
+  radius: 12, hp: 90, armor: 0.02,
+  maxSpeed: 80 * SHIP_SPEED_SCALE, accel: 40 * SHIP_ACCEL_SCALE, turnRate: 1.2,
+  missileReload: 16.0 * RELOAD_SCALE, missileAmmoMax: 4, torpedoRange: [0.25, 0.75],
+  torpedoSpread: 2, torpedoFan: 0.10, torpedoHoming: true,
+  aa: 1, aaRange: 140,
+  dive: true, concealment: 140, draft: 5,
+  commandRank: 5, rightOfWay: 0,
+  draw: { hull: 'sub', scale: 0.8 },
+  names: {
+    P: ['USS Gato','USS Tang','USS Wahoo','USS Archerfish','USS Barb','USS Harder'],
+    E: ['I-19','I-26','I-58','I-168','I-176','RO-41'],
+  },
+});
+
+export const AK = registerShipClass({
+  type: 'AK', key: 'ak', name: 'Merchant', role: 'merchant', playable: false,
+  radius: 16, hp: 150, armor: 0.02, drag: DRAG_BB,
+  maxSpeed: 46 * SHIP_SPEED_SCALE, accel: 20 * SHIP_ACCEL_SCALE, turnRate: 0.6,
+  aa: 1, aaRange: 140,
+  concealment: 300, draft: 8,
+  rightOfWay: 1,
+  draw: { icon: '🚢', scale: 1.3, showTag: true, radarP: 'rgba(200,230,200,0.85)', radarE: 'rgba(240,200,170,0.85)' },
+  names: {
+    P: ['SS Ohioan','SS Meredith Victory','SS Paul Hamilton','SS Jeremiah O\'Brien','SS Carolyn','SS Stephen Hopkins','SS Henry Bacon','SS Alcoa Puritan'],
+    E: ['Kinugasa Maru','Sado Maru','Azumasan Maru','Kyushu Maru','Sasago Maru','Nagara Maru','Arizona Maru','Hirokawa Maru'],
+  },
+});
+
+export const AP = registerShipClass({
+  type: 'AP', key: 'ap', name: 'Transport', role: 'merchant', playable: false,
+  radius: 17, hp: 190, armor: 0.04, drag: DRAG_BB,
+  maxSpeed: 52 * SHIP_SPEED_SCALE, accel: 22 * SHIP_ACCEL_SCALE, turnRate: 0.65,
+  gunRange: 420, shellSpeed: 240 * SHELL_SPEED_SCALE, gunReload: 3.0 * RELOAD_SCALE, shellDmg: 10, salvo: 1,
+  caliber: 76, penetration: 60, dispersion: [28, 64],
+  mounts: [{ at: -0.7, facing: 180, arc: 140 }], turretRate: 1.0,
+  aa: 2, aaRange: 180,
+  concealment: 310, bloom: 380, draft: 8,
+  rightOfWay: 1,
+  draw: { icon: '🚢', scale: 1.4, showTag: true, radarP: 'rgba(200,230,200,0.85)', radarE: 'rgba(240,200,170,0.85)' },
+  names: {
+    P: ['USS President Jackson','USS President Adams','USS McCawley','USS Barnett','USS Fuller','USS George F. Elliott'],
+    E: ['Yamaura Maru','Kyokusei Maru','Brisbane Maru','Canberra Maru','Nako Maru','Shinanogawa Maru'],
+  },
+});
@@ -0,0 +1,60 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SIGHT MODULE - Line of sight over the map's islands
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { mapById } from './config.js';
+import { dist2 } from './utils.js';
+import { inShape, islandTop, segmentExit } from './terrain.js';
+
+// Whether land hides a ship at (bx, by) from an eye `eye` px above (ax, ay). The
+// sight line drops from the eye to the waterline, so an island blocks it when its
+// top is higher than the line where the line leaves it. Islands either end stands
+// on (a battery's own) don't count.
+export function sightBlocked(ax, ay, bx, by, eye, state) {
+  for (const c of mapById(state.mapId).land) {
+    if (inShape(c, ax, ay) || inShape(c, bx, by)) continue;
+    const exit = segmentExit(c, ax, ay, bx, by);
+    if (exit >= 0 && islandTop(c) > eye * (1 - exit)) return true;
+  }
+  return false;
+}
+
+// Areas out to `reach` that the islands hide from an eye at sea level at (x, y): a
+// quad from each round island's tangent points straight away from the eye, and one
+// behind every edge of a polygon island
+export function shadowsFrom(x, y, reach, state) {
+  const out = [];
+  for (const c of mapById(state.mapId).land) {
+    const d = Math.sqrt(dist2(x, y, c.x, c.y));
+    if (d - c.r > reach || inShape(c, x, y)) continue;
+    if (c.poly) {
+      const away = ([px, py]) => {
+        const k = 1 + 3 * reach / (Math.hypot(px - x, py - y) || 1);
+        return { x: x + (px - x) * k, y: y + (py - y) * k };
+      };
+      // Edges are split so no piece spans more than 45 degrees from the eye;
+      // a wider quad's far side would pass closer than `reach`
+      c.poly.forEach((p, i) => {
+        const q = c.poly[(i + 1) % c.poly.length];
+        const ux = p[0] - x, uy = p[1] - y, vx = q[0] - x, vy = q[1] - y;
+        const span = Math.abs(Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy));
+        const n = Math.max(1, Math.ceil(span / (Math.PI / 4)));
+        for (let k = 0; k < n; k++) {
+          const a = [p[0] + (q[0] - p[0]) * k / n, p[1] + (q[1] - p[1]) * k / n];
+          const b = [p[0] + (q[0] - p[0]) * (k + 1) / n, p[1] + (q[1] - p[1]) * (k + 1) / n];
+          out.push([{ x: a[0], y: a[1] }, away(a), away(b), { x: b[0], y: b[1] }]);
+        }
+      });
+      continue;
+    }
+    const a = Math.atan2(c.y - y, c.x - x), half = Math.asin(c.r / d);
+    const t = Math.sqrt(d * d - c.r * c.r), far = reach / Math.cos(half) + c.r;
+    out.push([
+      { x: x + Math.cos(a - half) * t, y: y + Math.sin(a - half) * t },
+      { x: x + Math.cos(a - half) * far, y: y + Math.sin(a - half) * far },
+      { x: x + Math.cos(a + half) * far, y: y + Math.sin(a + half) * far },
+      { x: x + Math.cos(a + half) * t, y: y + Math.sin(a + half) * t },
+    ]);
+  }
+  return out;
+}
@@ -0,0 +1,553 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SIMULATION MODULE - Headless battle state and fixed step (no DOM / canvas)
+// ═══════════════════════════════════════════════════════════════════════════
+
+import * as Config from './config.js';
+import { clamp, dist2, rand, createRng } from './utils.js';
+import { 
+  mkShip, mkBattery, setFormation, pickCapitalLeader, formationPoint,
+  assignEscortPositions, joinFormation 
+} from './entities.js';
+import { 
+  trySmoke, tryMissile, tryExtinguish, tryFireAtPoint, updateDetections,
+  statusStep, shellsStep, missilesStep, smokesStep, fxStep, turretStep,
+  canSee, shotSpotting, gunLead, tryLock, fireLocked, fireControlStep 
+} from './combat.js';
+import { 
+  inLand, steerToPoint, aiStep, capitalAutoPilot, separationTeam,
+  checkShipCollisions, aliveShips, updateAIThrottle, calculateAITargetThrottle,
+  aiStepPlayer
+} from './ai.js';
+import { 
+  tryLaunchReconSortie, tryLaunchFighterSortie, tryRecon, reconStep, airStep,
+  bulletsStep, autoSupportLaunch, tryLaunchStrike, strikeTargetNear, flakStep 
+} from './air.js';
+import { 
+  tryDepthChange, tryDepthCharge, submarineStep, depthChargesStep, depthSpeedMult 
+} from './submarine.js';
+import { componentStep, damageControlStep, tryPumps, tryRepair } from './damage.js';
+import { mkWeather, weatherStep, tryStarShell, toggleSearchlight } from './weather.js';
+import { playerControl } from './input.js';
+import { coastPoint, landNormal, pushOut } from './terrain.js';
+import { installScenario, layoutConvoy, layoutShips } from './scenario.js';
+import { initObjectives, objectivesStep, objectiveWinner, shipsDue, teamScore } from './objectives.js';
+import { convoyStep, initConvoy, scatterConvoy } from './convoy.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SIMULATION STATE
+// ═══════════════════════════════════════════════════════════════════════════
+const MAX_MESSAGES = 32;
+
+export function createState(overrides = {}) {
+  const state = {
+    seed: 1, rng: null, tick: 0, time: 0, messages: [],
+    diffKey: 'med', mapId: 0, playerClass: 'dd', level: 1, selected: 0,
+    player: [], enemy: [], shells: [], missiles: [], smokes: [], fx: [],
+    dolphins: [], aircraft: [], bullets: [], batteries: [],
+    recons: [], depthCharges: [], flares: [], ended: false, winner: null,
+    weather: null, weatherKey: null, night: null, // Battle weather; keys left null use the battle's own
+    ribbons: {}, // Hit ribbons of the selected ship's shells, { pen: { n, at }, ... }
+    renderAlpha: 1, // Fraction of a step between the last two simulated states (drawing only)
+    WORLD_W: Config.WORLD.w, WORLD_H: Config.WORLD.h,
+    spectatorMode: false, // All player ships driven by the AI
+    scenario: null, // Custom battle from a scenario file, played on the CUSTOM_MAP slot
+    reinforced: { P: 0, E: 0 }, // Reinforcement waves each side has received
+    objectives: [], // Progress of the battle's objectives (see objectives.js)
+    convoys: { P: null, E: null }, // Each side's convoy guide (see convoy.js)
+  };
+  Object.assign(state, overrides);
+  state.rng = createRng(state.seed);
+  return state;
+}
+
+function withinWorld(obj, radius) {
+  obj.x = clamp(obj.x, radius, Config.WORLD.w - radius);
+  obj.y = clamp(obj.y, radius, Config.WORLD.h - radius);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATTERIES
+// ═══════════════════════════════════════════════════════════════════════════
+function batteriesStep(dt, state) {
+  for (const b of state.batteries) {
+    if (!b.alive) continue;
+    b.gunCd = Math.max(0, b.gunCd - dt);
+    const targets = (b.team === 'P') ? state.enemy : state.player;
+    let tgt = null, bestD2 = Infinity;
+    for (const s of targets) {
+      if (!s.alive) continue;
+      if (!canSee(b.team, s)) continue;
+      const d2 = dist2(b.x, b.y, s.x, s.y);
+      if (d2 <= b.kind.gunRange*b.kind.gunRange && d2 < bestD2) { bestD2 = d2; tgt = s; }
+    }
+    if (tgt) {
+      const aim = gunLead(b, tgt);
+      const desired = Math.atan2(aim.y - b.y, aim.x - b.x);
+      turretStep(b, dt, desired);
+      if (b.gunCd <= 0) {
+        b.gunCd = b.kind.gunReload;
+        const spread = 0.08;
+        const salvo = b.kind.salvo || 1;
+        for (let i = 0; i < salvo; i++) {
+          tryFireAtPoint(b, aim.x, aim.y, spread, state, null, (s, x, y) => shotSpotting(s, x, y, state));
+        }
+      }
+    }
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PHYSICS & WORLD
+// ═══════════════════════════════════════════════════════════════════════════
+function resolveShipLand(ship, dt, state, showMsg) {
+  const hit = inLand(ship.x, ship.y, ship.kind.radius, state, ship.kind.draft);
+  if (!hit) { ship.grounded = false; return; }
+  const { x: nx, y: ny } = landNormal(hit, ship.x, ship.y);
+  ({ x: ship.x, y: ship.y } = pushOut(hit, ship.x, ship.y, ship.kind.radius + 0.5));
+  const vn = ship.vx * nx + ship.vy * ny;
+  if (vn < 0) {
+    ship.vx -= vn * nx * 1.8;
+    ship.vy -= vn * ny * 1.8;
+    ship.vx *= 0.35;
+    ship.vy *= 0.35;
+  }
+  ship.grounded = true;
+  
+  // Grounded ships take flooding damage (sinking effect)
+  if (!(ship.floodLevel > 0)) {
+    ship.floodLevel = 1;
+    if (ship.team === 'P') showMsg('Grounded! Ship taking on water!');
+  }
+  // Extra damage while grounded
+  ship.hp -= ship.kind.hp * 0.02 * (dt || 0.016);
+  
+  if (ship.team === 'P' && state.time > (ship.groundMsgUntil || 0)) {
+    ship.groundMsgUntil = state.time + 2.5;
+    showMsg('Ship grounded and sinking!');
+  }
+}
+
+function trailStep(ship, state) {
+  if (!ship.alive) return;
+  const last = ship.trail.length ? ship.trail[ship.trail.length - 1] : null;
+  const minD2 = 9;
+  if (!last || dist2(last.x, last.y, ship.x, ship.y) > minD2) {
+    ship.trail.push({ x: ship.x, y: ship.y, t: state.time });
+    if (ship.trail.length > 120) ship.trail.shift();
+  }
+  while (ship.trail.length && state.time - ship.trail[0].t > 5.2) ship.trail.shift();
+}
+
+function physicsStep(ship, dt, state, showMsg) {
+  const drag = ship.kind.drag;
+  if (!ship.alive) { ship.vx *= drag; ship.vy *= drag; return; }
+  
+  // Calculate target speed from throttle (with reverse limit)
+  const throttleAbs = Math.abs(ship.throttle || 0);
+  const isReverse = (ship.throttle || 0) < 0;
+  const topSpeed = ship.kind.maxSpeed * depthSpeedMult(ship);
+  const maxSpeed = topSpeed * (isReverse ? Config.REVERSE_SPEED_MULT : 1.0);
+  const targetSpeed = (throttleAbs / 100) * maxSpeed;
+  
+  // Current speed follows target with inertia
+  if (ship.currentSpeed === undefined) ship.currentSpeed = 0;
+  const speedInertia = Config.SPEED_INERTIA || 0.92;
+  ship.currentSpeed = ship.currentSpeed * speedInertia + targetSpeed * (1 - speedInertia);
+  
+  // Apply speed in heading direction
+  const currentSp = Math.hypot(ship.vx, ship.vy);
+  const direction = isReverse ? -1 : 1;
+  
+  // Smoothly adjust velocity toward target
+  const targetVx = Math.cos(ship.heading) * ship.currentSpeed * direction;
+  const targetVy = Math.sin(ship.heading) * ship.currentSpeed * direction;
+  
+  ship.vx = ship.vx * 0.9 + targetVx * 0.1;
+  ship.vy = ship.vy * 0.9 + targetVy * 0.1;
+  
+  // Apply drag
+  ship.vx *= Math.pow(drag, dt * 60);
+  ship.vy *= Math.pow(drag, dt * 60);
+  
+  // Limit max speed
+  const sp = Math.hypot(ship.vx, ship.vy);
+  if (sp > topSpeed) {
+    const k = topSpeed / sp;
+    ship.vx *= k; ship.vy *= k;
+  }
+  
+  ship.x += ship.vx * dt;
+  ship.y += ship.vy * dt;
+  resolveShipLand(ship, dt, state, showMsg);
+  withinWorld(ship, ship.kind.radius);
+  ship.gunCd = Math.max(0, ship.gunCd - dt);
+  ship.smokeCd = Math.max(0, ship.smokeCd - dt);
+  ship.extCd = Math.max(0, ship.extCd - dt);
+  ship.airCd = Math.max(0, ship.airCd - dt);
+  if (ship.missileAmmo >= ship.missileAmmoMax) {
+    ship.missileCd = 0;
+  } else {
+    ship.missileCd = Math.max(0, ship.missileCd - dt);
+    if (ship.missileCd <= 0) {
+      ship.missileAmmo = Math.min(ship.missileAmmoMax, ship.missileAmmo + 1);
+      ship.missileCd = (ship.missileAmmo < ship.missileAmmoMax) ? ship.kind.missileReload : 0;
+    }
+  }
+  trailStep(ship, state);
+}
+
+function spawnCoastalBatteries(m, state) {
+  state.batteries = [];
+  // Maps that place their batteries by hand
+  if (m.batteries) {
+    for (const b of m.batteries) state.batteries.push(mkBattery(b.team, b.x, b.y, b.a, state.rng));
+    return;
+  }
+  const maxPerTeam = 7;
+  const spawns = (m.pSpawn || []).concat(m.eSpawn || []).map(a => ({ x: a[0], y: a[1] }));
+  const tooCloseToSpawn = (x, y) => {
+    for (const s of spawns) { if (dist2(x, y, s.x, s.y) < 520*520) return true; }
+    return false;
+  };
+  const tryPlace = (team, c, u) => {
+    const { x, y, a } = coastPoint(c, u, 10);
+    if (!inLand(x, y, 1, state)) return false;
+    if (tooCloseToSpawn(x, y)) return false;
+    for (const b of state.batteries) { if (dist2(x, y, b.x, b.y) < 120*120) return false; }
+    state.batteries.push(mkBattery(team, x, y, a, state.rng));
+    return true;
+  };
+  // Each side fortifies the islands the map gives it, biggest first
+  const placeTeam = (team) => {
+    const land = m.land.filter(c => c.side === team).sort((a,b) => b.r - a.r);
+    let placed = 0;
+    for (const c of land) {
+      if (placed >= maxPerTeam) break;
+      const attempts = (c.r > 180) ? 4 : 2;
+      for (let k = 0; k < attempts && placed < maxPerTeam; k++) {
+        if (tryPlace(team, c, rand(state.rng, 0, 1))) placed++;
+      }
+    }
+  };
+  placeTeam('P');
+  placeTeam('E');
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORLD RESET
+// ═══════════════════════════════════════════════════════════════════════════
+export function resetWorld(state, level) {
+  state.level = level;
+  state.tick = 0;
+  state.winner = null;
+  state.messages = [];
+  state.rng = createRng(state.seed);
+  state.ended = false;
+  state.time = 0;
+  state.shells.length = 0;
+  state.missiles.length = 0;
+  state.smokes.length = 0;
+  state.fx.length = 0;
+  state.aircraft.length = 0;
+  state.bullets.length = 0;
+  state.batteries.length = 0;
+  state.recons.length = 0;
+  state.depthCharges.length = 0;
+  state.flares.length = 0;
+  state.ribbons = {};
+  state.selected = 0;
+
+  if (state.scenario) state.mapId = installScenario(state.scenario);
+  const m = Config.mapById(state.mapId);
+  const b = Config.battleByMap(state.mapId);
+
+  const pLayout = layoutShips(b.sides.P.ships, m.pSpawn[0], b.pForm, state);
+  state.player = mkShips('P', pLayout, 0, state);
+  state.enemy = mkShips('E', layoutShips(b.sides.E.ships, m.eSpawn[0], b.eForm, state), 0, state);
+  state.reinforced = { P: 0, E: 0 };
+  addConvoy('P', state.player, state);
+  addConvoy('E', state.enemy, state);
+
+  // The player starts in the ship picked in the menu
+  const choice = pLayout.findIndex(sp => sp.spec.playerChoice);
+  const own = state.player.findIndex(s => s.kind.key === state.playerClass);
+  state.selected = Math.max(0, choice >= 0 ? choice : own);
+
+  setFormation(state.player, b.pForm);
+  setFormation(state.enemy, b.eForm);
+  
+  // Assign escort positions based on proximity to capitals
+  assignEscortPositions(state.player);
+  assignEscortPositions(state.enemy);
+  initObjectives(state);
+  
+  spawnCoastalBatteries(m, state);
+  state.weather = mkWeather(state, b);
+}
+
+// Ships from a layoutShips() list; `first` is how many the side already has, for the
+// names of ships the scenario leaves unnamed
+function mkShips(team, layout, first, state) {
+  return layout.map((sp, i) => {
+    const names = sp.kind.names[team] || ['Ship'];
+    const ship = mkShip(team, sp.kind, sp.x, sp.y, sp.a, sp.spec.name || names[(first + i) % names.length], state.rng);
+    ship.role = sp.spec.role || null;
+    return ship;
+  });
+}
+
+// A side's convoy sails with its fleet, listed after the warships
+function addConvoy(team, list, state) {
+  const convoy = Config.battleByMap(state.mapId).sides[team].convoy;
+  state.convoys[team] = null;
+  if (!convoy) return;
+  const layout = layoutConvoy(convoy, state);
+  const ships = mkShips(team, layout, 0, state);
+  list.push(...ships);
+  initConvoy(team, ships, layout, state);
+}
+
+// Reinforcement waves join their side once the battle clock reaches them
+function reinforcementStep(state, showMsg) {
+  const b = Config.battleByMap(state.mapId);
+  for (const [team, list, form] of [['P', state.player, b.pForm], ['E', state.enemy, b.eForm]]) {
+    const side = b.sides[team], waves = side.reinforcements || [];
+    while (state.reinforced[team] < waves.length && state.time >= waves[state.reinforced[team]].at) {
+      const w = waves[state.reinforced[team]++];
+      const ships = mkShips(team, layoutShips(w.ships, w.spawn || side.spawn, form, state), list.length, state);
+      list.push(...ships);
+      joinFormation(list, form);
+      if (team === 'P') showMsg(`Reinforcements: ${ships.map(s => s.tag).join(', ')}`, 2400);
+    }
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STEP
+// ═══════════════════════════════════════════════════════════════════════════
+// Objectives settle the battle first (a side whose last ship leaves through an exit
+// hasn't lost), then a side with nothing left afloat or to come loses; when time runs
+// out with neither, points decide
+function endCheck(state, showMsg) {
+  if (state.ended) return;
+  const b = Config.battleByMap(state.mapId);
+  const timeUp = b.timeLimit > 0 && state.time >= b.timeLimit;
+  const end = (winner, msg) => { state.ended = true; state.winner = winner; showMsg(msg, 2200); };
+  const goals = objectiveWinner(state, timeUp);
+  if (goals === 'P') return end('P', 'Objectives achieved — Victory — click Next Level');
+  if (goals === 'E') return end('E', 'The enemy achieved its objectives — Defeat — press R to retry');
+  if (aliveShips(state.player).length === 0 && !shipsDue('P', state)) return end('E', 'Defeat — press R to retry');
+  if (aliveShips(state.enemy).length === 0 && !shipsDue('E', state)) return end('P', 'Victory — click Next Level');
+  if (!timeUp) return;
+  const pts = teamScore('P', state), ePts = teamScore('E', state);
+  if (pts > ePts) end('P', `Time up — ${pts} to ${ePts} on points. Victory`);
+  else if (ePts > pts) end('E', `Time up — ${pts} to ${ePts} on points. Defeat`);
+  else end('draw', `Time up — ${pts} points each, the battle is a draw`);
+}
+
+// Remember where everything was before this step so drawing can interpolate
+function snapshotPositions(state) {
+  for (const list of [state.player, state.enemy]) {
+    for (const s of list) { s.px = s.x; s.py = s.y; s.ph = s.heading; }
+  }
+  for (const list of [state.shells, state.missiles, state.aircraft, state.recons, state.bullets]) {
+    for (const o of list) { o.px = o.x; o.py = o.y; }
+  }
+}
+
+// One-shot commands for the selected ship (queued by the browser shell or a script).
+// Strikes go for the spotted enemy closest to the aim point.
+function applyAction(ship, action, state, showMsg, inputs) {
+  if (action === 'smoke') trySmoke(ship, state, showMsg);
+  else if (action === 'torpedo') tryMissile(ship, state, showMsg);
+  else if (action === 'extinguish') tryExtinguish(ship, false, showMsg);
+  else if (action === 'pumps') tryPumps(ship, state, showMsg);
+  else if (action === 'repair') tryRepair(ship, state, showMsg);
+  else if (action === 'scatter') scatterConvoy(ship.team, state, showMsg);
+  else if (action === 'starShell') {
+    tryStarShell(ship, inputs.aimX != null ? inputs.aimX : ship.x, inputs.aimY != null ? inputs.aimY : ship.y, state, showMsg);
+  } else if (action === 'searchlight') toggleSearchlight(ship, state, showMsg);
+  else if (action === 'lock') {
+    tryLock(ship, inputs.aimX != null ? inputs.aimX : ship.x, inputs.aimY != null ? inputs.aimY : ship.y, state, showMsg);
+  }
+  else if (action === 'launch') {
+    if (ship.kind.airWing) tryLaunchFighterSortie(ship, state, showMsg);
+    else if (ship.kind.recon) tryRecon(ship, state, showMsg);
+  } else if (action === 'launchRecon') {
+    if (ship.kind.airWing) tryLaunchReconSortie(ship, state, showMsg);
+    else if (ship.kind.recon) tryRecon(ship, state, showMsg);
+  } else if (action === 'dive') tryDepthChange(ship, 1, state, showMsg);
+  else if (action === 'surface') tryDepthChange(ship, -1, state, showMsg);
+  else if (action === 'depthCharge') tryDepthCharge(ship, state, showMsg);
+  else if (action === 'torpedoStrike' || action === 'diveStrike') {
+    const ax = (inputs.aimX != null) ? inputs.aimX : ship.x;
+    const ay = (inputs.aimY != null) ? inputs.aimY : ship.y;
+    const role = (action === 'torpedoStrike') ? 'torpedo' : 'dive';
+    tryLaunchStrike(ship, role, strikeTargetNear(ship.team, ax, ay, state), state, showMsg);
+  }
+}
+
+// Advance the battle by dt seconds. inputs drives the selected player ship:
+// { throttle, steer, aimX, aimY, fireAt: {x, y}, actions: [...], select }
+// Messages are appended to state.messages instead of touching the DOM.
+export function stepSimulation(state, dt, inputs = {}) {
+  const showMsg = (text, ms = 1600) => {
+    state.messages.push({ text, ms });
+    if (state.messages.length > MAX_MESSAGES) state.messages.shift();
+  };
+  const diff = () => Config.DIFFS[state.diffKey] || Config.DIFFS.med;
+
+  snapshotPositions(state);
+  state.time += dt;
+  state.tick++;
+
+  if (!state.ended) {
+    // Convoy ships sail on their own
+    const pick = inputs.select != null ? state.player[inputs.select] : null;
+    if (pick && !pick.convoy) state.selected = inputs.select;
+    const sel = state.player[state.selected];
+    if (sel && sel.alive && !state.spectatorMode) {
+      // With a target locked, any click fires on the fire-control solution
+      if (inputs.fireAt && sel.fcTarget) {
+        fireLocked(sel, state, showMsg, (s, x, y) => shotSpotting(s, x, y, state));
+      } else if (inputs.fireAt) {
+        tryFireAtPoint(sel, inputs.fireAt.x, inputs.fireAt.y, 0.85, state, showMsg, (s, x, y) => shotSpotting(s, x, y, state));
+      }
+      for (const a of (inputs.actions || [])) applyAction(sel, a, state, showMsg, inputs);
+    }
+
+    reinforcementStep(state, showMsg);
+    reconStep(dt, state, showMsg);
+    airStep(dt, state, showMsg);
+    updateDetections(state);
+    fireControlStep(dt, state, showMsg);
+    batteriesStep(dt, state);
+    const ctrl = state.player[state.selected];
+    const capital = pickCapitalLeader(state.player);
+    
+    // In spectator mode, all player ships are AI controlled (same as enemy AI)
+    if (state.spectatorMode) {
+      for (let i = 0; i < state.player.length; i++) {
+        const s = state.player[i];
+        if (!s.alive || s.convoy) continue;
+        // Use full AI step for player ships in spectator mode (they fight like enemies)
+        aiStepPlayer(s, dt, state, diff, showMsg, autoSupportLaunch);
+      }
+    } else {
+      // Normal mode: player controls selected ship
+      for (let i = 0; i < state.player.length; i++) {
+        const s = state.player[i];
+        if (!s.alive || s.convoy) continue;
+        if (i === state.selected) {
+          playerControl(s, dt, state, inputs);
+        } else {
+          autoSupportLaunch(s, dt, state, showMsg);
+          const lead = (capital && capital.alive) ? capital : (ctrl && ctrl.alive ? ctrl : state.player[0]);
+          if (!lead || !lead.alive) continue;
+          if (s === lead) {
+            capitalAutoPilot(s, dt, state, showMsg);
+          } else {
+            const fp = formationPoint(lead, s, (x, y, pad) => inLand(x, y, pad, state));
+            const fpX = clamp(fp.x, 0, Config.WORLD.w);
+            const fpY = clamp(fp.y, 0, Config.WORLD.h);
+            const distToFormation = Math.sqrt(dist2(s.x, s.y, fpX, fpY));
+            
+            // Match leader's throttle when close to formation position
+            if (distToFormation < 150) {
+              updateAIThrottle(s, fp.throttle || lead.throttle || 50, dt);
+            } else {
+              const targetThrottle = calculateAITargetThrottle(s, distToFormation, true, false);
+              updateAIThrottle(s, targetThrottle, dt);
+            }
+            
+            steerToPoint(s, fpX, fpY, dt, s.kind.maxSpeed * (s.throttle / 100), state);
+            turretStep(s, dt, s.heading);
+          }
+        }
+      }
+    }
+    for (const e of state.enemy) { if (!e.convoy) aiStep(e, dt, state, diff, showMsg, autoSupportLaunch); }
+    convoyStep(dt, state, diff, showMsg);
+    separationTeam(state.player, dt, state);
+    separationTeam(state.enemy, dt, state);
+    checkShipCollisions(dt, state, showMsg);
+    componentStep(dt, state, showMsg);
+    for (const s of state.player) physicsStep(s, dt, state, showMsg);
+    for (const e of state.enemy) physicsStep(e, dt, state, showMsg);
+    shellsStep(dt, state, (x, y, pad) => inLand(x, y, pad, state), showMsg);
+    missilesStep(dt, state, (x, y, pad) => inLand(x, y, pad, state));
+    depthChargesStep(dt, state);
+    bulletsStep(dt, state);
+    flakStep(dt, state);
+    submarineStep(dt, state, showMsg);
+    weatherStep(dt, state);
+    damageControlStep(dt, state, showMsg);
+    statusStep(dt, state, showMsg);
+    smokesStep(state);
+    fxStep(state);
+    objectivesStep(dt, state, showMsg);
+    endCheck(state, showMsg);
+  } else {
+    // Battle over: let shells, planes and effects finish
+    reconStep(dt, state, showMsg);
+    airStep(dt, state, showMsg);
+    shellsStep(dt, state, (x, y, pad) => inLand(x, y, pad, state), showMsg);
+    missilesStep(dt, state, (x, y, pad) => inLand(x, y, pad, state));
+    depthChargesStep(dt, state);
+    bulletsStep(dt, state);
+    weatherStep(dt, state);
+    damageControlStep(dt, state, showMsg);
+    statusStep(dt, state, showMsg);
+    smokesStep(state);
+    fxStep(state);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HEADLESS RUNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// FNV-1a over the ship/battery state - equal digests mean identical battles
+export function stateDigest(state) {
+  let h = 0x811c9dc5;
+  const mix = (v) => {
+    const s = (typeof v === 'number') ? v.toFixed(4) : String(v);
+    for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  };
+  mix(state.tick); mix(state.winner);
+  for (const s of state.player.concat(state.enemy)) { mix(s.x); mix(s.y); mix(s.heading); mix(s.hp); mix(s.alive); }
+  for (const b of state.batteries) { mix(b.hp); mix(b.alive); }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// Play a whole battle with both fleets on AI and return a summary.
+// Same options (seed included) always give the same result.
+export function runBattle(opts = {}) {
+  const dt = opts.dt || Config.SIM_DT;
+  const maxTime = opts.maxTime || 600;
+  const state = createState({
+    seed: opts.seed ?? 1,
+    mapId: opts.mapId ?? 0,
+    diffKey: opts.diffKey || 'med',
+    playerClass: opts.playerClass || 'dd',
+    weatherKey: opts.weather || null,
+    night: opts.night ?? null,
+    spectatorMode: true,
+    scenario: opts.scenario || null,
+  });
+  resetWorld(state, opts.level || 1);
+  while (!state.ended && state.time < maxTime) stepSimulation(state, dt);
+  const hpLeft = (ships) => Math.round(ships.reduce((a, s) => a + (s.alive ? Math.max(0, s.hp) : 0), 0));
+  return {
+    seed: state.seed, mapId: state.mapId, level: state.level,
+    winner: state.winner || 'draw', time: +state.time.toFixed(3), ticks: state.tick,
+    pAlive: aliveShips(state.player).length, eAlive: aliveShips(state.enemy).length,
+    pHp: hpLeft(state.player), eHp: hpLeft(state.enemy),
+    pScore: teamScore('P', state), eScore: teamScore('E', state),
+    digest: stateDigest(state),
+  };
+}
@@ -0,0 +1,126 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SUBMARINE MODULE - Diving, depth charges and anti-submarine damage
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DEPTHS, SUB, DEPTH_CHARGE, FX } from './config.js';
+import { dist2 } from './utils.js';
+import { damageShip } from './combat.js';
+import { addFlooding } from './damage.js';
+import { depthAt } from './terrain.js';
+
+const DEPTH_LABEL = { surfaced: 'the surface', periscope: 'periscope depth', submerged: 'full depth' };
+
+// Fraction of top speed available at the current depth
+export function depthSpeedMult(ship) {
+  return SUB.speedMult[ship.depth] || 1.0;
+}
+
+// Enough water under the boat to go down to `depth`
+const roomToDive = (ship, depth, state) => depthAt(ship.x, ship.y, state) >= (SUB.keel[depth] || 0);
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEPTH CONTROL
+// ═══════════════════════════════════════════════════════════════════════════
+
+// dir +1 dives one level, -1 comes up one level. The boat stays at its old depth
+// until the change settles SUB.diveTime later.
+export function tryDepthChange(ship, dir, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (!ship.kind.dive) {
+    if (ship.team === 'P' && showMsg) showMsg('Cannot dive');
+    return;
+  }
+  if (ship.diveT > 0) {
+    if (showMsg) showMsg(`Changing depth ${ship.diveT.toFixed(1)}s`);
+    return;
+  }
+  const i = DEPTHS.indexOf(ship.depth) + dir;
+  if (i < 0 || i >= DEPTHS.length) {
+    if (showMsg) showMsg(dir > 0 ? 'Already at full depth' : 'Already surfaced');
+    return;
+  }
+  if (dir > 0 && !roomToDive(ship, DEPTHS[i], state)) {
+    if (showMsg) showMsg('Too shallow to dive');
+    return;
+  }
+  ship.depthTarget = DEPTHS[i];
+  ship.diveT = SUB.diveTime;
+  if (showMsg) showMsg(`${dir > 0 ? 'Diving' : 'Coming up'} to ${DEPTH_LABEL[ship.depthTarget]}`);
+}
+
+export function submarineStep(dt, state, showMsg) {
+  const sel = state.spectatorMode ? null : state.player[state.selected];
+  for (const s of state.player.concat(state.enemy)) {
+    if (!s.alive) continue;
+    if (s.dcCd > 0) s.dcCd = Math.max(0, s.dcCd - dt);
+    // Shoaling water forces a dived boat up a level
+    if (!(s.diveT > 0) && s.depth !== 'surfaced' && !roomToDive(s, s.depth, state)) {
+      s.depthTarget = DEPTHS[DEPTHS.indexOf(s.depth) - 1];
+      s.diveT = SUB.diveTime;
+      if (s === sel && showMsg) showMsg('Shoal water - coming up');
+    }
+    if (!(s.diveT > 0)) continue;
+    s.diveT -= dt;
+    if (s.diveT > 0) continue;
+    s.diveT = 0;
+    s.depth = s.depthTarget;
+    if (s.depth !== 'surfaced') s.fireLevel = 0; // The sea puts out any fire
+    if (s === sel && showMsg) showMsg(`At ${DEPTH_LABEL[s.depth]}`);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEPTH CHARGES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Rolls one pattern off the stern in a line across the wake
+export function tryDepthCharge(ship, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (!ship.kind.depthCharges) {
+    if (ship.team === 'P' && showMsg) showMsg('No depth charges');
+    return;
+  }
+  if (!(ship.dcAmmo > 0)) {
+    if (showMsg) showMsg('Out of depth charges');
+    return;
+  }
+  if (ship.dcCd > 0) {
+    if (showMsg) showMsg(`Depth charges reloading ${ship.dcCd.toFixed(1)}s`);
+    return;
+  }
+  ship.dcAmmo -= 1;
+  ship.dcCd = DEPTH_CHARGE.reload;
+  const ca = Math.cos(ship.heading), sa = Math.sin(ship.heading);
+  const back = ship.kind.radius + 10;
+  const n = DEPTH_CHARGE.pattern;
+  for (let i = 0; i < n; i++) {
+    const off = (i - (n - 1) / 2) * DEPTH_CHARGE.spacing;
+    state.depthCharges.push({
+      team: ship.team,
+      x: ship.x - ca * back - sa * off,
+      y: ship.y - sa * back + ca * off,
+      fuse: DEPTH_CHARGE.fuse,
+    });
+  }
+  if (showMsg) showMsg(`Depth charges away (${ship.dcAmmo} left)`);
+}
+
+// Charges only hurt submarines; the deeper the boat, the harder the hit
+export function depthChargesStep(dt, state) {
+  const r2 = DEPTH_CHARGE.radius * DEPTH_CHARGE.radius;
+  for (const c of state.depthCharges) {
+    c.fuse -= dt;
+    if (c.fuse > 0) continue;
+    state.fx.push({ type: 'splash', x: c.x, y: c.y, until: state.time + FX.splashTtl });
+    const targets = (c.team === 'P') ? state.enemy : state.player;
+    for (const t of targets) {
+      if (!t.alive || !t.kind.dive) continue;
+      if (dist2(c.x, c.y, t.x, t.y) > r2) continue;
+      damageShip(t, DEPTH_CHARGE.dmg * (DEPTH_CHARGE.depthMult[t.depth] || 1), 'depthCharge', state, c.x, c.y);
+      if (t.alive) addFlooding(t);
+    }
+  }
+  state.depthCharges = state.depthCharges.filter(c => c.fuse > 0);
+}
@@ -0,0 +1,195 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// TERRAIN MODULE - Island and shoal shapes: circles, polygons and the depth chart
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { BALLISTICS, TAU, WORLD, mapById } from './config.js';
+import { clamp, dist2 } from './utils.js';
+
+// A shape is a circle { x, y, r } or a polygon { poly: [[x, y], ...] }. Polygons get
+// a centre and bounding radius (x, y, r) too, so code that only needs a rough idea
+// of where an island is can treat every shape alike.
+export function prepareShape(c) {
+  if (!c.poly || c.r !== undefined) return c;
+  let sx = 0, sy = 0, area = 0;
+  for (const [px, py] of c.poly) { sx += px; sy += py; }
+  c.x = sx / c.poly.length;
+  c.y = sy / c.poly.length;
+  c.r = 0;
+  c.poly.forEach(([px, py], i) => {
+    const [qx, qy] = c.poly[(i + 1) % c.poly.length];
+    area += px * qy - qx * py;
+    c.r = Math.max(c.r, Math.sqrt(dist2(px, py, c.x, c.y)));
+  });
+  c.wind = Math.sign(area) || 1;  // +1 when the points run clockwise on screen
+  return c;
+}
+
+export function prepareMap(m) {
+  for (const c of m.land) prepareShape(c);
+  for (const s of (m.shoals || [])) prepareShape(s);
+  return m;
+}
+
+export const islandTop = (c) => c.h ?? BALLISTICS.islandHeight;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHAPE GEOMETRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+function insidePoly(poly, x, y) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [ax, ay] = poly[i], [bx, by] = poly[j];
+    if ((ay > y) !== (by > y) && x < (bx - ax) * (y - ay) / (by - ay) + ax) inside = !inside;
+  }
+  return inside;
+}
+
+// Nearest point of the polygon's coast to (x, y), and the edge it lies on
+function nearestCoast(poly, x, y) {
+  let best = null, bestD2 = Infinity;
+  poly.forEach(([ax, ay], i) => {
+    const [bx, by] = poly[(i + 1) % poly.length];
+    const ex = bx - ax, ey = by - ay;
+    const ee = ex * ex + ey * ey;
+    const u = ee > 0 ? clamp(((x - ax) * ex + (y - ay) * ey) / ee, 0, 1) : 0;
+    const qx = ax + ex * u, qy = ay + ey * u;
+    const d2 = dist2(x, y, qx, qy);
+    if (d2 < bestD2) { bestD2 = d2; best = { x: qx, y: qy, ex, ey, d: Math.sqrt(d2) }; }
+  });
+  return best;
+}
+
+export function inShape(c, x, y, pad = 0) {
+  if (!c.poly) {
+    const dx = x - c.x, dy = y - c.y, rr = c.r + pad;
+    return dx*dx + dy*dy <= rr*rr;
+  }
+  if (dist2(x, y, c.x, c.y) > (c.r + pad) * (c.r + pad)) return false;
+  return insidePoly(c.poly, x, y) || (pad > 0 && nearestCoast(c.poly, x, y).d <= pad);
+}
+
+// Distance from (x, y) to the coast, negative inside
+export function landDistance(c, x, y) {
+  if (!c.poly) return Math.hypot(x - c.x, y - c.y) - c.r;
+  const q = nearestCoast(c.poly, x, y);
+  return insidePoly(c.poly, x, y) ? -q.d : q.d;
+}
+
+// Unit vector pointing out to sea from the coast nearest (x, y), and that coast point
+function seaward(c, x, y) {
+  const q = nearestCoast(c.poly, x, y);
+  const inside = insidePoly(c.poly, x, y);
+  if (q.d > 1e-6) {
+    const s = inside ? -1 : 1;
+    return { q, nx: s * (x - q.x) / q.d, ny: s * (y - q.y) / q.d };
+  }
+  const el = Math.hypot(q.ex, q.ey) || 1;
+  return { q, nx: c.wind * q.ey / el, ny: -c.wind * q.ex / el };
+}
+
+export function landNormal(c, x, y) {
+  if (!c.poly) {
+    const dx = x - c.x, dy = y - c.y;
+    const d = Math.hypot(dx, dy) || 1;
+    return { x: dx / d, y: dy / d };
+  }
+  const s = seaward(c, x, y);
+  return { x: s.nx, y: s.ny };
+}
+
+// (x, y) moved straight out to `clear` px off the coast
+export function pushOut(c, x, y, clear) {
+  if (!c.poly) {
+    const dx = x - c.x, dy = y - c.y;
+    const d = Math.hypot(dx, dy) || 1;
+    return { x: c.x + (dx / d) * (c.r + clear), y: c.y + (dy / d) * (c.r + clear) };
+  }
+  const s = seaward(c, x, y);
+  return { x: s.q.x + s.nx * clear, y: s.q.y + s.ny * clear };
+}
+
+// Where along a -> b (0..1) the segment last leaves the shape, or -1 if it never
+// crosses it. Both ends are taken to be outside.
+export function segmentExit(c, ax, ay, bx, by) {
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  if (len2 < 1e-6) return -1;
+  if (!c.poly) {
+    const u = ((c.x - ax) * dx + (c.y - ay) * dy) / len2;
+    if (u <= 0 || u >= 1) return -1;
+    const off2 = dist2(ax + dx * u, ay + dy * u, c.x, c.y);
+    if (off2 > c.r * c.r) return -1;
+    return u + Math.sqrt((c.r * c.r - off2) / len2);
+  }
+  let exit = -1;
+  c.poly.forEach(([px, py], i) => {
+    const [qx, qy] = c.poly[(i + 1) % c.poly.length];
+    const ex = qx - px, ey = qy - py;
+    const den = dx * ey - dy * ex;
+    if (Math.abs(den) < 1e-9) return;
+    const u = ((px - ax) * ey - (py - ay) * ex) / den;
+    const v = ((px - ax) * dy - (py - ay) * dx) / den;
+    if (u >= 0 && u <= 1 && v >= 0 && v <= 1) exit = Math.max(exit, u);
+  });
+  return exit;
+}
+
+const offMap = ([x, y]) => x <= 0 || y <= 0 || x >= WORLD.w || y >= WORLD.h;
+
+// A spot `inset` px inside the coast, a share u (0..1) of the way round it, and the
+// bearing out to sea there. Polygon edges running along the map border aren't coast.
+export function coastPoint(c, u, inset) {
+  if (!c.poly) {
+    const a = u * TAU, r = Math.max(10, c.r - inset);
+    return { x: c.x + Math.cos(a) * r, y: c.y + Math.sin(a) * r, a };
+  }
+  const n = c.poly.length;
+  let total = 0;
+  const lens = c.poly.map(([px, py], i) => {
+    const [qx, qy] = c.poly[(i + 1) % n];
+    const l = (offMap(c.poly[i]) && offMap(c.poly[(i + 1) % n])) ? 0 : Math.hypot(qx - px, qy - py);
+    total += l;
+    return l;
+  });
+  let along = u * total, i = 0, last = 0;
+  for (let k = 0; k < n; k++) { if (lens[k] > 0) last = k; }
+  while (i < last && (along > lens[i] || lens[i] === 0)) along -= lens[i++];
+  const [px, py] = c.poly[i], [qx, qy] = c.poly[(i + 1) % n];
+  const el = Math.hypot(qx - px, qy - py) || 1;
+  const t = clamp(along / el, 0, 1);
+  const nx = c.wind * (qy - py) / el, ny = -c.wind * (qx - px) / el;
+  return { x: px + (qx - px) * t - nx * inset, y: py + (qy - py) * t - ny * inset, a: Math.atan2(ny, nx) };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEPTH CHART
+// ═══════════════════════════════════════════════════════════════════════════
+// Shoals are reefs and shallow banks, { ...shape, depth } in metres. Hulls drawing
+// more water than that run aground on them; shells and sight pass over.
+
+// Water depth at (x, y): the shallowest shoal there, Infinity in open sea
+export function depthAt(x, y, state) {
+  let d = Infinity;
+  for (const s of (mapById(state.mapId).shoals || [])) {
+    if (s.depth < d && inShape(s, x, y)) d = s.depth;
+  }
+  return d;
+}
+
+// Height of the ground at (x, y): island tops on land, minus the depth over shoals,
+// and -Infinity in open sea
+export function heightAt(x, y, state) {
+  for (const c of mapById(state.mapId).land) { if (inShape(c, x, y)) return islandTop(c); }
+  return -depthAt(x, y, state);
+}
+
+// Everything a hull drawing `draft` metres can't pass: the islands, and the shoals
+// shallower than that
+export function obstacles(state, draft = 0) {
+  const m = mapById(state.mapId);
+  if (!draft || !m.shoals || m.shoals.length === 0) return m.land;
+  return m.land.concat(m.shoals.filter(s => s.depth < draft));
+}
@@ -10,4 +10,52 @@ export const dist2 = (ax, ay, bx, by) => { const dx = ax - bx, dy = ay - by; ret
 export const len = (x, y) => Math.hypot(x, y);
 export const normAngle = (a) => { a %= TAU; if (a < -Math.PI) a += TAU; if (a > Math.PI) a -= TAU; return a; };
 export const angleTo = (ax, ay, bx, by) => Math.atan2(by - ay, bx - ax);
-export const rand = (a, b) => a + Math.random() * (b - a);
+export const lerpAngle = (a, b, t) => a + normAngle(b - a) * t;
+
+// Render position between the previous and current fixed step (px/py/ph set by the simulation)
+export function interpPos(o, alpha) {
+  if (o.px === undefined) return { x: o.x, y: o.y, heading: o.heading };
+  return {
+    x: lerp(o.px, o.x, alpha), y: lerp(o.py, o.y, alpha),
+    heading: (o.ph === undefined) ? o.heading : lerpAngle(o.ph, o.heading, alpha),
+  };
+}
+
+// Where a projectile at `speed` from (sx, sy) meets a target at (tx, ty) moving with
+// (tvx, tvy). Returns { x, y, t } or null when it can never catch up.
+export function interceptPoint(sx, sy, speed, tx, ty, tvx, tvy) {
+  const dx = tx - sx, dy = ty - sy;
+  const a = tvx*tvx + tvy*tvy - speed*speed;
+  const b = 2 * (dx*tvx + dy*tvy);
+  const c = dx*dx + dy*dy;
+  let t;
+  if (Math.abs(a) < 1e-9) {
+    if (Math.abs(b) < 1e-9) return null;
+    t = -c / b;
+  } else {
+    const disc = b*b - 4*a*c;
+    if (disc < 0) return null;
+    const r = Math.sqrt(disc);
+    const t1 = (-b - r) / (2*a), t2 = (-b + r) / (2*a);
+    t = (Math.min(t1, t2) > 0) ? Math.min(t1, t2) : Math.max(t1, t2);
+  }
+  if (!(t > 0)) return null;
+  return { x: tx + tvx * t, y: ty + tvy * t, t };
+}
+
+// Seeded PRNG (mulberry32) - every random roll in the simulation goes through state.rng
+// so the same seed always plays out the same battle
+export function createRng(seed) {
+  const s = seed >>> 0;
+  return { seed: s, s };
+}
+
+export function random(rng) {
+  rng.s = (rng.s + 0x6D2B79F5) >>> 0;
+  let t = rng.s;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export const rand = (rng, a, b) => a + random(rng) * (b - a);
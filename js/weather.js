@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// WEATHER MODULE - Weather, night, star shells and searchlights
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { WEATHER, WIND, NIGHT, WORLD } from './config.js';
+import { dist2, rand, normAngle } from './utils.js';
+
+const weatherKind = (state) => WEATHER[state.weather && state.weather.kind] || WEATHER.clear;
+export const isNight = (state) => !!(state.weather && state.weather.night);
+
+// Weather for a new battle: state.weatherKey / state.night override the battle's own
+export function mkWeather(state, battle) {
+  const kind = (state.weatherKey && WEATHER[state.weatherKey]) ? state.weatherKey : (battle.weather || 'clear');
+  const night = (state.night != null) ? !!state.night : !!battle.night;
+  const w = { kind, night, wind: { vx: 0, vy: 0 }, cells: [] };
+  const spec = WEATHER[kind] || WEATHER.clear;
+  if (spec.cells > 0) {
+    const a = rand(state.rng, 0, Math.PI * 2), speed = rand(state.rng, WIND[0], WIND[1]);
+    w.wind = { vx: Math.cos(a) * speed, vy: Math.sin(a) * speed };
+    for (let i = 0; i < spec.cells; i++) {
+      w.cells.push({
+        type: spec.cell.type, vis: spec.cell.vis, r: rand(state.rng, spec.cell.r[0], spec.cell.r[1]),
+        x: rand(state.rng, 0, WORLD.w), y: rand(state.rng, 0, WORLD.h),
+      });
+    }
+  }
+  return w;
+}
+
+export function weatherName(state) {
+  return weatherKind(state).name + (isNight(state) ? ', night' : '');
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VISIBILITY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Thickest squall or fog bank over a point (1 = open sea)
+function cellVis(w, x, y) {
+  let v = 1;
+  for (const c of w.cells) {
+    if (c.vis < v && dist2(x, y, c.x, c.y) <= c.r * c.r) v = c.vis;
+  }
+  return v;
+}
+
+function inBeam(s, x, y) {
+  const sl = NIGHT.searchlight;
+  if (!s.alive || !s.searchlightOn || dist2(s.x, s.y, x, y) > sl.range * sl.range) return false;
+  return Math.abs(normAngle(Math.atan2(y - s.y, x - s.x) - s.turret)) <= sl.halfAngle;
+}
+
+// A point under a burning star shell (anyone's) or in one of `team`'s searchlights
+export function pointLit(state, x, y, team) {
+  for (const f of state.flares) {
+    if (state.time >= f.at && dist2(x, y, f.x, f.y) <= NIGHT.starShell.radius * NIGHT.starShell.radius) return true;
+  }
+  const own = (team === 'P') ? state.player : state.enemy;
+  for (const s of own) { if (inBeam(s, x, y)) return true; }
+  return false;
+}
+
+// A ship with its own searchlight burning is lit for everyone
+export function isLit(state, t, team) {
+  return !!t.searchlightOn || pointLit(state, t.x, t.y, team);
+}
+
+// Share of the clear-day sighting range at which `team` can see `t`
+export function sightFactor(state, team, t) {
+  const w = state.weather;
+  if (!w) return 1;
+  let f = weatherKind(state).vis * cellVis(w, t.x, t.y);
+  if (w.night && !isLit(state, t, team)) f *= NIGHT.vis;
+  return f;
+}
+
+// Share of normal gun accuracy when `team` fires at (x, y)
+export function gunneryFactor(state, team, x, y) {
+  if (!state.weather) return 1;
+  const dark = isNight(state) && !pointLit(state, x, y, team);
+  return weatherKind(state).acc * (dark ? NIGHT.acc : 1);
+}
+
+// Why aircraft can't launch right now, or null when they can
+export function flightBan(state) {
+  if (isNight(state)) return 'No flying at night';
+  if (!weatherKind(state).fly) return 'Fog - no flying';
+  return null;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ILLUMINATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function tryStarShell(ship, x, y, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (!ship.kind.starShells) {
+    if (ship.team === 'P' && showMsg) showMsg('No star shells');
+    return;
+  }
+  if (!isNight(state)) {
+    if (showMsg) showMsg('Star shells are for night actions');
+    return;
+  }
+  if (!(ship.starShells > 0)) {
+    if (showMsg) showMsg('Out of star shells');
+    return;
+  }
+  if (ship.starCd > 0) {
+    if (showMsg) showMsg(`Star shell reloading ${ship.starCd.toFixed(1)}s`);
+    return;
+  }
+  const d = Math.sqrt(dist2(ship.x, ship.y, x, y));
+  if (d > ship.kind.gunRange) {
+    if (showMsg) showMsg('Out of range');
+    return;
+  }
+  ship.starShells -= 1;
+  ship.starCd = NIGHT.starShell.reload;
+  const at = state.time + d / NIGHT.starShell.speed;
+  state.flares.push({ team: ship.team, x, y, at, until: at + NIGHT.starShell.burn });
+  if (showMsg) showMsg(`Star shell away (${ship.starShells} left)`);
+}
+
+export function toggleSearchlight(ship, state, showMsg) {
+  if (!ship || !ship.alive) return;
+  if (!ship.kind.searchlight) {
+    if (ship.team === 'P' && showMsg) showMsg('No searchlight');
+    return;
+  }
+  if (!isNight(state) && !ship.searchlightOn) {
+    if (showMsg) showMsg('Searchlights are for night actions');
+    return;
+  }
+  ship.searchlightOn = !ship.searchlightOn;
+  if (showMsg) showMsg(ship.searchlightOn ? 'Searchlight on - we can be seen' : 'Searchlight off');
+}
+
+// Squalls and fog banks drift on the wind and come back round the far edge;
+// star shells burn out
+export function weatherStep(dt, state) {
+  const w = state.weather;
+  if (w) {
+    for (const c of w.cells) {
+      c.x += w.wind.vx * dt;
+      c.y += w.wind.vy * dt;
+      if (c.x < -c.r) c.x += WORLD.w + 2 * c.r; else if (c.x > WORLD.w + c.r) c.x -= WORLD.w + 2 * c.r;
+      if (c.y < -c.r) c.y += WORLD.h + 2 * c.r; else if (c.y > WORLD.h + c.r) c.y -= WORLD.h + 2 * c.r;
+    }
+  }
+  for (const s of state.player.concat(state.enemy)) {
+    if (s.starCd > 0) s.starCd = Math.max(0, s.starCd - dt);
+    if (s.searchlightOn && !s.alive) s.searchlightOn = false;
+  }
+  state.flares = state.flares.filter(f => f.until > state.time);
+}
+
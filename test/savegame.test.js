@@ -0,0 +1,50 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SAVE TESTS - node --test test/
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SIM_DT } from '../js/config.js';
+import { createState, resetWorld, stepSimulation, stateDigest } from '../js/simulation.js';
+import { serializeState, deserializeState, parseSave } from '../js/savegame.js';
+import { BUILT_IN } from '../js/scenario.js';
+
+function battle(mapId, seconds) {
+  const state = createState({ seed: 7 + mapId, mapId, spectatorMode: true });
+  resetWorld(state, 1);
+  for (let i = 0; i < seconds / SIM_DT; i++) stepSimulation(state, SIM_DT);
+  return state;
+}
+
+test('a saved battle resumes where it left off', () => {
+  const a = battle(1, 20);
+  const b = deserializeState(parseSave(JSON.stringify(serializeState(a))), createState());
+  assert.equal(stateDigest(b), stateDigest(a));
+  for (let i = 0; i < 10 / SIM_DT; i++) { stepSimulation(a, SIM_DT); stepSimulation(b, SIM_DT); }
+  assert.equal(stateDigest(b), stateDigest(a));
+});
+
+test('a rejected load leaves the battle as it was', () => {
+  const save = serializeState(battle(2, 10));
+  // A custom battle whose scenario fails its checks
+  save.state.scenario = { ...structuredClone(BUILT_IN[0]), victory: 'sink' };
+  const state = battle(1, 10);
+  const before = JSON.stringify(serializeState(state));
+  const { player, scenario } = state;
+
+  assert.throws(() => deserializeState(parseSave(JSON.stringify(save)), state), /victory/);
+  assert.equal(JSON.stringify(serializeState(state)), before);
+  assert.equal(state.player, player);
+  assert.equal(state.scenario, scenario);
+  // The battle still plays on
+  for (let i = 0; i < 5 / SIM_DT; i++) stepSimulation(state, SIM_DT);
+});
+
+test('saves from another version are refused', () => {
+  const save = serializeState(battle(0, 1));
+  save.v = 1;
+  const state = battle(0, 1);
+  const before = JSON.stringify(serializeState(state));
+  assert.throws(() => deserializeState(save, state), /Unsupported save version 1/);
+  assert.equal(JSON.stringify(serializeState(state)), before);
+});
@@ -0,0 +1,34 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENARIO TESTS - node --test test/
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { BUILT_IN, parseScenario } from '../js/scenario.js';
+
+const file = (name) => readFileSync(new URL(`../scenarios/${name}.json`, import.meta.url), 'utf8');
+const withObjectives = (name, objectives, edit = () => {}) => {
+  const sc = JSON.parse(file(name));
+  sc.victory.objectives = objectives;
+  edit(sc);
+  return JSON.stringify(sc);
+};
+
+test('the built-in battles are scenario files the loader accepts', () => {
+  for (const [id, name] of ['midway', 'guadalcanal', 'leyte', 'surigao', 'murmansk'].entries()) {
+    assert.equal(parseScenario(file(name)).name, BUILT_IN[id].name);
+  }
+});
+
+test('a batteries objective needs batteries on the other side', () => {
+  // Midway's islands are all fortified by P
+  assert.throws(() => parseScenario(withObjectives('midway', [{ type: 'batteries', team: 'P' }])),
+    /"victory.objectives\[0\].team" has no enemy batteries to destroy/);
+  assert.ok(parseScenario(withObjectives('midway', [{ type: 'batteries', team: 'E' }])));
+  // Batteries placed by hand count instead of the islands' sides
+  const placed = (team) => (sc) => { sc.map.batteries = [{ team, x: 2000, y: 1500, a: 0 }]; };
+  assert.throws(() => parseScenario(withObjectives('midway', [{ type: 'batteries', team: 'E' }], placed('E'))),
+    /has no enemy batteries to destroy/);
+  assert.ok(parseScenario(withObjectives('midway', [{ type: 'batteries', team: 'P' }], placed('E'))));
+});